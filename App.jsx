@@ -2,6 +2,26 @@ import React, { useState, useEffect, useRef, useMemo, Suspense } from 'react';
 import { Canvas, useThree } from '@react-three/fiber';
 import { OrbitControls, useGLTF, Environment, Float, useTexture } from '@react-three/drei';
 import * as THREE from 'three';
+import {
+  AUTH_STORAGE_KEY,
+  GATE_STAR_COUNT,
+  GATE_WORD_LENGTH,
+  buildPassphrase,
+  checkWord,
+  findChainStar,
+  findWordLetter,
+  isChainStar,
+  unsealContent
+} from './contentVault.js';
+import { BuiltInMilestoneData, MilestoneData, formatMilestoneDate, milestonePhotoUrl, milestoneToDate, toStarLabel } from './milestones.js';
+import MilestoneEditor from './MilestoneEditor.jsx';
+import LetterComposer from './LetterComposer.jsx';
+import LetterMarkdown, { letterParagraphs, renderLetter, renderLines } from './LetterMarkdown.jsx';
+import TextReveal from './TextReveal.jsx';
+import PrintLetterDialog from './PrintLetter.jsx';
+import ShareCardDialog from './ShareCardDialog.jsx';
+import LetterModal from './LetterModal.jsx';
+import { formatCountdown, getLetterLock, lettersMoods, ordinal } from './letterUnlock.js';
 import {
   Heart,
   Stars,
@@ -15,7 +35,9 @@ import {
   MapPin,
   Home,
   Zap,
-  Star
+  Star,
+  Printer,
+  Share2
 } from 'lucide-react';
 
 /**
@@ -320,174 +342,325 @@ const TimelineMarker = ({ icon: Icon, title, message }) => {
   );
 };
 
-/* --- Milestone Data (unchanged but used in Constellation) --- */
-const MilestoneData = [
-  { date: 'Aug 29 2025', special: true, color: '#FFD700' },
-  { date: 'Aug 31 2025', special: false, color: '#000000' },
-  { date: 'Sept 5 2025', special: false, color: '#A0A0A0' },
-  { date: 'Sept 6 2025', special: false, color: '#404040' },
-  { date: 'Sept 7 2025', special: false, color: '#008000' },
-  { date: 'Sept 8 2025', special: true, color: '#20B2AA' },
-  { date: 'Sept 15 2025', special: false, color: '#A0A0A0' },
-  { date: 'Sept 16 2025', special: false, color: '#A52A2A' },
-  { date: 'Sept 26 2025', special: false, color: '#800080' },
-  { date: 'Sept 27 2025', special: false, color: '#FFFF00' },
-  { date: 'Sept 28 2025', special: true, color: '#008000' },
-  { date: 'Oct 6 2025', special: true, color: '#800080' },
-  { date: 'Oct 18 2025', special: false, color: '#0000FF' },
-  { date: 'Nov 1 2025', special: false, color: '#FF0000' },
-  { date: 'Nov 2 2025', special: false, color: '#00008B' },
-  { date: 'Nov 3 2025', special: false, color: '#FFD700' },
-  { date: 'Nov 8 2025', special: false, color: '#800000' },
-  { date: 'Nov 9 2025', special: false, color: '#FF0000' },
-  { date: 'Nov 15 2025', special: true, color: '#008000' },
-  { date: 'Nov 16 2025', special: false, color: '#20B2AA' },
-  { date: 'Nov 21 2025', special: false, color: '#A0A0A0' },
-  { date: 'Nov 22 2025', special: false, color: '#A52A2A' },
-  { date: 'Nov 23 2025', special: false, color: '#FF0000' },
-  { date: 'Dec 1 2025', special: false, color: '#A0A0A0' },
-  { date: 'Dec 26 2025', special: false, color: '#00008B' },
-  { date: 'Dec 27 2025', special: true, color: '#14B8A6' },
-  { date: 'Dec 28 2025', special: false, color: '#000000' },
-  { date: 'Jan 07 2026', special: false, color: '#FAF6F6' },
-  { date: 'Jan 08 2026', special: false, color: '#E736BB' },
-  { date: 'Jan 21 2026', special: false, color: '#f7fb06ff' },
-  { date: 'Jan 24 2026', special: false, color: '#96f4f0ff' },
-  { date: 'Jan 25 2026', special: false, color: '#ef3f18fb' },
-  { date: 'Jan 30 2026', special: false, color: '#f80787fb' }
-
-];
+/* --- Milestone Card (constellation detail card and the gate's connected stars) --- */
+const MilestoneCard = ({ milestone, special = false, subtitle, onOpenScene, onClose, className = '' }) => (
+  <div
+    className={`bg-white/95 text-gray-800 rounded-2xl shadow-2xl p-4 text-left ${className}`}
+    role="dialog"
+    aria-label={milestone.title || `Milestone ${formatMilestoneDate(milestone.date)}`}
+  >
+    {onClose && (
+      <button onClick={onClose} className="absolute top-2 right-3 text-xl text-pink-600 z-10" aria-label="Close">
+        ×
+      </button>
+    )}
+    {milestone.photo && (
+      <img
+        src={milestonePhotoUrl(milestone.photo)}
+        alt={milestone.title || formatMilestoneDate(milestone.date)}
+        className="w-full h-32 object-cover rounded-xl mb-3"
+      />
+    )}
+    <div className="flex items-center gap-3">
+      <Star className="w-8 h-8 shrink-0" stroke={milestone.color} fill={milestone.color} />
+      <div>
+        <p className="font-bold text-lg text-pink-700 font-handwriting leading-tight">
+          {milestone.title || formatMilestoneDate(milestone.date)}
+        </p>
+        <p className="text-xs text-gray-500">
+          {milestone.title ? `${formatMilestoneDate(milestone.date)} · ` : ''}
+          {subtitle}
+        </p>
+      </div>
+    </div>
+    {special && (
+      <p className="mt-2 text-sm font-bold text-amber-600">✨ One of our special moments</p>
+    )}
+    {milestone.note && <p className="mt-2 text-sm text-gray-700 italic">{milestone.note}</p>}
+    {onOpenScene && milestone.scene && (
+      <button
+        onClick={() => onOpenScene(milestone.scene)}
+        className="mt-3 w-full bg-gradient-to-r from-pink-500 to-rose-500 text-white px-4 py-2 rounded-full text-sm font-bold hover:from-pink-600 hover:to-rose-600 transition"
+      >
+        Relive this story 💕
+      </button>
+    )}
+  </div>
+);
+
+/* --- Authentication Challenge Config --- */
+// Everything the gate shows. Swap this object to reuse the gate for another occasion:
+// the stars are the `gate: true` built-in milestones, so edits saved with ?admin never
+// reach the gate. The answer is not in here: the word and which stars matter (and in what
+// order) are sealed into the build from SEALED_CONTENT_PASSPHRASE, one salted hash per step.
+const AuthChallengeConfig = {
+  heartCatch: {
+    // Hearts carry the next letter often (see targetChance) and any other letter otherwise
+    letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+  },
+  stars: {
+    milestones: BuiltInMilestoneData,
+    // Same seed -> same layout, so the sky doesn't reshuffle between visits
+    layoutSeed: 18,
+    // Wrong picks before the next date's month is revealed; twice as many reveal the whole date
+    hintAfterFailures: 3,
+    // Indexed by how many stars are connected; later steps reuse the last hint
+    hints: [
+      'Click our special dates in order... only we know which ones matter 💕',
+      'You remember when things got real...',
+      'Keep following our story...',
+      'You know us so well...',
+      'Almost there, my love...',
+      'One more special moment...'
+    ]
+  }
+};
+
+// Small seeded PRNG (mulberry32) so layouts are random-looking but repeatable
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Dart-throwing layout: keeps every point at least `minDistance` (in %) from the others,
+// relaxing the distance if the area gets too crowded to fit them all.
+const layoutPoints = (count, { random, minDistance = 16, bounds = { minX: 8, maxX: 92, minY: 22, maxY: 85 } }) => {
+  const points = [];
+  let distance = minDistance;
+
+  while (points.length < count) {
+    let placed = false;
+    for (let attempt = 0; attempt < 200 && !placed; attempt++) {
+      const candidate = {
+        x: bounds.minX + random() * (bounds.maxX - bounds.minX),
+        y: bounds.minY + random() * (bounds.maxY - bounds.minY)
+      };
+      if (points.every((p) => Math.hypot(p.x - candidate.x, p.y - candidate.y) >= distance)) {
+        points.push(candidate);
+        placed = true;
+      }
+    }
+    if (!placed) distance *= 0.9;
+  }
+
+  return points;
+};
+
+// Builds the stage 2 sky from the `gate: true` milestones, shuffled before being placed so
+// position gives nothing away. Ids follow the calendar order.
+const buildStarField = ({ milestones, layoutSeed }) => {
+  const random = createRandom(layoutSeed);
+
+  const shuffled = milestones
+    .filter((m) => m.gate)
+    .map((m, index) => ({ id: index + 1, date: toStarLabel(m.date), milestone: m }));
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const points = layoutPoints(shuffled.length, { random });
+  return shuffled.map((star, index) => ({ ...star, ...points[index] }));
+};
+
+// Falling-hearts presets: spawnEvery in ms, fallSpeed and basketWidth in % of the
+// play area (per second / wide), targetChance = odds a heart carries the next letter
+const HEART_CATCH_DIFFICULTIES = {
+  easy: { label: 'Easy', spawnEvery: 1800, fallSpeed: 16, basketWidth: 26, targetChance: 0.65 },
+  normal: { label: 'Normal', spawnEvery: 1400, fallSpeed: 24, basketWidth: 20, targetChance: 0.55 },
+  hard: { label: 'Hard', spawnEvery: 1000, fallSpeed: 34, basketWidth: 14, targetChance: 0.4 }
+};
+
+// Stage 2 failures are kept for the session, so a reload never takes hints away
+const STAR_HINTS_STORAGE_KEY = 'loveLetterStarHints';
+
+const loadStarFailures = () => Number(sessionStorage.getItem(STAR_HINTS_STORAGE_KEY)) || 0;
 
 /* --- Authentication Screen Component --- */
 const AuthenticationScreen = ({ onSuccess }) => {
   const [authStage, setAuthStage] = useState(1); // 1 = catch hearts, 2 = connect stars
   const [caughtLetters, setCaughtLetters] = useState([]);
+  // The letter the hearts favour, worked out from its salted hash (null while checking)
+  const [nextLetter, setNextLetter] = useState(null);
   const [fallingHearts, setFallingHearts] = useState([]);
   const [gameActive, setGameActive] = useState(true);
   const [basketPosition, setBasketPosition] = useState(50);
+  const [difficulty, setDifficulty] = useState('normal');
+  const [score, setScore] = useState(0);
+  const [mistakes, setMistakes] = useState(0);
+  // Stage 1's word once every letter matched; stage 2 adds the dates to it
+  const [word, setWord] = useState(null);
+  // True while a pick or the finished answer is being checked
+  const [checking, setChecking] = useState(false);
   const [connectedStars, setConnectedStars] = useState([]);
+  const [starFailures, setStarFailures] = useState(loadStarFailures);
+  // Wrong star shown in red for a moment before the chain resets
+  const [wrongStarId, setWrongStarId] = useState(null);
+  // The next date, found only once enough wrong picks earn a hint
+  const [hintDate, setHintDate] = useState(null);
   const [showSuccess, setShowSuccess] = useState(false);
   const [stage1Complete, setStage1Complete] = useState(false);
+  // Assist options: slow motion for the falling hearts, or skip the game for a typed word + date list
+  const [slowMotion, setSlowMotion] = useState(false);
+  const [accessibleMode, setAccessibleMode] = useState(false);
+  const [typedWord, setTypedWord] = useState('');
+  // Read out through the aria-live region below
+  const [announcement, setAnnouncement] = useState('');
   const gameAreaRef = useRef(null);
+  // Live game state for the animation loop (fallingHearts is just the render snapshot)
+  const heartsRef = useRef([]);
+  const heartNodesRef = useRef(new Map());
+  const basketRef = useRef(50);
+  basketRef.current = basketPosition;
 
-  const TARGET_WORD = 'KANNA';
-  const DECOY_LETTERS = ['X', 'Z', 'M', 'L', 'P', 'R', 'S', 'T', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'O', 'Q', 'U', 'V', 'W', 'Y'];
-
-  // Special dates (the correct ones to click in order) - these are your special: true dates
-  const SPECIAL_DATES = [
-    { id: 1, date: 'Aug 29', x: 15, y: 20, isSpecial: true },
-    { id: 2, date: 'Sept 8', x: 78, y: 25, isSpecial: true },
-    { id: 3, date: 'Sept 28', x: 42, y: 42, isSpecial: true },
-    { id: 4, date: 'Oct 6', x: 88, y: 60, isSpecial: true },
-    { id: 5, date: 'Nov 15', x: 22, y: 75, isSpecial: true },
-    { id: 6, date: 'Dec 27', x: 65, y: 88, isSpecial: true }
-  ];
-
-  // Decoy dates (wrong choices) - these blend in with special dates
-  const DECOY_DATES = [
-    { id: 101, date: 'Aug 31', x: 50, y: 15, isSpecial: false },
-    { id: 102, date: 'Sept 5', x: 30, y: 30, isSpecial: false },
-    { id: 103, date: 'Sept 16', x: 62, y: 35, isSpecial: false },
-    { id: 104, date: 'Oct 18', x: 10, y: 50, isSpecial: false },
-    { id: 105, date: 'Nov 2', x: 55, y: 55, isSpecial: false },
-    { id: 106, date: 'Nov 22', x: 75, y: 72, isSpecial: false },
-    { id: 107, date: 'Dec 1', x: 38, y: 80, isSpecial: false },
-    { id: 108, date: 'Dec 26', x: 85, y: 82, isSpecial: false }
-  ];
+  const { letters: HEART_LETTERS } = AuthChallengeConfig.heartCatch;
+  const ALL_STARS = useMemo(() => buildStarField(AuthChallengeConfig.stars), []);
+  const starHints = AuthChallengeConfig.stars.hints;
 
-  // All stars combined (special + decoys)
-  const ALL_STARS = [...SPECIAL_DATES, ...DECOY_DATES];
+  // Stage 1: which letter comes next, so the hearts can carry it more often
+  useEffect(() => {
+    if (caughtLetters.length >= GATE_WORD_LENGTH) return;
+    let cancelled = false;
+    setNextLetter(null);
+    findWordLetter(caughtLetters.length, HEART_LETTERS).then((letter) => !cancelled && setNextLetter(letter));
+    return () => {
+      cancelled = true;
+    };
+  }, [caughtLetters.length]);
 
   // Stage 1: Falling Hearts Game
+  // One requestAnimationFrame loop moves the hearts by elapsed time and writes their
+  // positions straight to the DOM; React only re-renders when a heart appears or leaves.
   useEffect(() => {
-    if (authStage !== 1 || !gameActive) return;
+    if (authStage !== 1 || !gameActive || accessibleMode || !nextLetter) return;
 
-    const spawnHeart = () => {
-      const nextNeededLetter = TARGET_WORD[caughtLetters.length];
-      const isTargetLetter = Math.random() < 0.55; // 55% chance of target letter - more frequent!
+    const { spawnEvery, fallSpeed, basketWidth, targetChance } = HEART_CATCH_DIFFICULTIES[difficulty];
+    const timeScale = slowMotion ? 0.5 : 1;
+    const catchZone = { minY: 75, maxY: 98 };
+    const decoyLetters = HEART_LETTERS.replace(nextLetter, '');
+    let frameId;
+    let lastTime = performance.now();
+    let sinceSpawn = 0;
 
-      let letter;
-      if (isTargetLetter && nextNeededLetter) {
-        letter = nextNeededLetter;
-      } else {
-        letter = DECOY_LETTERS[Math.floor(Math.random() * DECOY_LETTERS.length)];
-      }
+    const spawnHeart = () => {
+      const letter =
+        Math.random() < targetChance ? nextLetter : decoyLetters[Math.floor(Math.random() * decoyLetters.length)];
 
-      const newHeart = {
+      heartsRef.current.push({
         id: Date.now() + Math.random(),
         letter,
         x: Math.random() * 80 + 10, // 10-90%
         y: -10,
-        isTarget: letter === nextNeededLetter
-      };
-
-      setFallingHearts(prev => [...prev, newHeart]);
-    };
-
-    const spawnInterval = setInterval(spawnHeart, 1400); // Balanced spawn rate
-    return () => clearInterval(spawnInterval);
-  }, [authStage, gameActive, caughtLetters.length]);
-
-  // Move hearts down
-  useEffect(() => {
-    if (authStage !== 1 || !gameActive) return;
-
-    const moveInterval = setInterval(() => {
-      setFallingHearts(prev => {
-        const updated = prev.map(heart => ({
-          ...heart,
-          y: heart.y + 1.2 // Slower falling speed
-        })).filter(heart => heart.y < 100);
-        return updated;
+        isTarget: letter === nextLetter
       });
-    }, 50);
-
-    return () => clearInterval(moveInterval);
-  }, [authStage, gameActive]);
+    };
 
-  // Check for catches
-  useEffect(() => {
-    if (authStage !== 1) return;
+    const tick = (now) => {
+      // Clamp so a backgrounded tab doesn't drop every heart at once on return
+      const dt = (Math.min(now - lastTime, 100) / 1000) * timeScale;
+      lastTime = now;
+      const countBefore = heartsRef.current.length;
 
-    const catchZone = { minY: 75, maxY: 98 };
-    const basketWidth = 20; // Wider catch zone
-    const basketLeft = basketPosition - basketWidth / 2;
-    const basketRight = basketPosition + basketWidth / 2;
+      sinceSpawn += dt * 1000;
+      if (sinceSpawn >= spawnEvery) {
+        sinceSpawn = 0;
+        spawnHeart();
+      }
 
-    setFallingHearts(prev => {
+      const basketLeft = basketRef.current - basketWidth / 2;
+      const basketRight = basketRef.current + basketWidth / 2;
       let caught = null;
-      const remaining = prev.filter(heart => {
-        if (heart.y >= catchZone.minY && heart.y <= catchZone.maxY) {
-          if (heart.x >= basketLeft && heart.x <= basketRight) {
-            caught = heart;
-            return false;
-          }
+
+      heartsRef.current = heartsRef.current.filter(heart => {
+        heart.y += fallSpeed * dt;
+        if (!caught && heart.y >= catchZone.minY && heart.y <= catchZone.maxY && heart.x >= basketLeft && heart.x <= basketRight) {
+          caught = heart;
+          return false;
         }
-        return true;
+        const node = heartNodesRef.current.get(heart.id);
+        if (node) node.style.top = `${heart.y}%`;
+        return heart.y < 100;
       });
 
+      if (caught || heartsRef.current.length !== countBefore) {
+        setFallingHearts([...heartsRef.current]);
+      }
+
       if (caught) {
-        const nextNeeded = TARGET_WORD[caughtLetters.length];
-        if (caught.letter === nextNeeded) {
+        // Every catch replaces caughtLetters, which restarts this effect with the new
+        // target letter, so this loop stops here rather than catching with stale state
+        if (caught.letter === nextLetter) {
           const newCaught = [...caughtLetters, caught.letter];
           setCaughtLetters(newCaught);
+          setScore(prev => prev + 1);
+          setAnnouncement(`Caught ${caught.letter}. ${newCaught.length} of ${GATE_WORD_LENGTH} letters.`);
 
-          if (newCaught.join('') === TARGET_WORD) {
-            setGameActive(false);
-            setTimeout(() => {
-              setStage1Complete(true);
-              setTimeout(() => setAuthStage(2), 1500);
-            }, 500);
+          if (newCaught.length === GATE_WORD_LENGTH) {
+            completeStage1(newCaught.join(''));
           }
         } else {
           // Wrong letter caught - reset with animation
           setCaughtLetters([]);
+          setMistakes(prev => prev + 1);
+          setAnnouncement(`Oops, ${caught.letter} isn't next. Starting the word again.`);
         }
+        return;
       }
 
-      return remaining;
-    });
-  }, [fallingHearts, basketPosition, caughtLetters, authStage]);
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [authStage, gameActive, accessibleMode, difficulty, slowMotion, caughtLetters, nextLetter]);
+
+  const completeStage1 = (matchedWord) => {
+    setGameActive(false);
+    setWord(matchedWord);
+    setCaughtLetters(matchedWord.split(''));
+    setAnnouncement('Stage 1 complete! Now connect our special dates in order.');
+    setTimeout(() => {
+      setStage1Complete(true);
+      setTimeout(() => setAuthStage(2), 1500);
+    }, 500);
+  };
+
+  // Keyboard play: arrow keys or A/D nudge the basket (held keys auto-repeat)
+  useEffect(() => {
+    if (authStage !== 1 || !gameActive || accessibleMode) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target instanceof HTMLInputElement) return;
+      const key = e.key.toLowerCase();
+      const direction = key === 'arrowleft' || key === 'a' ? -1 : key === 'arrowright' || key === 'd' ? 1 : 0;
+      if (!direction) return;
+      e.preventDefault();
+      setBasketPosition(prev => Math.max(10, Math.min(90, prev + direction * 5)));
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [authStage, gameActive, accessibleMode]);
+
+  // Accessible path: type the word instead of catching it (same answer, same next stage)
+  const handleTypedWordSubmit = async (e) => {
+    e.preventDefault();
+    const candidate = typedWord.trim().toUpperCase();
+    setChecking(true);
+    const matches = await checkWord(candidate);
+    setChecking(false);
+    if (matches) {
+      completeStage1(candidate);
+    } else {
+      setAnnouncement("That's not our word. Try again.");
+    }
+  };
 
   // Handle mouse/touch movement for basket
   const handleMouseMove = (e) => {
@@ -506,32 +679,71 @@ const AuthenticationScreen = ({ onSuccess }) => {
   };
 
   // Stage 2: Connect stars
-  const handleStarClick = (star) => {
-    if (authStage !== 2) return;
+  useEffect(() => {
+    sessionStorage.setItem(STAR_HINTS_STORAGE_KEY, String(starFailures));
+  }, [starFailures]);
+
+  const { hintAfterFailures } = AuthChallengeConfig.stars;
+  const lastConnected = connectedStars[connectedStars.length - 1]?.milestone;
+  const lastConnectedStory = lastConnected && (lastConnected.title || lastConnected.note || lastConnected.photo) ? lastConnected : null;
 
-    // If it's a decoy (non-special) star, reset!
-    if (!star.isSpecial) {
+  // The next date is only looked up once a hint is due
+  const hintStep = starFailures >= hintAfterFailures && connectedStars.length < GATE_STAR_COUNT ? connectedStars.length : null;
+  useEffect(() => {
+    setHintDate(null);
+    if (hintStep === null) return;
+    let cancelled = false;
+    findChainStar(hintStep, ALL_STARS.map((star) => star.date)).then((date) => !cancelled && setHintDate(date));
+    return () => {
+      cancelled = true;
+    };
+  }, [hintStep]);
+
+  const revealedHint = !hintDate
+    ? null
+    : starFailures < hintAfterFailures * 2
+      ? `The next date is in ${hintDate.split(' ')[0]}`
+      : `The next date is ${hintDate}`;
+
+  const failStar = (star, message) => {
+    setWrongStarId(star.id);
+    setStarFailures(prev => prev + 1);
+    setAnnouncement(`${message} Starting over.`);
+    setTimeout(() => {
+      setWrongStarId(null);
       setConnectedStars([]);
-      return;
-    }
+    }, 700);
+  };
 
-    const expectedIndex = connectedStars.length;
-    const expectedStar = SPECIAL_DATES[expectedIndex];
+  const handleStarClick = async (star) => {
+    if (authStage !== 2 || wrongStarId !== null || checking || showSuccess) return;
 
-    if (star.id === expectedStar?.id) {
-      const newConnected = [...connectedStars, star];
-      setConnectedStars(newConnected);
+    setChecking(true);
+    const isNext = await isChainStar(connectedStars.length, star.date);
+    setChecking(false);
+    if (!isNext) {
+      failStar(star, `${star.date} isn't next in our story.`);
+      return;
+    }
 
-      if (newConnected.length === SPECIAL_DATES.length) {
-        setShowSuccess(true);
-        setTimeout(() => {
-          sessionStorage.setItem('loveLetterAuth', 'true');
-          onSuccess();
-        }, 2000);
-      }
-    } else {
-      // Wrong special star order - reset
-      setConnectedStars([]);
+    const newConnected = [...connectedStars, star];
+    setConnectedStars(newConnected);
+    setAnnouncement(`${star.date} connected. ${newConnected.length} of ${GATE_STAR_COUNT}.`);
+    if (newConnected.length < GATE_STAR_COUNT) return;
+
+    // The answer itself is the key to the sealed letters
+    const passphrase = buildPassphrase(word, newConnected.map((s) => s.date));
+    setChecking(true);
+    try {
+      const content = await unsealContent(passphrase);
+      setShowSuccess(true);
+      sessionStorage.removeItem(STAR_HINTS_STORAGE_KEY);
+      setTimeout(() => onSuccess(passphrase, content), 2000);
+    } catch {
+      // Only when the build's seal and its hashes disagree
+      failStar(star, "Our story didn't open.");
+    } finally {
+      setChecking(false);
     }
   };
 
@@ -564,13 +776,46 @@ const AuthenticationScreen = ({ onSuccess }) => {
         </div>
       </div>
 
+      {/* Screen reader announcements for both stages and the accessible path */}
+      <p className="sr-only" aria-live="polite" role="status">{announcement}</p>
+
+      {/* Stage 1 (accessible path): type the word */}
+      {authStage === 1 && accessibleMode && (
+        <form onSubmit={handleTypedWordSubmit} className="relative z-10 w-full max-w-md mx-auto px-4 text-center">
+          <h2 className="text-3xl sm:text-4xl font-bold text-pink-300 mb-2 font-handwriting">
+            Our Magic Word
+          </h2>
+          <label htmlFor="auth-word" className="block text-pink-200 text-sm sm:text-base mb-4">
+            Type the word the hearts would spell ({GATE_WORD_LENGTH} letters)
+          </label>
+          <input
+            id="auth-word"
+            type="text"
+            autoComplete="off"
+            autoFocus
+            value={typedWord}
+            onChange={(e) => setTypedWord(e.target.value)}
+            disabled={!gameActive}
+            className="w-full px-4 py-3 rounded-full bg-gray-800/70 text-white text-center text-2xl tracking-widest uppercase border-2 border-pink-500/50 focus:outline-none focus:border-pink-400"
+          />
+          <button
+            type="submit"
+            disabled={!gameActive}
+            className="mt-6 bg-gradient-to-r from-pink-500 to-rose-500 text-white px-8 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg"
+          >
+            {stage1Complete ? 'Stage 1 Complete! ✓' : checking ? 'Checking...' : 'Check'}
+          </button>
+        </form>
+      )}
+
       {/* Stage 1: Catch Hearts */}
-      {authStage === 1 && (
+      {authStage === 1 && !accessibleMode && (
         <div
           ref={gameAreaRef}
           className="relative w-full max-w-lg h-[70vh] mx-auto cursor-none touch-none"
           onMouseMove={handleMouseMove}
           onTouchMove={handleTouchMove}
+          aria-label="Heart catching game. Use the left and right arrow keys, or A and D, to move the basket."
         >
           <div className="absolute top-4 left-1/2 transform -translate-x-1/2 text-center z-10">
             <h2 className="text-3xl sm:text-4xl font-bold text-pink-300 mb-2 font-handwriting">
@@ -580,7 +825,7 @@ const AuthenticationScreen = ({ onSuccess }) => {
               Catch the hearts to spell the magic word...
             </p>
             <div className="flex justify-center gap-2">
-              {TARGET_WORD.split('').map((letter, i) => (
+              {Array.from({ length: GATE_WORD_LENGTH }, (_, i) => (
                 <div
                   key={i}
                   className={`w-10 h-10 sm:w-12 sm:h-12 rounded-lg flex items-center justify-center text-xl sm:text-2xl font-bold transition-all duration-300 ${
@@ -599,6 +844,7 @@ const AuthenticationScreen = ({ onSuccess }) => {
           {fallingHearts.map(heart => (
             <div
               key={heart.id}
+              ref={(node) => (node ? heartNodesRef.current.set(heart.id, node) : heartNodesRef.current.delete(heart.id))}
               className={`absolute transition-transform ${heart.isTarget ? 'text-pink-400' : 'text-gray-500'}`}
               style={{
                 left: `${heart.x}%`,
@@ -615,12 +861,19 @@ const AuthenticationScreen = ({ onSuccess }) => {
             </div>
           ))}
 
-          {/* Basket */}
+          {/* Basket - the glow underneath is the catch width for this difficulty */}
           <div
-            className="absolute bottom-4 transition-all duration-75"
-            style={{ left: `${basketPosition}%`, transform: 'translateX(-50%)' }}
+            className="absolute bottom-4 flex flex-col items-center transition-all duration-75"
+            style={{ left: `${basketPosition}%`, width: `${HEART_CATCH_DIFFICULTIES[difficulty].basketWidth}%`, transform: 'translateX(-50%)' }}
           >
             <div className="text-6xl sm:text-7xl">🧺</div>
+            <div className="w-full h-1 rounded-full bg-pink-400/40" aria-hidden />
+          </div>
+
+          {/* Score */}
+          <div className="absolute bottom-4 left-2 text-xs text-pink-200 space-y-1 z-10" aria-live="off">
+            <p>💕 Caught: <span className="font-bold text-white">{score}</span></p>
+            <p>💔 Mistakes: <span className="font-bold text-white">{mistakes}</span></p>
           </div>
 
           {/* Stage 1 Complete Animation */}
@@ -628,7 +881,7 @@ const AuthenticationScreen = ({ onSuccess }) => {
             <div className="absolute inset-0 flex items-center justify-center bg-black/50 z-20">
               <div className="text-center animate-bounce">
                 <span className="text-6xl">💕</span>
-                <p className="text-2xl text-pink-300 font-bold mt-4">KANNA!</p>
+                <p className="text-2xl text-pink-300 font-bold mt-4">{word}!</p>
                 <p className="text-pink-200">Stage 1 Complete!</p>
               </div>
             </div>
@@ -647,7 +900,7 @@ const AuthenticationScreen = ({ onSuccess }) => {
               Connect our special dates in order...
             </p>
             <p className="text-pink-300 text-xs mt-2">
-              {connectedStars.length} / {SPECIAL_DATES.length} connected
+              {connectedStars.length} / {GATE_STAR_COUNT} connected · Attempt {starFailures + 1}
             </p>
           </div>
 
@@ -679,9 +932,41 @@ const AuthenticationScreen = ({ onSuccess }) => {
             </defs>
           </svg>
 
+          {/* Accessible path: the same stars as a plain list, in calendar order */}
+          {accessibleMode && (
+            <ol
+              className="absolute top-32 bottom-24 left-4 right-4 overflow-y-auto grid grid-cols-2 sm:grid-cols-3 gap-2 content-start z-10"
+              aria-label="Our dates. Choose the special ones in order."
+            >
+              {[...ALL_STARS]
+                .sort((a, b) => a.id - b.id)
+                .map((star) => {
+                  const isConnected = connectedStars.some(s => s.id === star.id);
+                  return (
+                    <li key={star.id}>
+                      <button
+                        onClick={() => handleStarClick(star)}
+                        aria-pressed={isConnected}
+                        className={`w-full px-3 py-2 rounded-full border-2 text-sm transition ${
+                          wrongStarId === star.id
+                            ? 'bg-red-500/30 border-red-400 text-red-300 animate-pulse'
+                            : isConnected
+                              ? 'bg-yellow-300/20 border-yellow-300 text-yellow-300 font-bold'
+                              : 'border-pink-500/40 text-pink-100 hover:bg-pink-500/20'
+                        }`}
+                      >
+                        {isConnected ? '⭐' : '✨'} {star.date}
+                      </button>
+                    </li>
+                  );
+                })}
+            </ol>
+          )}
+
           {/* Stars - ALL stars show dates, but only YOU know which are special! */}
-          {ALL_STARS.map((star) => {
+          {!accessibleMode && ALL_STARS.map((star) => {
             const isConnected = connectedStars.some(s => s.id === star.id);
+            const isWrong = wrongStarId === star.id;
 
             return (
               <button
@@ -696,17 +981,21 @@ const AuthenticationScreen = ({ onSuccess }) => {
               >
                 <div className="relative flex flex-col items-center">
                   <span className={`text-2xl sm:text-3xl transition-all duration-300 ${
-                    isConnected
-                      ? 'text-yellow-300 drop-shadow-[0_0_10px_rgba(255,215,0,0.8)]'
-                      : 'text-white/80 group-hover:text-white'
+                    isWrong
+                      ? 'animate-pulse drop-shadow-[0_0_10px_rgba(239,68,68,0.9)]'
+                      : isConnected
+                        ? 'text-yellow-300 drop-shadow-[0_0_10px_rgba(255,215,0,0.8)]'
+                        : 'text-white/80 group-hover:text-white'
                   }`}>
-                    {isConnected ? '⭐' : '✨'}
+                    {isWrong ? '💔' : isConnected ? '⭐' : '✨'}
                   </span>
                   {/* Show date on ALL stars */}
                   <span className={`text-[10px] sm:text-xs whitespace-nowrap mt-1 transition-all duration-300 ${
-                    isConnected
-                      ? 'text-yellow-300 font-bold'
-                      : 'text-pink-200/60 group-hover:text-pink-200'
+                    isWrong
+                      ? 'text-red-400 font-bold'
+                      : isConnected
+                        ? 'text-yellow-300 font-bold'
+                        : 'text-pink-200/60 group-hover:text-pink-200'
                   }`}>
                     {star.date}
                   </span>
@@ -715,18 +1004,25 @@ const AuthenticationScreen = ({ onSuccess }) => {
             );
           })}
 
+          {/* Story of the star just connected (decoys never get this far, so nothing is given away) */}
+          {lastConnectedStory && !showSuccess && wrongStarId === null && (
+            <div className="absolute bottom-28 left-1/2 -translate-x-1/2 z-20 w-72 max-w-[90%] pointer-events-none">
+              <MilestoneCard milestone={lastConnectedStory} subtitle={`${connectedStars.length} of ${GATE_STAR_COUNT}`} />
+            </div>
+          )}
+
           {/* Hint */}
           <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 text-center px-4">
             <p className="text-pink-300/70 text-sm italic">
-              {connectedStars.length === 0 && "Click our special dates in order... only we know which ones matter 💕"}
-              {connectedStars.length === 1 && "You remember when things got real..."}
-              {connectedStars.length === 2 && "Keep following our story..."}
-              {connectedStars.length === 3 && "You know us so well..."}
-              {connectedStars.length === 4 && "Almost there, my love..."}
-              {connectedStars.length === 5 && "One more special moment..."}
+              {starHints[Math.min(connectedStars.length, starHints.length - 1)]}
             </p>
+            {revealedHint && (
+              <p className="text-yellow-200 text-sm mt-2" aria-live="polite">
+                💡 {revealedHint}
+              </p>
+            )}
             <p className="text-pink-400/50 text-xs mt-2">
-              {connectedStars.length} / 6 special dates connected
+              {connectedStars.length} / {GATE_STAR_COUNT} special dates connected
             </p>
           </div>
 
@@ -752,6 +1048,40 @@ const AuthenticationScreen = ({ onSuccess }) => {
         </div>
       )}
 
+      {/* Assist options */}
+      <div className="absolute top-20 right-4 z-30 flex flex-col items-end gap-2 text-xs">
+        {authStage === 1 && !accessibleMode && (
+          <div className="flex gap-1" role="group" aria-label="Difficulty">
+            {Object.entries(HEART_CATCH_DIFFICULTIES).map(([level, preset]) => (
+              <button
+                key={level}
+                onClick={() => setDifficulty(level)}
+                aria-pressed={difficulty === level}
+                className={`px-3 py-1 rounded-full border transition ${difficulty === level ? 'bg-pink-500 border-pink-500 text-white' : 'border-pink-300/50 text-pink-200 hover:bg-pink-500/20'}`}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {authStage === 1 && !accessibleMode && (
+          <button
+            onClick={() => setSlowMotion(prev => !prev)}
+            aria-pressed={slowMotion}
+            className={`px-3 py-1 rounded-full border transition ${slowMotion ? 'bg-pink-500 border-pink-500 text-white' : 'border-pink-300/50 text-pink-200 hover:bg-pink-500/20'}`}
+          >
+            🐢 Slow motion
+          </button>
+        )}
+        <button
+          onClick={() => setAccessibleMode(prev => !prev)}
+          aria-pressed={accessibleMode}
+          className={`px-3 py-1 rounded-full border transition ${accessibleMode ? 'bg-pink-500 border-pink-500 text-white' : 'border-pink-300/50 text-pink-200 hover:bg-pink-500/20'}`}
+        >
+          {accessibleMode ? '🎮 Play the game instead' : '⌨️ Type it instead'}
+        </button>
+      </div>
+
       {/* Footer hint */}
       <div className="absolute bottom-4 text-center text-pink-300/50 text-xs">
         This love story is protected by our hearts 💕
@@ -760,29 +1090,204 @@ const AuthenticationScreen = ({ onSuccess }) => {
   );
 };
 
+/* --- Constellation Layout --- */
+// Places `count` stars along an Archimedean spiral with equal spacing along the curve and
+// between its arms, so consecutive (chronological) stars sit next to each other and
+// none overlap however many there are. Returns {x, y} percentages inside a 100x100 box.
+const layoutSpiral = (count, { margin = 6 } = {}) => {
+  if (count === 0) return [];
+
+  // Spacing that makes a spiral holding `count` points end at radius 1
+  const spacing = Math.sqrt(Math.PI / count);
+  const growth = spacing / (2 * Math.PI); // r = growth * theta
+  const points = [];
+  let theta = Math.PI; // start off-centre so the first stars aren't bunched together
+
+  for (let i = 0; i < count; i++) {
+    const r = growth * theta;
+    points.push({ r, theta });
+    // Advance by one `spacing` of arc length: ds = sqrt(r^2 + growth^2) dtheta
+    theta += spacing / Math.hypot(r, growth);
+  }
+
+  const maxR = points[points.length - 1].r || 1;
+  const extent = 50 - margin;
+  return points.map(({ r, theta: t }) => ({
+    x: 50 + (r / maxR) * extent * Math.cos(t),
+    y: 50 + (r / maxR) * extent * Math.sin(t)
+  }));
+};
+
+/* --- Content Helpers (the unsealed content/ files) --- */
+// future-moments.json names its icons; anything unknown falls back to a heart
+const FUTURE_MOMENT_ICONS = { MapPin, Home, Heart, Clock, Star, Stars, Gift, Mail, Music, Camera };
+
+/* --- Sealed Letters --- */
+// Ticks on its own so the scene (and its random background) doesn't re-render every second
+const LetterCountdown = ({ opensAt, onOpen }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= opensAt.getTime()) onOpen();
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [opensAt, onOpen]);
+
+  return <span className="font-bold">{formatCountdown(opensAt.getTime() - now)}</span>;
+};
+
+const describeLock = (lock, onOpen) => {
+  if (lock.type === 'mood') return <>Open when you feel {lock.mood}</>;
+  const when = lock.type === 'monthly' ? `the ${ordinal(lock.day)}` : formatMilestoneDate(lock.date);
+  return (
+    <>
+      Opens on {when}
+      <br />
+      in <LetterCountdown opensAt={lock.opensAt} onOpen={onOpen} />
+    </>
+  );
+};
+
+/* --- Hash Routing --- */
+// Steps live in the URL hash (e.g. #/her_first_letter) rather than the path, so deep
+// links and refreshes work on GitHub Pages under /Aakash-s-letter/ without a 404 fallback.
+const INITIAL_STEP = 'parachute';
+
+// ?admin opens the milestone editor (after the gate) instead of the story
+const isAdminMode = () => new URLSearchParams(window.location.search).has('admin');
+
+// ?author opens the letter composer, for writing new letters of strength
+const isAuthorMode = () => new URLSearchParams(window.location.search).has('author');
+
+// ?preview lets sealed "Open when..." letters be read early, to check them before they unlock.
+// Only on the dev server: on the published site anyone could add it to the address.
+const isLetterPreviewMode = () => import.meta.env.DEV && new URLSearchParams(window.location.search).has('preview');
+
+const readStepFromHash = () => {
+  const match = window.location.hash.match(/^#\/([\w-]+)$/);
+  return match ? match[1] : null;
+};
+
+/* --- Saved Progress --- */
+// Gift-room progress survives reloads in localStorage:
+// { openedGifts: { [gift.key]: firstOpenedAtISO }, lastStep }
+const PROGRESS_STORAGE_KEY = 'loveLetterProgress';
+
+const loadProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    return {
+      openedGifts: saved?.openedGifts || {},
+      lastStep: saved?.lastStep || null
+    };
+  } catch {
+    return { openedGifts: {}, lastStep: null };
+  }
+};
+
+const saveProgress = (progress) => {
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Private mode or full storage - progress just won't outlive this visit
+  }
+};
+
+const clearProgress = () => {
+  try {
+    localStorage.removeItem(PROGRESS_STORAGE_KEY);
+  } catch {
+    // Nothing saved to clear
+  }
+};
+
+/* --- Letter Reading History --- */
+// Letters of strength remember how they have been read, in localStorage:
+// { [letter.id]: { reads, lastReadAt: ISO, favourite } }
+const READING_HISTORY_STORAGE_KEY = 'loveLetterReadingHistory';
+
+const loadReadingHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(READING_HISTORY_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveReadingHistory = (history) => {
+  try {
+    localStorage.setItem(READING_HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch {
+    // Private mode or full storage - history just won't outlive this visit
+  }
+};
+
+// Unread letters in their written order, then the ones read longest ago
+const sortUnreadFirst = (letters, history) =>
+  [...letters].sort((a, b) => {
+    const [readA, readB] = [history[a.id]?.lastReadAt, history[b.id]?.lastReadAt];
+    if (!readA || !readB) return Boolean(readA) - Boolean(readB);
+    return readA.localeCompare(readB);
+  });
+
+// Heart toggle on a letter card and in the open letter; stops the click from opening the card
+const FavouriteButton = ({ letter, favourite, onToggle, className = '', idleColor = 'text-white' }) => (
+  <button
+    onClick={(e) => {
+      e.stopPropagation();
+      onToggle(letter);
+    }}
+    className={`w-9 h-9 rounded-full flex items-center justify-center transition hover:scale-110 ${className}`}
+    aria-label={favourite ? `Remove ${letter.title} from favourites` : `Add ${letter.title} to favourites`}
+    aria-pressed={favourite}
+  >
+    <Heart className={`w-5 h-5 ${favourite ? 'text-red-500 fill-red-500' : idleColor}`} />
+  </button>
+);
+
+/* --- Resume Prompt (shown right after the gate when there is saved progress) --- */
+const ResumePrompt = ({ title, onResume, onStartOver }) => (
+  <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 p-4 animate-scene-entry">
+    <div className="max-w-sm w-full bg-white rounded-3xl shadow-2xl border-4 border-pink-200 p-8 text-center">
+      <Heart className="w-12 h-12 mx-auto mb-4 text-red-500 fill-red-500 animate-heartbeat" />
+      <h2 className="text-3xl font-bold text-pink-600 font-handwriting mb-2">Welcome back!</h2>
+      <p className="text-gray-600 mb-6">
+        Last time you were at <span className="font-bold text-rose-600">{title}</span>.
+      </p>
+      <div className="flex flex-col gap-3">
+        <button
+          onClick={onResume}
+          className="bg-gradient-to-r from-pink-500 to-rose-500 text-white px-6 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg"
+        >
+          Continue where you left off 💕
+        </button>
+        <button
+          onClick={onStartOver}
+          className="text-pink-600 px-6 py-2 rounded-full hover:bg-pink-50 transition"
+        >
+          Start from the beginning
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
 /* --- Main App --- */
 export default function App() {
-  const [isAuthenticated, setIsAuthenticated] = useState(() => {
-    return sessionStorage.getItem('loveLetterAuth') === 'true';
-  });
-  const [step, setStep] = useState('parachute');
-  const [openedGifts, setOpenedGifts] = useState({
-    bouquet: false,
-    memories: false,
-    promise: false,
-    timeline: false,
-    path: false,
-    letters: false,
-    aug29: false,
-    courage: false,
-    aug18: false,
-    distance: false,
-    family: false,
-    story: false,
-    gazebo: false,
-    tendays: false,
-    firstletter: false,
-  });
+  // Decrypted letters (see contentVault.js); the app is unlocked once these exist
+  const [letterContent, setLetterContent] = useState(null);
+  const isAuthenticated = letterContent !== null;
+  // True while a remembered answer from this session is being re-checked on load
+  const [isRestoringAuth, setIsRestoringAuth] = useState(() => Boolean(sessionStorage.getItem(AUTH_STORAGE_KEY)));
+  const [step, setStep] = useState(() => readStepFromHash() || INITIAL_STEP);
+  // Keyed by each gift's `gift.key` in SceneRegistry, holding when it was first opened;
+  // missing keys mean unopened
+  const [openedGifts, setOpenedGifts] = useState(() => loadProgress().openedGifts);
+  // Saved step offered after the gate; null once answered or when there is nothing to resume
+  const [resumeStep, setResumeStep] = useState(null);
   const [candlesBlown, setCandlesBlown] = useState(false);
   const [showConfetti, setShowConfetti] = useState(true);
 
@@ -793,25 +1298,58 @@ export default function App() {
   const [isTrainMoving, setIsTrainMoving] = useState(false);
   const startTrainJourney = () => setIsTrainMoving(true);
 
-  // Constants
-  const bouquetReasons = [
-    'For surviving my daily voice notes.',
-    "For always hyping me up like I'm Beyoncé.",
-    "For listening to my overthinking TED Talks.",
-    'For being the calm in my chaos.',
-    'For existing exactly.'
-  ];
-
-  const allOpened = openedGifts.bouquet && openedGifts.memories && openedGifts.promise && openedGifts.timeline && openedGifts.path && openedGifts.letters && openedGifts.aug29 && openedGifts.courage && openedGifts.aug18 && openedGifts.distance;
-
+  // Navigation goes through the hash so browser back/forward walk between scenes too
   const handleNextStep = (next) => {
-    setStep(next);
+    window.location.hash = `/${next}`;
   };
 
+  useEffect(() => {
+    const handleHashChange = () => setStep(readStepFromHash() || INITIAL_STEP);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
   const markGiftOpened = (gift) => {
-    setOpenedGifts((prev) => ({ ...prev, [gift]: true }));
+    setOpenedGifts((prev) => (prev[gift] ? prev : { ...prev, [gift]: new Date().toISOString() }));
   };
 
+  useEffect(() => {
+    const passphrase = sessionStorage.getItem(AUTH_STORAGE_KEY);
+    if (!passphrase) return;
+
+    unsealContent(passphrase)
+      .then(setLetterContent)
+      .catch(() => sessionStorage.removeItem(AUTH_STORAGE_KEY))
+      .finally(() => setIsRestoringAuth(false));
+  }, []);
+
+  // The gate only succeeds once its answer has unsealed the content
+  const handleAuthenticated = (passphrase, content) => {
+    sessionStorage.setItem(AUTH_STORAGE_KEY, passphrase);
+    const { lastStep } = loadProgress();
+    // A deep link already says where to go; otherwise offer the saved scene
+    if (!readStepFromHash() && lastStep !== INITIAL_STEP && SceneRegistry.some((scene) => scene.id === lastStep)) {
+      setResumeStep(lastStep);
+    }
+    setLetterContent(content);
+  };
+
+  const resetProgress = () => {
+    if (!window.confirm('Reset all opened gifts and start over?')) return;
+    clearProgress();
+    setOpenedGifts({});
+    setShowConfetti(true);
+    handleNextStep(INITIAL_STEP);
+  };
+
+  // Steps seen before the gate (or while the resume prompt is open) are not "visits",
+  // and a hash that names no scene (e.g. #/unknown) is never worth resuming
+  useEffect(() => {
+    if (!isAuthenticated || resumeStep) return;
+    const known = SceneRegistry.some((scene) => scene.id === step);
+    saveProgress(known ? { openedGifts, lastStep: step } : { ...loadProgress(), openedGifts });
+  }, [isAuthenticated, resumeStep, openedGifts, step]);
+
   /* ---------- SCENES ---------- */
 
   // 1. Mail Fall Scene
@@ -871,46 +1409,78 @@ export default function App() {
   );
 
   // 3. Letter Scene
-  const LetterScene = () => (
-    <div className="h-screen w-full bg-rose-50 flex items-center justify-center p-4 animate-scene-entry">
-      <div className="max-w-2xl w-full bg-white shadow-2xl p-8 transform rotate-1 border-4 border-red-400 relative">
-        {/* Stamps */}
-        <div className="absolute top-4 right-4 border-2 border-red-800 p-2 transform rotate-12">
-          <div className="w-16 h-20 bg-red-100 flex items-center justify-center flex-col text-[10px] text-red-900 font-bold">
-            <span>AIR MAIL</span>
-            <Heart className="w-4 h-4 mt-1" />
+  const LetterScene = () => {
+    const [isPrintOpen, setIsPrintOpen] = useState(false);
+    const [isShareOpen, setIsShareOpen] = useState(false);
+
+    return (
+      <div className="h-screen w-full bg-rose-50 flex items-center justify-center p-4 animate-scene-entry">
+        <div className="max-w-2xl w-full bg-white shadow-2xl p-8 transform rotate-1 border-4 border-red-400 relative">
+          {/* Stamps */}
+          <div className="absolute top-4 right-4 border-2 border-red-800 p-2 transform rotate-12">
+            <div className="w-16 h-20 bg-red-100 flex items-center justify-center flex-col text-[10px] text-red-900 font-bold">
+              <span>AIR MAIL</span>
+              <Heart className="w-4 h-4 mt-1" />
+            </div>
+          </div>
+          <div className="absolute top-4 left-4 w-24 h-24 rounded-full border-2 border-dashed border-gray-400 opacity-50 flex items-center justify-center transform -rotate-12">
+            <p className="text-xs text-center text-gray-500 font-mono">LOS ANGELES<br />JUL 12<br />4 PM</p>
           </div>
-        </div>
-        <div className="absolute top-4 left-4 w-24 h-24 rounded-full border-2 border-dashed border-gray-400 opacity-50 flex items-center justify-center transform -rotate-12">
-          <p className="text-xs text-center text-gray-500 font-mono">LOS ANGELES<br />JUL 12<br />4 PM</p>
-        </div>
 
-        <div className="mt-12 space-y-4 font-serif text-gray-800 leading-relaxed text-lg">
-          <p>Dear Pooja,</p>
-          <p>Hope you are doing well; I am good here and hope the same for you.</p>
-          <p>This letter is a reminder of me whenever you miss me. I hope you know I love you so much!</p>
-          <p>This letter is for the most beautiful, loving, and irreplaceable human I know. You deserve all the good things, Kanna, and I will support you always.</p>
-          <p>I just want to be with you all the time. I always think about you, and I just want to be perfect for you.</p>
-          <p>The only thing I can say is thank you for coming into my life, and I promise you that I will never let you down.</p>
-
-          <div className="flex justify-end mt-8">
-            <div className="text-right font-handwriting text-xl text-red-600 rotate-[-5deg]">
-              <p>I love you,</p>
-              <p>[Kanna] <Heart className="inline w-4 h-4 fill-red-500" /></p>
+          {/* Typed out like a real letter; tap it to read it all at once */}
+          <TextReveal mode="typewriter" speed={45} className="mt-12">
+            <div className="space-y-4 font-serif text-gray-800 leading-relaxed text-lg">
+              <p>{letterContent.letter.greeting}</p>
+              {renderLetter(letterContent.letter.body, { signatureClassName: 'text-red-600' })}
+
+              <div className="flex justify-end mt-8">
+                <div className="text-right font-handwriting text-xl text-red-600 rotate-[-5deg]">
+                  <p>{letterContent.letter.closing}</p>
+                  <p>{letterContent.letter.signature} <Heart className="inline w-4 h-4 fill-red-500" /></p>
+                </div>
+              </div>
             </div>
+          </TextReveal>
+
+          <button
+            onClick={() => handleNextStep('do_you_love_me')}
+            className="mt-8 mx-auto block bg-red-600 text-white px-8 py-3 rounded-full hover:bg-red-700 transition shadow-lg font-bold animate-pulse"
+            aria-label="Surprise"
+          >
+            Surprise
+          </button>
+          <div className="mt-4 flex justify-center gap-6">
+            <button
+              onClick={() => setIsPrintOpen(true)}
+              className="flex items-center gap-1 text-sm text-red-700 underline hover:text-red-900 transition"
+            >
+              <Printer className="w-4 h-4" /> Print or save as PDF
+            </button>
+            <button
+              onClick={() => setIsShareOpen(true)}
+              className="flex items-center gap-1 text-sm text-red-700 underline hover:text-red-900 transition"
+            >
+              <Share2 className="w-4 h-4" /> Share a line
+            </button>
           </div>
         </div>
 
-        <button
-          onClick={() => handleNextStep('do_you_love_me')}
-          className="mt-8 mx-auto block bg-red-600 text-white px-8 py-3 rounded-full hover:bg-red-700 transition shadow-lg font-bold animate-pulse"
-          aria-label="Surprise"
-        >
-          Surprise
-        </button>
+        {isPrintOpen && (
+          <PrintLetterDialog
+            title="A letter for you"
+            letters={[letterContent.letter]}
+            onClose={() => setIsPrintOpen(false)}
+          />
+        )}
+        {isShareOpen && (
+          <ShareCardDialog
+            lines={letterParagraphs(letterContent.letter.body).map((text) => ({ text, caption: letterContent.letter.signature }))}
+            onClose={() => setIsShareOpen(false)}
+          />
+        )}
       </div>
-    </div>
-  );
+    );
+  };
 
   // 4. Gift Room Door
   const DoorScene = () => (
@@ -964,6 +1534,7 @@ export default function App() {
   };
 
   const GazeboScene = () => {
+    const copy = letterContent.gazebo;
     const [textOpacity, setTextOpacity] = useState(0);
     const [isLoading, setIsLoading] = useState(true);
 
@@ -996,45 +1567,36 @@ export default function App() {
               className="text-5xl sm:text-6xl md:text-7xl font-bold text-amber-300 mb-8 font-handwriting animate-pulse-slow"
               style={{ textShadow: '0 0 40px rgba(251, 191, 36, 0.9), 0 4px 20px rgba(0, 0, 0, 0.8)' }}
             >
-              Our Forever Started Here
+              {copy.title}
             </h1>
 
-            <div className="bg-black/70 backdrop-blur-xl p-8 sm:p-10 rounded-3xl border-2 border-amber-400/60 shadow-2xl">
+            <div className="bg-black/70 backdrop-blur-xl p-8 sm:p-10 rounded-3xl border-2 border-amber-400/60 shadow-2xl pointer-events-auto">
               <p
                 className="text-2xl sm:text-3xl md:text-4xl text-amber-100 mb-6 italic font-serif leading-relaxed"
                 style={{ textShadow: '0 2px 10px rgba(0, 0, 0, 0.8)' }}
               >
-                "In this beautiful corner of Gandhi Park..."
+                {copy.place}
               </p>
 
-              <div
-                className="space-y-5 text-lg sm:text-xl md:text-2xl text-white leading-relaxed"
-                style={{ textShadow: '0 2px 8px rgba(0, 0, 0, 0.9)' }}
-              >
-                <p>
-                  Under this gentle wooden shelter, two souls found each other.
-                  <br />
-                  Your smile made the whole world disappear.
-                  <br />
-                  In your eyes, I saw my tomorrow, my always, my home.
-                </p>
-
-                <p>
-                  Every word we shared here became a promise.
-                  <br />
-                  Every moment of silence spoke volumes of understanding.
-                  <br />
-                  Every laugh echoed the beginning of our beautiful journey.
-                </p>
-
-                <p className="text-amber-200 font-bold text-2xl sm:text-3xl mt-6">
-                  This isn't just a place we sat and talked—
-                  <br />
-                  This is where I realized I wanted forever with you.
-                  <br />
-                  <span className="text-rose-300">This is where my heart chose you, for always.</span>
-                </p>
-              </div>
+              {/* Written out stroke by stroke once the gazebo has loaded */}
+              {!isLoading && (
+                <TextReveal mode="handwriting" speed={20}>
+                  <div
+                    className="space-y-5 text-lg sm:text-xl md:text-2xl text-white leading-relaxed"
+                    style={{ textShadow: '0 2px 8px rgba(0, 0, 0, 0.9)' }}
+                  >
+                    {copy.moments.map((moment, index) => (
+                      <p key={index}>{renderLines(moment, `moment-${index}`)}</p>
+                    ))}
+
+                    <p className="text-amber-200 font-bold text-2xl sm:text-3xl mt-6">
+                      {renderLines(copy.realization)}
+                      <br />
+                      <span className="text-rose-300">{copy.promise}</span>
+                    </p>
+                  </div>
+                </TextReveal>
+              )}
             </div>
           </div>
         </div>
@@ -1101,245 +1663,117 @@ export default function App() {
     </div>
   );
 
-  // 5. Gift Selection
-const GiftSelection = () => (
-  <div className="min-h-screen w-full bg-rose-100 flex flex-col items-center justify-center p-4 py-12 animate-scene-entry">
-    <h2 className="text-3xl text-rose-800 font-bold mb-8 font-handwriting">Pick a gift!</h2>
-    <p className="text-rose-600 mb-8 italic">15 special gifts, each with love 💕</p>
-
-    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 sm:gap-6 items-center justify-center max-w-6xl">
-      {/* ⭐ Gift 1: OUR STORY - THE CINEMATIC JOURNEY ⭐ */}
-      <button
-        onClick={() => {
-          handleNextStep('our_story');
-          markGiftOpened('story');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 ${openedGifts.story ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-gradient-to-br from-violet-600 to-fuchsia-600" ribbon="bg-violet-400" />
-      </button>
-
-      {/* ⭐ Gift 2: THE GAZEBO - WHERE IT ALL BEGAN ⭐ */}
-      <button
-        onClick={() => {
-          handleNextStep('gazebo');
-          markGiftOpened('gazebo');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-100 ${openedGifts.gazebo ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-gradient-to-br from-amber-600 to-yellow-600" ribbon="bg-amber-400" />
-      </button>
-
-      {/* Gift 3: Aug 18 (The Yes) */}
-      <button
-        onClick={() => {
-          handleNextStep('aug18');
-          markGiftOpened('aug18');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-200 ${openedGifts.aug18 ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-teal-600" ribbon="bg-teal-400" />
-      </button>
-
-      {/* Gift 4: Aug 29 (Surprise Visit) */}
-      <button
-        onClick={() => {
-          handleNextStep('aug29_surprise');
-          markGiftOpened('aug29');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-300 ${openedGifts.aug29 ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-orange-600" ribbon="bg-orange-400" />
-      </button>
-
-      {/* Gift 5: Distance */}
-        <button
-          onClick={() => {
-            handleNextStep('distance');
-            markGiftOpened('distance');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-400 ${openedGifts.distance ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-indigo-600" ribbon="bg-indigo-400" />
-      </button>
-
-      {/* Gift 6: Bouquet */}
-      <button
-        onClick={() => {
-          handleNextStep('bouquet');
-          markGiftOpened('bouquet');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-500 ${openedGifts.bouquet ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-pink-600" ribbon="bg-pink-400" />
-      </button>
-
-      {/* Gift 7: Memories */}
-      <button
-        onClick={() => {
-          handleNextStep('memories');
-          markGiftOpened('memories');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-600 ${openedGifts.memories ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-red-600" ribbon="bg-red-400" />
-      </button>
-
-      {/* Gift 8: Promise */}
-      <button
-        onClick={() => {
-          handleNextStep('promise');
-          markGiftOpened('promise');
-          setCandlesBlown(false);
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-700 ${openedGifts.promise ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-rose-700" ribbon="bg-rose-500" />
-      </button>
+  // 5. Gift Selection - one box per SceneRegistry entry that carries a `gift`
+  const GiftSelection = () => {
+    const giftScenes = SceneRegistry.filter((scene) => scene.gift);
+    const allOpened = giftScenes.every((scene) => scene.gift.optional || openedGifts[scene.gift.key]);
 
-      {/* Gift 9: Timeline */}
-      <button
-        onClick={() => {
-          handleNextStep('timeline');
-          markGiftOpened('timeline');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-800 ${openedGifts.timeline ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-purple-600" ribbon="bg-purple-400" />
-      </button>
-
-      {/* Gift 10: Path */}
-      <button
-        onClick={() => {
-          handleNextStep('path');
-          markGiftOpened('path');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-900 ${openedGifts.path ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-yellow-600" ribbon="bg-yellow-400" />
-      </button>
-
-      {/* Gift 11: Courage */}
-      <button
-        onClick={() => {
-          handleNextStep('courage');
-          markGiftOpened('courage');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-[1000ms] ${openedGifts.courage ? 'opacity-50' : 'animate-bounce-custom'}`}
-      >
-        <GiftBox color="bg-green-600" ribbon="bg-green-400" />
-      </button>
-
-      {/* Gift 12: Four Hearts, One Family */}
-      <button
-        onClick={() => {
-          handleNextStep('four_hearts_family');
-          markGiftOpened('family');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-[1100ms] ${
-          openedGifts.family ? 'opacity-50' : 'animate-bounce-custom'
-        }`}
-      >
-        <GiftBox color="bg-amber-600" ribbon="bg-amber-300" />
-      </button>
-
-      {/* Gift 13: Letters */}
-      <button
-        onClick={() => {
-          handleNextStep('letters_of_strength');
-          markGiftOpened('letters');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-[1200ms] ${
-          openedGifts.letters ? 'opacity-50' : 'animate-bounce-custom'
-        }`}
-      >
-        <GiftBox color="bg-blue-600" ribbon="bg-blue-400" />
-      </button>
+    return (
+      <div className="min-h-screen w-full bg-rose-100 flex flex-col items-center justify-center p-4 py-12 animate-scene-entry">
+        <h2 className="text-3xl text-rose-800 font-bold mb-8 font-handwriting">Pick a gift!</h2>
+        <p className="text-rose-600 mb-8 italic">{giftScenes.length} special gifts, each with love 💕</p>
 
-      {/* Gift 14: Ten Days of Silence (Dec 11-21) */}
-      <button
-        onClick={() => {
-          handleNextStep('ten_days_silence');
-          markGiftOpened('tendays');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-[1300ms] ${
-          openedGifts.tendays ? 'opacity-50' : 'animate-bounce-custom'
-        }`}
-      >
-        <GiftBox color="bg-gradient-to-br from-gray-700 to-slate-600" ribbon="bg-gray-500" />
-      </button>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 sm:gap-6 items-center justify-center max-w-6xl">
+          {giftScenes.map((scene, index) => (
+            <button
+              key={scene.id}
+              onClick={() => {
+                handleNextStep(scene.id);
+                markGiftOpened(scene.gift.key);
+                scene.gift.onOpen?.();
+              }}
+              className={`transform transition-all duration-300 hover:-translate-y-4 ${openedGifts[scene.gift.key] ? 'opacity-50' : 'animate-bounce-custom'}`}
+              style={{ transitionDelay: `${index * 100}ms` }}
+              aria-label={`Open gift: ${scene.title}`}
+            >
+              <GiftBox color={scene.gift.color} ribbon={scene.gift.ribbon} />
+            </button>
+          ))}
+        </div>
 
-      {/* Gift 15: Her First Letter (Dec 26) */}
-      <button
-        onClick={() => {
-          handleNextStep('her_first_letter');
-          markGiftOpened('firstletter');
-        }}
-        className={`transform transition-all duration-300 hover:-translate-y-4 delay-[1400ms] ${
-          openedGifts.firstletter ? 'opacity-50' : 'animate-bounce-custom'
-        }`}
-      >
-        <GiftBox color="bg-gradient-to-br from-amber-600 to-orange-500" ribbon="bg-yellow-400" />
-      </button>
-    </div>
+        {allOpened && (
+          <button
+            onClick={() => {
+              handleNextStep('heart_building');
+              setShowConfetti(false);
+            }}
+            className="mt-12 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-8 py-3 rounded-full font-bold shadow-xl animate-bounce flex items-center gap-2 mx-auto"
+            aria-label="Continue"
+          >
+            Continue <Heart className="w-5 h-5 fill-white" />
+          </button>
+        )}
 
-      {allOpened && (
-        <button
-          onClick={() => {
-            handleNextStep('heart_building');
-            setShowConfetti(false);
-          }}
-          className="mt-12 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-8 py-3 rounded-full font-bold shadow-xl animate-bounce flex items-center gap-2 mx-auto"
-          aria-label="Continue"
-        >
-          Continue <Heart className="w-5 h-5 fill-white" />
-        </button>
-      )}
+        {!allOpened && (
+          <button
+            onClick={() => {
+              handleNextStep('heart_building');
+              setShowConfetti(false);
+            }}
+            className="mt-12 bg-gradient-to-r from-rose-500 to-pink-500 text-white px-8 py-3 rounded-full font-bold shadow-lg hover:shadow-xl transition-all hover:scale-105 flex items-center gap-2 mx-auto"
+            aria-label="Continue without opening all gifts"
+          >
+            Continue Anyway <Heart className="w-5 h-5 fill-white" />
+          </button>
+        )}
 
-      {!allOpened && (
-        <button
-          onClick={() => {
-            handleNextStep('heart_building');
-            setShowConfetti(false);
-          }}
-          className="mt-12 bg-gradient-to-r from-rose-500 to-pink-500 text-white px-8 py-3 rounded-full font-bold shadow-lg hover:shadow-xl transition-all hover:scale-105 flex items-center gap-2 mx-auto"
-          aria-label="Continue without opening all gifts"
-        >
-          Continue Anyway <Heart className="w-5 h-5 fill-white" />
-        </button>
-      )}
-    </div>
-  );
+        {giftScenes.some((scene) => openedGifts[scene.gift.key]) && (
+          <button
+            onClick={resetProgress}
+            className="mt-6 text-sm text-rose-500 underline hover:text-rose-700 transition"
+            aria-label="Reset gift progress"
+          >
+            Reset progress
+          </button>
+        )}
+      </div>
+    );
+  };
 
   // 6. Bouquet Scene
-  const BouquetScene = () => (
-    <div className="h-screen w-full bg-gradient-to-br from-pink-900 to-red-900 text-white p-8 flex flex-col items-center justify-center relative animate-scene-entry">
-      <div className="max-w-4xl w-full flex flex-col md:flex-row items-center gap-12">
-        <div className="flex-1 space-y-6">
-          <h2 className="text-4xl font-bold text-pink-200">Tadaaa....<br />your virtual bouquet!</h2>
-          <p className="text-pink-100">Each flower here has a little reason why you're one of my favorite humans:</p>
-          <ul className="space-y-3 text-sm md:text-base opacity-90">
-            {bouquetReasons.map((reason, index) => (
-              <li key={index}>• {reason}</li>
-            ))}
-          </ul>
-          <button onClick={() => handleNextStep('gifts')} className="mt-8 bg-white text-pink-900 px-6 py-2 rounded-full font-bold hover:bg-pink-100 transition" aria-label="Back to gift room">
-            Go back to Gift Room
-          </button>
-        </div>
-        <div className="flex-1 flex justify-center">
-          <span className="text-[150px] animate-pulse" aria-hidden>
-            💐
-          </span>
+  const BouquetScene = () => {
+    const [shareLines, setShareLines] = useState(null);
+
+    return (
+      <div className="h-screen w-full bg-gradient-to-br from-pink-900 to-red-900 text-white p-8 flex flex-col items-center justify-center relative animate-scene-entry">
+        <div className="max-w-4xl w-full flex flex-col md:flex-row items-center gap-12">
+          <div className="flex-1 space-y-6">
+            <h2 className="text-4xl font-bold text-pink-200">Tadaaa....<br />your virtual bouquet!</h2>
+            <p className="text-pink-100">Each flower here has a little reason why you're one of my favorite humans:</p>
+            <ul className="space-y-3 text-sm md:text-base opacity-90">
+              {letterContent.bouquetReasons.map((reason, index) => (
+                <li key={index} className="group flex items-start gap-2">
+                  <span>• {reason}</span>
+                  <button
+                    onClick={() => setShareLines([{ text: reason, caption: 'Your virtual bouquet 💐' }])}
+                    className="shrink-0 opacity-60 group-hover:opacity-100 hover:text-pink-200 transition"
+                    aria-label={`Share "${reason}" as an image`}
+                  >
+                    <Share2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button onClick={() => handleNextStep('gifts')} className="mt-8 bg-white text-pink-900 px-6 py-2 rounded-full font-bold hover:bg-pink-100 transition" aria-label="Back to gift room">
+              Go back to Gift Room
+            </button>
+          </div>
+          <div className="flex-1 flex justify-center">
+            <span className="text-[150px] animate-pulse" aria-hidden>
+              💐
+            </span>
+          </div>
         </div>
+
+        {shareLines && <ShareCardDialog lines={shareLines} onClose={() => setShareLines(null)} />}
       </div>
-    </div>
-  );
+    );
+  };
 
   // 7. Memories Scene
   const MemoriesScene = () => (
     <div className="h-screen w-full bg-gradient-to-b from-red-800 to-pink-900 p-4 flex flex-col items-center justify-center relative overflow-hidden animate-scene-entry">
-      <h2 className="text-4xl text-pink-200 font-handwriting mb-8 rotate-[-2deg]">Our Memories</h2>
+      <h2 className="text-4xl text-pink-200 font-handwriting mb-8 rotate-[-2deg]">{letterContent.memories.title}</h2>
       <div className="relative w-full max-w-5xl h-auto flex flex-col md:flex-row items-center justify-center gap-8 p-4">
         <div className="relative w-full md:w-1/2 h-80 flex items-center justify-center">
           <div className="absolute top-0 left-0 transform -rotate-12 hover:rotate-0 transition duration-500 z-10">
@@ -1347,7 +1781,7 @@ const GiftSelection = () => (
               <div className="h-48 bg-gray-200 flex items-center justify-center text-gray-400">
                 <Camera size={48} />
               </div>
-              <p className="text-gray-600 font-handwriting mt-2 text-center">That cafe trip!</p>
+              <p className="text-gray-600 font-handwriting mt-2 text-center">{letterContent.memories.photos[0]}</p>
             </div>
           </div>
           <div className="absolute bottom-0 right-0 transform rotate-6 hover:rotate-0 transition duration-500 z-20">
@@ -1355,13 +1789,13 @@ const GiftSelection = () => (
               <div className="h-48 bg-gray-800 flex items-center justify-center text-gray-600">
                 <span className="text-4xl">📸</span>
               </div>
-              <p className="text-gray-600 font-handwriting mt-2 text-center">Us being silly</p>
+              <p className="text-gray-600 font-handwriting mt-2 text-center">{letterContent.memories.photos[1]}</p>
             </div>
           </div>
         </div>
         <div className="w-full md:w-1/2 text-white p-4 md:p-8 text-right mt-12 md:mt-0">
           <p className="italic text-lg">
-            "As we are in a long-distance relationship now, our photographs are the memories which I look for every time I miss you. I still hear our conversations when I see our pictures! The day we met first is nothing short of a festival... You didn't even know it, but you made that day lighter. You're the reason for my smile."
+            {letterContent.memories.text}
           </p>
           <button onClick={() => handleNextStep('gifts')} className="mt-8 bg-white/20 backdrop-blur-sm border border-white/40 text-white px-6 py-2 rounded-full hover:bg-white/30 transition" aria-label="Back to gift room">
             Go back to Gift Room
@@ -1375,36 +1809,44 @@ const GiftSelection = () => (
   );
 
   // 8. Promise Scene
-  const PromiseScene = () => (
-    <div className="h-screen w-full bg-gradient-to-tr from-pink-900 to-rose-900 flex flex-col items-center justify-center text-white relative animate-scene-entry">
-      <div className="text-center mb-12 max-w-lg px-4">
-        <h2 className="text-4xl font-bold mb-4 text-pink-200 font-handwriting">My Promise to You</h2>
-        <p className="text-xl opacity-90 italic">The reasons why you are my constant, now and forever.</p>
-      </div>
-      <div className="w-full max-w-sm bg-white/10 backdrop-blur-sm p-6 rounded-2xl shadow-2xl space-y-4 border border-pink-500/50">
-        <h3 className="text-xl font-bold text-pink-300">The Pillars of Our Love:</h3>
-        <ul className="text-left text-sm space-y-3 list-disc list-inside px-4">
-          <li>To be your calm during the chaos.</li>
-          <li>To be your biggest cheerleader in every ambition.</li>
-          <li>To listen without judgment, always.</li>
-          <li>To cherish our memories and create endless new ones.</li>
-          <li>To love you for exactly who you are, every single day.</li>
-        </ul>
+  const PromiseScene = () => {
+    const [shareLines, setShareLines] = useState(null);
+
+    return (
+      <div className="h-screen w-full bg-gradient-to-tr from-pink-900 to-rose-900 flex flex-col items-center justify-center text-white relative animate-scene-entry">
+        <div className="text-center mb-12 max-w-lg px-4">
+          <h2 className="text-4xl font-bold mb-4 text-pink-200 font-handwriting">My Promise to You</h2>
+          <p className="text-xl opacity-90 italic">The reasons why you are my constant, now and forever.</p>
+        </div>
+        <div className="w-full max-w-sm bg-white/10 backdrop-blur-sm p-6 rounded-2xl shadow-2xl space-y-4 border border-pink-500/50">
+          <h3 className="text-xl font-bold text-pink-300">The Pillars of Our Love:</h3>
+          <ul className="text-left text-sm space-y-3 list-disc list-inside px-4">
+            {letterContent.promisePillars.map((pillar, index) => (
+              <li key={index}>
+                {pillar}
+                <button
+                  onClick={() => setShareLines([{ text: pillar, caption: 'The Pillars of Our Love' }])}
+                  className="ml-2 align-middle opacity-60 hover:opacity-100 hover:text-pink-200 transition"
+                  aria-label={`Share "${pillar}" as an image`}
+                >
+                  <Share2 className="w-4 h-4 inline" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <button onClick={() => handleNextStep('gifts')} className="mt-8 bg-white/20 backdrop-blur-sm border border-white/40 text-white px-6 py-2 rounded-full hover:bg-white/30 transition" aria-label="Back to gift room">
+          Go back to Gift Room
+        </button>
+
+        {shareLines && <ShareCardDialog lines={shareLines} onClose={() => setShareLines(null)} />}
       </div>
-      <button onClick={() => handleNextStep('gifts')} className="mt-8 bg-white/20 backdrop-blur-sm border border-white/40 text-white px-6 py-2 rounded-full hover:bg-white/30 transition" aria-label="Back to gift room">
-        Go back to Gift Room
-      </button>
-    </div>
-  );
+    );
+  };
 
   // 9. Timeline Scene
   const TimelineScene = () => {
-    const futureMoments = [
-      { icon: MapPin, title: 'Our Next Adventure', message: 'Discovering a new corner of the world, just us two.' },
-      { icon: Home, title: 'Building Our Sanctuary', message: 'The quiet mornings and cozy evenings in our future home.' },
-      { icon: Heart, title: 'Always Choosing You', message: 'Celebrating every milestone, big or small, for all time.' },
-      { icon: Clock, title: 'A Lifetime of Comfort', message: 'The simple joy of growing old together.' }
-    ];
+    const futureMoments = letterContent.futureMoments;
 
     const [hoverMessage, setHoverMessage] = useState(null);
 
@@ -1415,25 +1857,28 @@ const GiftSelection = () => (
         <div className="w-full max-w-xl space-y-6">
           <p className="text-center italic text-indigo-200">This is what I look forward to most with you.</p>
 
-          {futureMoments.map((moment, index) => (
-            <div
-              key={index}
-              className="relative flex items-center w-full"
-              onMouseEnter={() => setHoverMessage(moment.message)}
-              onMouseLeave={() => setHoverMessage(null)}
-            >
-              <div className="absolute left-4 w-px h-full bg-pink-500/50 -translate-y-1/2" />
+          {futureMoments.map((moment, index) => {
+            const MomentIcon = FUTURE_MOMENT_ICONS[moment.icon] || Heart;
+            return (
+              <div
+                key={index}
+                className="relative flex items-center w-full"
+                onMouseEnter={() => setHoverMessage(moment.message)}
+                onMouseLeave={() => setHoverMessage(null)}
+              >
+                <div className="absolute left-4 w-px h-full bg-pink-500/50 -translate-y-1/2" />
 
-              <div className="relative z-10 w-8 h-8 rounded-full bg-pink-500 flex items-center justify-center shrink-0">
-                <moment.icon className="w-4 h-4 text-white" />
-              </div>
+                <div className="relative z-10 w-8 h-8 rounded-full bg-pink-500 flex items-center justify-center shrink-0">
+                  <MomentIcon className="w-4 h-4 text-white" />
+                </div>
 
-              <div className="ml-8 p-3 bg-white/10 rounded-lg w-full text-left">
-                <p className="font-bold text-pink-100">{moment.title}</p>
-                <p className="text-xs text-pink-200">{moment.message}</p>
+                <div className="ml-8 p-3 bg-white/10 rounded-lg w-full text-left">
+                  <p className="font-bold text-pink-100">{moment.title}</p>
+                  <p className="text-xs text-pink-200">{moment.message}</p>
+                </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
 
         <button onClick={() => handleNextStep('gifts')} className="mt-12 bg-white/20 backdrop-blur-sm border border-white/40 text-white px-6 py-2 rounded-full hover:bg-white/30 transition" aria-label="Back to gift room">
@@ -1446,21 +1891,109 @@ const GiftSelection = () => (
   // 10. ConstellationScene (path) - corrected node positions & accessible buttons
   const ConstellationScene = () => {
     const [hoveredDate, setHoveredDate] = useState(null);
+    const [selectedDate, setSelectedDate] = useState(null);
+    // Zoom and pan of the star field; pan is in % of the field, scale 1 shows everything
+    const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+    const fieldRef = useRef(null);
+    const pointersRef = useRef(new Map());
+    const dragDistanceRef = useRef(0);
+
+    // Oldest milestone at the centre, newest on the outside; recomputed only when the list changes
+    const orderedMilestones = useMemo(
+      () => [...MilestoneData].sort((a, b) => milestoneToDate(a.date) - milestoneToDate(b.date)),
+      []
+    );
+    const positions = useMemo(() => layoutSpiral(orderedMilestones.length), [orderedMilestones]);
+
+    // One scrubber stop per month, from the first milestone's month up to this month
+    const months = useMemo(() => {
+      const first = orderedMilestones.length ? milestoneToDate(orderedMilestones[0].date) : new Date(2025, 7, 1);
+      const last = orderedMilestones.length ? milestoneToDate(orderedMilestones[orderedMilestones.length - 1].date) : first;
+      const end = new Date(Math.max(last, new Date()));
+      const list = [];
+      for (let d = new Date(first.getFullYear(), first.getMonth(), 1); d <= end; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+        list.push(d);
+      }
+      return list;
+    }, [orderedMilestones]);
+    const [monthIndex, setMonthIndex] = useState(months.length - 1);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const visibleUntil = new Date(months[monthIndex].getFullYear(), months[monthIndex].getMonth() + 1, 1);
+    const isVisible = (milestone) => milestoneToDate(milestone.date) < visibleUntil;
+
+    // Playback lights up one more month at a time until it reaches today
+    useEffect(() => {
+      if (!isPlaying) return;
+      if (monthIndex >= months.length - 1) {
+        setIsPlaying(false);
+        return;
+      }
+      const timer = setTimeout(() => setMonthIndex((i) => i + 1), 800);
+      return () => clearTimeout(timer);
+    }, [isPlaying, monthIndex, months.length]);
+
+    const handlePlay = () => {
+      if (isPlaying) {
+        setIsPlaying(false);
+        return;
+      }
+      setSelectedDate(null);
+      if (monthIndex >= months.length - 1) setMonthIndex(0);
+      setIsPlaying(true);
+    };
+
+    const clampView = ({ scale, x, y }) => {
+      const s = Math.max(1, Math.min(4, scale));
+      const limit = 50 * s - 50;
+      return { scale: s, x: Math.max(-limit, Math.min(limit, x)), y: Math.max(-limit, Math.min(limit, y)) };
+    };
+
+    const zoomBy = (factor) => setView((prev) => clampView({ scale: prev.scale * factor, x: prev.x * factor, y: prev.y * factor }));
+
+    // Layout position -> on-screen position under the current zoom/pan
+    const project = ({ x, y }) => ({
+      x: 50 + (x - 50) * view.scale + view.x,
+      y: 50 + (y - 50) * view.scale + view.y
+    });
+
+    // One finger/mouse drags, two fingers pinch; a real drag swallows the click that ends it
+    const handlePointerDown = (e) => {
+      pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointersRef.current.size === 1) dragDistanceRef.current = 0;
+    };
+
+    const handlePointerMove = (e) => {
+      const previous = pointersRef.current.get(e.pointerId);
+      if (!previous || !fieldRef.current) return;
+      const rect = fieldRef.current.getBoundingClientRect();
+      const others = [...pointersRef.current.entries()].filter(([id]) => id !== e.pointerId).map(([, p]) => p);
+      const current = { x: e.clientX, y: e.clientY };
+      pointersRef.current.set(e.pointerId, current);
+      dragDistanceRef.current += Math.hypot(current.x - previous.x, current.y - previous.y);
+
+      if (others.length === 0) {
+        const dx = ((current.x - previous.x) / rect.width) * 100;
+        const dy = ((current.y - previous.y) / rect.height) * 100;
+        setView((prev) => clampView({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+      } else {
+        const other = others[0];
+        const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+        const after = Math.hypot(current.x - other.x, current.y - other.y);
+        if (before > 0) zoomBy(after / before);
+      }
+    };
+
+    const handlePointerUp = (e) => {
+      pointersRef.current.delete(e.pointerId);
+    };
 
-    // Better distributed scatter points with more spacing (numbers interpreted as percentages)
-    // Total: 29 points for 29 milestone dates (updated for Jan 07 & Jan 08 2026)
-    const getNodePosition = (index) => {
-      const scatterPoints = [
-        { x: 12, y: 15 }, { x: 38, y: 8 }, { x: 62, y: 18 }, { x: 88, y: 12 },
-        { x: 8, y: 35 }, { x: 28, y: 48 }, { x: 48, y: 28 }, { x: 72, y: 38 },
-        { x: 92, y: 48 }, { x: 18, y: 68 }, { x: 42, y: 78 }, { x: 68, y: 58 },
-        { x: 82, y: 72 }, { x: 52, y: 88 }, { x: 22, y: 85 }, { x: 8, y: 78 },
-        { x: 92, y: 28 }, { x: 78, y: 92 }, { x: 32, y: 5 }, { x: 85, y: 82 },
-        { x: 52, y: 52 }, { x: 72, y: 8 }, { x: 48, y: 92 }, { x: 12, y: 48 },
-        { x: 35, y: 65 }, { x: 58, y: 42 }, { x: 25, y: 22 }, { x: 15, y: 38 }, { x: 65, y: 25 },
-        {x:16,y:28},{x:50,y:45},{x:60,y:50},{x:49,y:34}
-      ];
-      return scatterPoints[index] || { x: 50, y: 50 };
+    const selectedMilestone = orderedMilestones.find((m) => m.date === selectedDate);
+
+    // Opening a star's story counts as opening that gift
+    const openStoryScene = (sceneId) => {
+      const gift = SceneRegistry.find((scene) => scene.id === sceneId)?.gift;
+      if (gift) markGiftOpened(gift.key);
+      handleNextStep(sceneId);
     };
 
     const TwinklingMoon = () => (
@@ -1472,35 +2005,67 @@ const GiftSelection = () => (
     return (
       <div className="h-screen w-full bg-gradient-to-br from-[#1A0033] to-[#400080] flex flex-col items-center p-4 relative overflow-hidden animate-scene-entry">
         <h2 className="text-4xl font-handwriting font-bold text-pink-300 mt-8 mb-4">Our Constellation of Love</h2>
-        <p className="italic text-indigo-300 mb-8">A universe built on moments. Hover over a star to reveal the date.</p>
+        <p className="italic text-indigo-300 mb-4 text-center">A universe built on moments. Tap a star to relive it; pinch or scroll to zoom, drag to look around.</p>
 
         <Stars className="absolute top-1/4 right-1/4 w-4 h-4 text-white animate-spin-slow" />
         <Stars className="absolute bottom-1/4 left-1/4 w-3 h-3 text-white animate-pulse" />
         <TwinklingMoon />
 
-        <div className="relative w-full max-w-2xl lg:max-w-3xl h-[55vh] sm:h-[60vh] md:h-[65vh] lg:h-[70vh] mx-auto px-4">
-          {/* No lines drawn - purely nodes */}
-          {MilestoneData.map((milestone, index) => {
-            const coords = getNodePosition(index);
-            if (!coords) return null;
-            const { x, y } = coords;
-            const isSpecial = milestone.special;
-            const isHovered = hoveredDate === milestone.date;
+        <div
+          ref={fieldRef}
+          className="relative w-full max-w-2xl lg:max-w-3xl h-[45vh] sm:h-[50vh] md:h-[55vh] lg:h-[58vh] mx-auto px-4 overflow-hidden touch-none cursor-grab active:cursor-grabbing"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+          onWheel={(e) => zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1)}
+        >
+          {/* Our story in date order, traced along the spiral */}
+          <svg className="absolute inset-0 w-full h-full pointer-events-none z-10" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden>
+            <polyline
+              points={orderedMilestones
+                .map((milestone, index) => (isVisible(milestone) ? project(positions[index]) : null))
+                .filter(Boolean)
+                .map(({ x, y }) => `${x},${y}`)
+                .join(' ')}
+              fill="none"
+              stroke="rgba(255, 255, 255, 0.25)"
+              strokeWidth="1"
+              strokeDasharray="2 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+
+          {orderedMilestones.map((milestone, index) => {
+            const { x, y } = project(positions[index]);
+            // Which dates are special is only known once the content is unsealed
+            const isSpecial = letterContent.specialDates.includes(toStarLabel(milestone.date));
+            const label = formatMilestoneDate(milestone.date);
+            const isHovered = hoveredDate === milestone.date || selectedDate === milestone.date;
+            const isLit = isVisible(milestone);
 
             return (
               <button
                 key={milestone.date}
-                className="absolute z-20 cursor-pointer p-1 rounded-full focus:outline-none"
+                className="absolute z-20 cursor-pointer p-1 rounded-full focus:outline-none transition-opacity duration-700"
                 style={{
                   left: `${x}%`,
                   top: `${y}%`,
-                  transform: 'translate(-50%, -50%)'
+                  transform: 'translate(-50%, -50%)',
+                  opacity: isLit ? 1 : 0.08
+                }}
+                disabled={!isLit}
+                onClick={(e) => {
+                  // Only a pointer click can end a drag; Enter/Space clicks have no detail
+                  if (e.detail > 0 && dragDistanceRef.current > 6) return;
+                  setSelectedDate(milestone.date);
                 }}
                 onMouseEnter={() => setHoveredDate(milestone.date)}
                 onMouseLeave={() => setHoveredDate(null)}
                 onFocus={() => setHoveredDate(milestone.date)}
                 onBlur={() => setHoveredDate(null)}
-                aria-label={`Milestone ${milestone.date}`}
+                aria-label={`Milestone ${label}`}
               >
                 <Star
                   size={isHovered ? (isSpecial ? 32 : 24) : (isSpecial ? 24 : 16)}
@@ -1523,14 +2088,64 @@ const GiftSelection = () => (
                     opacity: isHovered ? 1 : 0
                   }}
                 >
-                  {milestone.date}
+                  {label}
                 </div>
               </button>
             );
           })}
+
+          {/* Zoom controls */}
+          <div className="absolute top-2 right-2 z-30 flex flex-col gap-1">
+            <button onClick={() => zoomBy(1.4)} className="w-8 h-8 rounded-full bg-white/20 text-white hover:bg-white/30 transition" aria-label="Zoom in">+</button>
+            <button onClick={() => zoomBy(1 / 1.4)} className="w-8 h-8 rounded-full bg-white/20 text-white hover:bg-white/30 transition" aria-label="Zoom out">−</button>
+            {view.scale > 1 && (
+              <button onClick={() => setView({ scale: 1, x: 0, y: 0 })} className="w-8 h-8 rounded-full bg-white/20 text-white text-xs hover:bg-white/30 transition" aria-label="Reset zoom">1×</button>
+            )}
+          </div>
+
+          {/* Detail card for the tapped star */}
+          {selectedMilestone && (
+            <div className="absolute bottom-2 left-1/2 -translate-x-1/2 z-30 w-72 max-w-[90%] animate-scene-entry" onPointerDown={(e) => e.stopPropagation()}>
+              <MilestoneCard
+                milestone={selectedMilestone}
+                special={letterContent.specialDates.includes(toStarLabel(selectedMilestone.date))}
+                className="relative"
+                subtitle={`${milestoneToDate(selectedMilestone.date).toLocaleDateString('en', { weekday: 'long' })} · star ${orderedMilestones.indexOf(selectedMilestone) + 1} of ${orderedMilestones.length}`}
+                onOpenScene={SceneRegistry.some((scene) => scene.id === selectedMilestone.scene) ? openStoryScene : null}
+                onClose={() => setSelectedDate(null)}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Timeline scrubber */}
+        <div className="w-full max-w-2xl flex items-center gap-3 mt-4 px-4 text-white">
+          <button
+            onClick={handlePlay}
+            className="shrink-0 w-10 h-10 rounded-full bg-pink-500 hover:bg-pink-600 transition flex items-center justify-center"
+            aria-label={isPlaying ? 'Pause our story' : 'Play our story'}
+          >
+            {isPlaying ? '❚❚' : '▶'}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={months.length - 1}
+            value={monthIndex}
+            onChange={(e) => {
+              setIsPlaying(false);
+              setMonthIndex(Number(e.target.value));
+            }}
+            className="flex-1 accent-pink-400"
+            aria-label="Show milestones up to month"
+            aria-valuetext={months[monthIndex].toLocaleDateString('en', { month: 'long', year: 'numeric' })}
+          />
+          <span className="shrink-0 w-20 text-sm text-indigo-200 text-right">
+            {months[monthIndex].toLocaleDateString('en', { month: 'short', year: 'numeric' })}
+          </span>
         </div>
 
-        <div className="text-3xl font-handwriting font-bold text-yellow-300 mt-auto mb-8 animate-pulse-slow">
+        <div className="text-3xl font-handwriting font-bold text-yellow-300 mt-auto mb-4 animate-pulse-slow">
           Lot more to come! <Heart className="inline w-8 h-8 fill-red-500 text-red-500" />
         </div>
 
@@ -1549,10 +2164,10 @@ const GiftSelection = () => (
         <div className="flex justify-center mb-6">
           <Heart className="text-red-500 fill-red-500 w-12 h-12 animate-heartbeat" />
         </div>
-        <p className="text-gray-700 mb-4 text-lg">My dear,</p>
-        <p className="text-gray-700 mb-8 italic">This little website is just a digital whisper of the immense love I hold for you. You are the joy, the peace, and the most incredible part of my entire universe.</p>
+        <p className="text-gray-700 mb-4 text-lg">{letterContent.closing.end.greeting}</p>
+        <p className="text-gray-700 mb-8 italic">{letterContent.closing.end.text}</p>
         <h1 className="text-5xl font-black text-transparent bg-clip-text bg-gradient-to-r from-pink-500 to-purple-600 mb-8 font-outline-2">
-          I Love You.
+          {letterContent.closing.end.title}
         </h1>
         <button onClick={() => handleNextStep('constant')} className="mt-8 bg-rose-600 text-white px-8 py-2 rounded-full shadow-lg hover:bg-rose-700 transition" aria-label="View final note">
           View Final Note
@@ -1566,143 +2181,50 @@ const GiftSelection = () => (
     const [selectedLetter, setSelectedLetter] = useState(null);
     const [isReading, setIsReading] = useState(false);
 
-    const letters = [
-      {
-        id: 1,
-        title: "When Your Parents Question Us",
-        color: "from-pink-500 to-rose-500",
-        icon: "💌",
-        message: `My Dearest Pooja,
-
-Remember August 18? You chose me. And I choose you, every single day.
-
-I know it's hard when your parents don't understand. I know you face questions, doubts, maybe even harsh words. But please remember this:
-
-Your courage is not weakness - it's the strength of our love. Standing up for what your heart knows is right, even when the world tells you otherwise, that's the bravest thing anyone can do.
-
-You're not being stubborn. You're being true. True to us, true to your heart, true to the love we share.
-
-I'm here. Always. Through every difficult conversation, every tense moment, every tear. You stood strong for me when your world shook - now let me be your strength too.
-
-One day, they will see what I see. One day, they will understand. Until then, hold on to us.
-
-I love you. Always and forever.
-
-Your constant support,
-Aakash`
-      },
-      {
-        id: 2,
-        title: "When You Feel Alone",
-        color: "from-purple-500 to-pink-500",
-        icon: "💝",
-        message: `My Beautiful Pooja,
-
-You're not alone. Even with miles between us, even when I can't physically be there, I'm with you.
-
-Do you remember August 29? Your face when you saw me unexpectedly? That surprise, that joy, that happiness - it's all still real. Our love is real. The distance is temporary, but what we have is forever.
-
-When you feel alone, close your eyes and remember:
-- Every message I send is a hug I wish I could give
-- Every call is me holding your hand
-- Every "I love you" is me being right there with you
-
-You are never alone because you live in my heart, and I live in yours.
-
-The loneliness you feel now is just counting down to the moment we never have to say goodbye again.
-
-I'm coming back. I'll always come back.
-
-Forever yours,
-Aakash`
-      },
-      {
-        id: 3,
-        title: "When You Doubt",
-        color: "from-blue-500 to-purple-500",
-        icon: "💕",
-        message: `My Love,
-
-When doubt creeps in, when you wonder if we're doing the right thing, when everything feels uncertain - read this.
-
-You stood strong for me when your world questioned us. You kept trust when it was easier to give up. You believed in us when everyone else doubted.
-
-That wasn't blind faith. That was you knowing, deep in your heart, that what we have is worth fighting for.
-
-I promise you:
-- Every challenge we face is building our forever
-- Every tear you cry now will become a story we tell our children
-- Every moment of doubt will be answered with a lifetime of certainty
-
-You chose wisely. You chose love. You chose bravely. And I will spend my life proving you right.
-
-Never doubt that you are loved, valued, respected, and needed.
-
-Always believing in us,
-Aakash`
-      },
-      {
-        id: 4,
-        title: "When You're Scared",
-        color: "from-rose-500 to-red-500",
-        icon: "❤️",
-        message: `My Brave Pooja,
-
-I know you're scared. I know this path we're on isn't easy. I know facing your family, standing up for us, not knowing what tomorrow brings - it's all terrifying.
-
-But let me tell you what I know:
-
-I know you're the strongest person I've ever met. I know your courage inspires me every day. I know that someone who can stand up for love the way you do can face anything.
-
-Yes, they don't understand yet. Yes, the road ahead has challenges. But we're not walking it alone - we're walking it together.
-
-And here's what I promise:
-- I will work every day to be worthy of your courage
-- I will prove to your parents that you chose right
-- I will build a future where you never have to be scared again
-- I will love you through every fear until only peace remains
-
-You are not alone in this fear. I'm scared too. But I'm more scared of a life without you than I am of any challenge we face together.
-
-Your shield and strength,
-Aakash`
-      },
-      {
-        id: 5,
-        title: "When You Miss Me",
-        color: "from-pink-600 to-rose-600",
-        icon: "💗",
-        message: `My Precious Pooja,
-
-I miss you too. Every moment. Every breath. Every heartbeat whispers your name.
-
-I know the nights are the hardest. I know you reach for your phone hoping for a message, wishing I was there to hold you.
-
-But remember this:
-
-Every goodbye brings us closer to the day when we never have to say goodbye again. Every moment apart is another moment added to our forever.
-
-This distance is temporary. This missing each other is temporary. But my love for you? That's eternal.
-
-When you miss me:
-- Look at our photos and remember the joy
-- Read our messages and feel the love
-- Close your eyes and know I'm thinking of you too
-
-I'm counting down every day, every hour, every minute until I see your face again. Until I can make you smile again. Until I can hold you again.
-
-Keep holding on. I'm holding on too.
-
-Missing you always, loving you forever,
-Aakash`
-      }
-    ];
+    const [mood, setMood] = useState(null);
+    const [now, setNow] = useState(() => new Date());
+    const [history, setHistory] = useState(loadReadingHistory);
+    const [sortOrder, setSortOrder] = useState('unread'); // unread | written
+    const [printLetters, setPrintLetters] = useState(null);
+    const [shareLines, setShareLines] = useState(null);
+
+    const letters = letterContent.lettersOfStrength;
+    const moods = lettersMoods(letters);
+    const previewLocked = isLetterPreviewMode();
+    const lockOf = (letter) => getLetterLock(letter, { now, mood });
+
+    const updateHistory = (id, update) => {
+      setHistory((prev) => {
+        const next = { ...prev, [id]: { reads: 0, favourite: false, ...prev[id], ...update(prev[id] || {}) } };
+        saveReadingHistory(next);
+        return next;
+      });
+    };
 
     const handleOpenLetter = (letter) => {
+      const lock = lockOf(letter);
+      if (lock && !previewLocked) return;
+      // Previews of sealed letters don't count as reading them
+      if (!lock) updateHistory(letter.id, (entry) => ({ reads: (entry.reads || 0) + 1, lastReadAt: new Date().toISOString() }));
       setSelectedLetter(letter);
       setIsReading(true);
     };
 
+    const toggleFavourite = (letter) => updateHistory(letter.id, (entry) => ({ favourite: !entry.favourite }));
+
+    const sortedLetters = sortOrder === 'unread' ? sortUnreadFirst(letters, history) : letters;
+
+    // Favourites first, then the most recently read
+    const readAgain = letters
+      .filter((letter) => history[letter.id]?.reads > 0 && !lockOf(letter))
+      .sort((a, b) =>
+        Number(Boolean(history[b.id].favourite)) - Number(Boolean(history[a.id].favourite)) ||
+        history[b.id].lastReadAt.localeCompare(history[a.id].lastReadAt)
+      )
+      .slice(0, 4);
+
+    const formatLastRead = (iso) => new Date(iso).toLocaleDateString('en', { month: 'short', day: 'numeric' });
+
     const handleCloseLetter = () => {
       setIsReading(false);
       setTimeout(() => setSelectedLetter(null), 300);
@@ -1740,25 +2262,114 @@ Aakash`
               </p>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {letters.map((letter, index) => (
-                <div
-                  key={letter.id}
-                  onClick={() => handleOpenLetter(letter)}
-                  className="cursor-pointer transform transition-all duration-300 hover:scale-105 hover:-translate-y-2"
-                  style={{ animationDelay: `${index * 0.1}s` }}
-                >
-                  <div className={`bg-gradient-to-br ${letter.color} p-6 rounded-2xl shadow-2xl border-2 border-white/20 backdrop-blur-sm`}>
-                    <div className="text-5xl mb-4 text-center animate-bounce">{letter.icon}</div>
-                    <h3 className="text-white font-bold text-lg text-center mb-2">
+            {/* Read again shelf */}
+            {readAgain.length > 0 && (
+              <div className="mb-8 text-center">
+                <p className="text-pink-200 text-sm uppercase tracking-widest mb-3">Read again</p>
+                <div className="flex flex-wrap justify-center gap-3">
+                  {readAgain.map((letter) => (
+                    <button
+                      key={letter.id}
+                      onClick={() => handleOpenLetter(letter)}
+                      className="flex items-center gap-2 bg-white/15 hover:bg-white/25 border border-white/30 text-white px-4 py-2 rounded-full text-sm transition"
+                    >
+                      <span>{letter.icon}</span>
                       {letter.title}
-                    </h3>
-                    <div className="flex justify-center">
-                      <Mail className="w-6 h-6 text-white/80" />
-                    </div>
-                  </div>
+                      {history[letter.id].favourite && <Heart className="w-3 h-3 text-red-400 fill-red-400" />}
+                    </button>
+                  ))}
                 </div>
-              ))}
+              </div>
+            )}
+
+            {/* "Open when you feel..." letters unlock from here */}
+            {moods.length > 0 && (
+              <div className="flex flex-wrap justify-center items-center gap-2 mb-8">
+                <span className="text-pink-100 text-sm mr-1">How are you feeling?</span>
+                {moods.map((option) => (
+                  <button
+                    key={option}
+                    onClick={() => setMood(mood === option ? null : option)}
+                    className={`px-4 py-1 rounded-full text-sm border transition ${mood === option ? 'bg-white text-pink-700 border-white font-bold' : 'border-white/40 text-white hover:bg-white/20'}`}
+                    aria-pressed={mood === option}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end items-center gap-4 mb-3">
+              <button
+                onClick={() => setPrintLetters(letters.filter((letter) => previewLocked || !lockOf(letter)))}
+                className="flex items-center gap-1 text-pink-200 text-sm underline hover:text-white transition"
+              >
+                <Printer className="w-4 h-4" /> Print all
+              </button>
+              <label className="text-pink-200 text-sm flex items-center gap-2">
+                Sort
+                <select
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value)}
+                  className="bg-white/15 border border-white/30 rounded-full px-3 py-1 text-white text-sm"
+                >
+                  <option value="unread" className="text-gray-800">Unread first</option>
+                  <option value="written" className="text-gray-800">As written</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {sortedLetters.map((letter, index) => {
+                const lock = lockOf(letter);
+                const entry = history[letter.id];
+                return (
+                  <div
+                    key={letter.id}
+                    onClick={() => handleOpenLetter(letter)}
+                    className={`transform transition-all duration-300 ${lock && !previewLocked ? 'cursor-default' : 'cursor-pointer hover:scale-105 hover:-translate-y-2'}`}
+                    style={{ animationDelay: `${index * 0.1}s` }}
+                    aria-disabled={Boolean(lock) && !previewLocked}
+                  >
+                    {lock ? (
+                      /* Sealed envelope */
+                      <div className="bg-gradient-to-br from-amber-50 to-stone-200 p-6 rounded-2xl shadow-2xl border-2 border-amber-200 relative">
+                        <div className="text-5xl mb-4 text-center opacity-80">✉️</div>
+                        <div className="absolute top-14 left-1/2 -translate-x-1/2 w-10 h-10 rounded-full bg-red-700 border-2 border-red-900 shadow-lg flex items-center justify-center">
+                          <Heart className="w-4 h-4 text-red-200 fill-red-300" />
+                        </div>
+                        <h3 className="text-amber-900 font-bold text-lg text-center mb-2">{letter.title}</h3>
+                        <p className="text-amber-800 text-sm text-center">{describeLock(lock, () => setNow(new Date()))}</p>
+                        {previewLocked && <p className="text-xs text-center text-amber-600 mt-2 italic">Preview: tap to read early</p>}
+                      </div>
+                    ) : (
+                      <div className={`bg-gradient-to-br ${letter.color} p-6 rounded-2xl shadow-2xl border-2 border-white/20 backdrop-blur-sm relative`}>
+                        <FavouriteButton
+                          letter={letter}
+                          favourite={Boolean(history[letter.id]?.favourite)}
+                          onToggle={toggleFavourite}
+                          className="absolute top-2 right-2 bg-white/10"
+                        />
+                        {!entry?.reads && (
+                          <span className="absolute top-3 left-3 bg-white text-pink-600 text-xs font-bold px-2 py-0.5 rounded-full">New</span>
+                        )}
+                        <div className="text-5xl mb-4 text-center animate-bounce">{letter.icon}</div>
+                        <h3 className="text-white font-bold text-lg text-center mb-2">
+                          {letter.title}
+                        </h3>
+                        <div className="flex justify-center">
+                          <Mail className="w-6 h-6 text-white/80" />
+                        </div>
+                        {entry?.reads > 0 && (
+                          <p className="text-white/80 text-xs text-center mt-2">
+                            Read {entry.reads}× · last {formatLastRead(entry.lastReadAt)}
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
             </div>
 
             <div className="text-center mt-12">
@@ -1772,46 +2383,52 @@ Aakash`
           </div>
         ) : (
           /* Letter Reading View */
-          <div className="max-w-3xl w-full z-10 animate-scene-entry">
-            <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-pink-200 relative">
-              {/* Close button */}
-              <button
-                onClick={handleCloseLetter}
-                className="absolute top-4 right-4 w-10 h-10 rounded-full bg-pink-100 hover:bg-pink-200 flex items-center justify-center transition"
-                aria-label="Close letter"
-              >
-                <span className="text-2xl text-pink-600">×</span>
-              </button>
-
-              {/* Letter icon */}
-              <div className="text-center mb-6">
-                <span className="text-6xl">{selectedLetter?.icon}</span>
-              </div>
-
-              {/* Letter title */}
-              <h2 className="text-3xl font-bold text-pink-600 text-center mb-8 font-handwriting">
-                {selectedLetter?.title}
-              </h2>
-
-              {/* Letter content */}
-              <div className="prose prose-pink max-w-none">
-                <div className="text-gray-700 leading-relaxed whitespace-pre-line text-base sm:text-lg font-serif">
-                  {selectedLetter?.message}
-                </div>
-              </div>
+          <LetterModal
+            letter={selectedLetter}
+            reveal={{ mode: 'word', speed: 60 }}
+            onClose={handleCloseLetter}
+            notice={lockOf(selectedLetter) ? 'Preview: this letter is still sealed' : null}
+            corner={
+              !lockOf(selectedLetter) && (
+                <FavouriteButton
+                  letter={selectedLetter}
+                  favourite={Boolean(history[selectedLetter.id]?.favourite)}
+                  onToggle={toggleFavourite}
+                  className="absolute top-4 left-4 bg-pink-100 hover:bg-pink-200"
+                  idleColor="text-pink-400"
+                />
+              )
+            }
+          >
+            <button
+              onClick={handleCloseLetter}
+              className="bg-gradient-to-r from-pink-500 to-rose-500 text-white px-6 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg"
+            >
+              Back to Letters
+            </button>
+            <button
+              onClick={() => setPrintLetters([selectedLetter])}
+              className="flex items-center gap-1 text-sm text-pink-600 underline hover:text-pink-800 transition"
+            >
+              <Printer className="w-4 h-4" /> Print or save as PDF
+            </button>
+            <button
+              onClick={() => setShareLines(letterParagraphs(selectedLetter.body).map((text) => ({ text, caption: selectedLetter.title })))}
+              className="flex items-center gap-1 text-sm text-pink-600 underline hover:text-pink-800 transition"
+            >
+              <Share2 className="w-4 h-4" /> Share a line
+            </button>
+          </LetterModal>
+        )}
 
-              {/* Back button */}
-              <div className="text-center mt-8">
-                <button
-                  onClick={handleCloseLetter}
-                  className="bg-gradient-to-r from-pink-500 to-rose-500 text-white px-6 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg"
-                >
-                  Back to Letters
-                </button>
-              </div>
-            </div>
-          </div>
+        {printLetters && (
+          <PrintLetterDialog
+            title={printLetters.length === 1 ? printLetters[0].title : 'Letters for When You Need Strength'}
+            letters={printLetters}
+            onClose={() => setPrintLetters(null)}
+          />
         )}
+        {shareLines && <ShareCardDialog lines={shareLines} onClose={() => setShareLines(null)} />}
       </div>
     );
   };
@@ -1820,6 +2437,7 @@ Aakash`
   const Aug29SurpriseScene = () => {
     const [phase, setPhase] = useState('intro'); // intro -> journey -> arrival -> memory -> end
     const [showText, setShowText] = useState(false);
+    const copy = letterContent.aug29Surprise;
 
     useEffect(() => {
       if (phase === 'intro') {
@@ -1845,17 +2463,13 @@ Aakash`
             {showText && (
               <>
                 <h1 className="text-6xl sm:text-7xl font-bold text-rose-800 mb-6 font-handwriting animate-fade-in-up">
-                  August 29, 2025
+                  {copy.intro.date}
                 </h1>
                 <p className="text-2xl sm:text-3xl text-rose-700 mb-8 italic animate-fade-in-up" style={{ animationDelay: '0.3s' }}>
-                  The Day Everything Changed
+                  {copy.intro.title}
                 </p>
                 <p className="text-xl text-rose-600 mb-12 max-w-2xl mx-auto animate-fade-in-up" style={{ animationDelay: '0.6s' }}>
-                  The day I came to see you without telling you...
-                  <br />
-                  The day I saw your face light up...
-                  <br />
-                  The day I knew this was real.
+                  {renderLines(copy.intro.text)}
                 </p>
                 <button
                   onClick={handleStartJourney}
@@ -1875,12 +2489,10 @@ Aakash`
               <span className="text-8xl animate-bounce inline-block">🚂</span>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-rose-800 mb-6 font-handwriting">
-              The Journey Begins...
+              {copy.journey.title}
             </h2>
             <p className="text-xl text-rose-700 italic mb-8 max-w-xl mx-auto">
-              Heart racing, excited, nervous...
-              <br />
-              Counting every mile to see you
+              {renderLines(copy.journey.text)}
             </p>
             <div className="flex justify-center items-center gap-3 mb-4">
               <div className="w-3 h-3 bg-rose-600 rounded-full animate-pulse" />
@@ -1888,7 +2500,7 @@ Aakash`
               <div className="w-3 h-3 bg-rose-600 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }} />
             </div>
             <p className="text-lg text-rose-600">
-              Planning the perfect surprise...
+              {copy.journey.status}
             </p>
           </div>
         )}
@@ -1900,11 +2512,11 @@ Aakash`
               <span className="text-8xl animate-heartbeat inline-block">😲</span>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-rose-800 mb-6 font-handwriting">
-              "Wait... is that...?"
+              {copy.arrival.title}
             </h2>
             <div className="max-w-2xl mx-auto bg-white/90 p-8 rounded-3xl shadow-2xl border-4 border-rose-200">
               <p className="text-2xl text-rose-700 mb-4 font-bold">
-                Your Face When You Saw Me
+                {copy.arrival.caption}
               </p>
               <div className="flex justify-center gap-8 text-6xl mb-6">
                 <span className="animate-bounce">😲</span>
@@ -1912,7 +2524,7 @@ Aakash`
                 <span className="animate-bounce" style={{ animationDelay: '0.2s' }}>🥰</span>
               </div>
               <p className="text-lg text-gray-700 leading-relaxed">
-                Shock → Excitement → Pure Happiness
+                {copy.arrival.text}
               </p>
             </div>
           </div>
@@ -1925,30 +2537,14 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">💝</span>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-rose-800 mb-8 font-handwriting">
-              That Moment...
+              {copy.memory.title}
             </h2>
             <div className="bg-white/95 p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-rose-300">
               <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed mb-6 font-serif italic">
-                "I still remember every detail of that moment.
-                <br /><br />
-                The way your eyes widened when you recognized me.
-                <br />
-                The smile that spread across your face.
-                <br />
-                The happiness that made everything worth it.
-                <br /><br />
-                That's when I knew - I would cross any distance, face any obstacle, just to see that happiness again.
-                <br /><br />
-                August 29 wasn't just our first meeting.
-                <br />
-                It was the day our love became real.
-                <br />
-                It was the day dreams turned into memories.
-                <br />
-                It was the day I knew - you are my forever."
+                {renderLines(copy.memory.text)}
               </p>
               <p className="text-right text-2xl text-rose-600 font-handwriting mt-8">
-                - Aakash
+                {copy.memory.signature}
               </p>
             </div>
 
@@ -1971,12 +2567,10 @@ Aakash`
               <span className="text-8xl animate-heartbeat inline-block">❤️</span>
             </div>
             <h2 className="text-5xl sm:text-6xl font-bold text-rose-800 mb-8 font-handwriting">
-              And I'll Keep Coming Back
+              {copy.end.title}
             </h2>
             <p className="text-2xl text-rose-700 mb-12 italic max-w-2xl mx-auto">
-              Every visit, every surprise, every moment...
-              <br />
-              Until the day we never have to say goodbye.
+              {renderLines(copy.end.text)}
             </p>
             <div className="flex flex-col sm:flex-row gap-4 justify-center items-center">
               <button
@@ -2024,38 +2618,8 @@ Aakash`
   const ThankYouCourageScene = () => {
     const [currentPage, setCurrentPage] = useState(0);
 
-    const sacrifices = [
-      {
-        title: "When Your Parents Found Out",
-        icon: "🏠",
-        text: "Your world shook. They questioned. They doubted. But you didn't run. You stood your ground. You chose us.",
-        color: "from-rose-500 to-pink-500"
-      },
-      {
-        title: "When They Said No",
-        icon: "🚫",
-        text: "It would have been easier to give up. To say 'maybe they're right'. But you trusted your heart. You trusted me. You trusted us.",
-        color: "from-purple-500 to-pink-500"
-      },
-      {
-        title: "Every Secret Meeting",
-        icon: "🤫",
-        text: "Every time we meet, you're being brave. Choosing love over fear. Creating memories despite the risk. That's courage.",
-        color: "from-blue-500 to-purple-500"
-      },
-      {
-        title: "Standing Strong Alone",
-        icon: "💪",
-        text: "When I couldn't be there physically, you faced everything alone. The questions, the pressure, the uncertainty. You never wavered.",
-        color: "from-pink-500 to-red-500"
-      },
-      {
-        title: "Believing in Us",
-        icon: "🌟",
-        text: "When everyone said it wouldn't work, you believed. When distance tested us, you held on. When the future seemed uncertain, you kept faith.",
-        color: "from-orange-500 to-pink-500"
-      }
-    ];
+    const copy = letterContent.thankYouCourage;
+    const sacrifices = copy.sacrifices;
 
     const handleNext = () => {
       if (currentPage < sacrifices.length) {
@@ -2095,21 +2659,17 @@ Aakash`
                 <span className="text-8xl animate-heartbeat inline-block">🙏</span>
               </div>
               <h1 className="text-5xl sm:text-6xl font-bold text-white mb-8 font-handwriting">
-                Thank You for Your Courage
+                {copy.title}
               </h1>
               <div className="bg-white/10 backdrop-blur-md p-8 rounded-3xl border-2 border-white/30 mb-8">
                 <p className="text-2xl text-pink-100 leading-relaxed mb-6">
-                  Pooja,
+                  {copy.intro.greeting}
                 </p>
                 <p className="text-xl text-pink-100 leading-relaxed mb-4">
-                  What you've done for us isn't small.
-                  <br />
-                  It's not easy.
-                  <br />
-                  It's incredibly brave.
+                  {renderLines(copy.intro.text)}
                 </p>
                 <p className="text-lg text-pink-200 italic">
-                  And I see every sacrifice you've made...
+                  {copy.intro.lead}
                 </p>
               </div>
               <button
@@ -2183,32 +2743,21 @@ Aakash`
               </div>
               <div className="bg-white/95 p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-pink-300">
                 <h2 className="text-4xl sm:text-5xl font-bold text-pink-600 mb-8 font-handwriting">
-                  All of This... For Us
+                  {copy.closing.title}
                 </h2>
                 <div className="text-left space-y-6 text-gray-800 text-lg leading-relaxed">
-                  <p>
-                    <strong>Thank you</strong> for standing up when it was easier to sit down.
-                  </p>
-                  <p>
-                    <strong>Thank you</strong> for believing when everyone doubted.
-                  </p>
-                  <p>
-                    <strong>Thank you</strong> for fighting when you could have surrendered.
-                  </p>
-                  <p>
-                    <strong>Thank you</strong> for choosing love over fear, us over convenience, forever over comfort.
-                  </p>
+                  {copy.closing.thanks.map((line, index) => (
+                    <p key={index}>{renderLines(line, `thanks-${index}`)}</p>
+                  ))}
                   <p className="text-xl font-bold text-pink-600 pt-4">
-                    Your courage isn't in vain. Every challenge we face now is building the forever we'll have together.
+                    {copy.closing.promise}
                   </p>
                   <p className="text-lg italic text-gray-600">
-                    One day, they will see what I see. One day, they will understand. Until then, I promise to be worthy of every brave choice you've made.
+                    {copy.closing.hope}
                   </p>
                 </div>
                 <p className="text-right text-2xl text-pink-600 font-handwriting mt-8">
-                  Forever grateful,
-                  <br />
-                  Aakash ❤️
+                  {renderLines(copy.closing.signature)}
                 </p>
               </div>
 
@@ -2237,6 +2786,7 @@ Aakash`
   // 15. Aug 18 - Yes Page
   const Aug18YesScene = () => {
     const [phase, setPhase] = useState('intro'); // intro, waiting, theYes, celebration, reflection
+    const copy = letterContent.aug18Yes;
 
     const handleStartJourney = () => {
       setPhase('waiting');
@@ -2270,21 +2820,19 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="mb-8">
                 <h1 className="text-6xl sm:text-7xl font-bold text-white mb-4 animate-pulse">
-                  August 18
+                  {copy.intro.date}
                 </h1>
                 <p className="text-3xl sm:text-4xl text-white/90 font-handwriting">
-                  2025
+                  {copy.intro.year}
                 </p>
               </div>
 
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-6">
-                  The Day You Said Yes 💝
+                  {copy.intro.title}
                 </h2>
                 <p className="text-lg sm:text-xl text-white/90 leading-relaxed mb-8">
-                  After four days of hope, prayers, and endless thoughts...
-                  <br />
-                  You gave me the most beautiful answer.
+                  {renderLines(copy.intro.text)}
                 </p>
                 <button
                   onClick={handleStartJourney}
@@ -2301,29 +2849,24 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-8">
-                  Four Days of Waiting ⏳
+                  {copy.waiting.title}
                 </h2>
 
                 <div className="grid grid-cols-2 gap-4 mb-8">
-                  {['Day 1', 'Day 2', 'Day 3', 'Day 4'].map((day, idx) => (
+                  {copy.waiting.days.map(({ day, text }, idx) => (
                     <div
                       key={day}
                       className="bg-white/30 rounded-2xl p-4 backdrop-blur-sm animate-fade-in"
                       style={{ animationDelay: `${idx * 0.5}s` }}
                     >
                       <p className="text-2xl font-bold text-white mb-2">{day}</p>
-                      <p className="text-white/80 text-sm">
-                        {idx === 0 && "Hope fills my heart"}
-                        {idx === 1 && "Thinking of you"}
-                        {idx === 2 && "Prayers and patience"}
-                        {idx === 3 && "Tomorrow is the day..."}
-                      </p>
+                      <p className="text-white/80 text-sm">{text}</p>
                     </div>
                   ))}
                 </div>
 
                 <p className="text-xl text-white/90 italic">
-                  Each moment felt like forever...
+                  {copy.waiting.text}
                 </p>
               </div>
             </div>
@@ -2337,10 +2880,10 @@ Aakash`
                   <p className="text-8xl sm:text-9xl mb-4">💝</p>
                 </div>
                 <h2 className="text-5xl sm:text-6xl font-bold text-white mb-6 animate-pulse">
-                  "Yes"
+                  {copy.yes.word}
                 </h2>
                 <p className="text-2xl sm:text-3xl text-white/90 leading-relaxed font-handwriting">
-                  That one word changed everything
+                  {copy.yes.text}
                 </p>
               </div>
             </div>
@@ -2354,17 +2897,13 @@ Aakash`
                   <p className="text-7xl mb-4 animate-bounce">🎉</p>
                 </div>
                 <h2 className="text-4xl sm:text-5xl font-bold text-white mb-6">
-                  August 18, 2025
+                  {copy.celebration.title}
                 </h2>
                 <p className="text-xl sm:text-2xl text-white/90 leading-relaxed mb-6">
-                  The day my dreams came true
-                  <br />
-                  The day you became mine
-                  <br />
-                  The day our forever began
+                  {renderLines(copy.celebration.text)}
                 </p>
                 <p className="text-lg text-white/80 italic mb-8">
-                  From that day to this day, and for all the days to come... 💕
+                  {copy.celebration.note}
                 </p>
 
                 <div className="flex flex-col sm:flex-row gap-4 justify-center">
@@ -2384,24 +2923,17 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-6">
-                  Thank You for Saying Yes 🙏
+                  {copy.reflection.title}
                 </h2>
                 <div className="text-left space-y-4 mb-8">
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💕 Thank you for choosing me when you could have walked away
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💕 Thank you for believing in us when the path was uncertain
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💕 Thank you for giving me the chance to love you
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💕 Thank you for making August 18 the most beautiful day of my life
-                  </p>
+                  {copy.reflection.thanks.map((line) => (
+                    <p key={line} className="text-lg text-white/90 leading-relaxed">
+                      {line}
+                    </p>
+                  ))}
                 </div>
                 <p className="text-2xl text-white font-bold mb-8 font-handwriting">
-                  I'll cherish this day forever 💝
+                  {copy.reflection.closing}
                 </p>
 
                 <div className="flex flex-col sm:flex-row gap-4 justify-center">
@@ -2429,6 +2961,7 @@ Aakash`
   // 16. Distance Means So Little
   const DistanceMeansSoLittleScene = () => {
     const [phase, setPhase] = useState('intro'); // intro, distance, connection, promise, forever
+    const copy = letterContent.distanceMeansSoLittle;
 
     const handleStartJourney = () => {
       setPhase('distance');
@@ -2470,18 +3003,16 @@ Aakash`
               <div className="mb-8">
                 <p className="text-7xl mb-6 animate-pulse">🌍</p>
                 <h1 className="text-5xl sm:text-6xl font-bold text-white mb-4">
-                  Miles Apart
+                  {copy.intro.title}
                 </h1>
                 <h2 className="text-3xl sm:text-4xl text-white/90 font-handwriting">
-                  Hearts Together
+                  {copy.intro.subtitle}
                 </h2>
               </div>
 
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <p className="text-xl sm:text-2xl text-white/90 leading-relaxed mb-8">
-                  Kilometers separate us, but nothing can separate our hearts.
-                  <br />
-                  Distance is just a number when love is infinite.
+                  {renderLines(copy.intro.text)}
                 </p>
                 <button
                   onClick={handleStartJourney}
@@ -2498,7 +3029,7 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-8">
-                  The Distance Between Us 🗺️
+                  {copy.distance.title}
                 </h2>
 
                 <div className="relative mb-8">
@@ -2523,15 +3054,11 @@ Aakash`
                 </div>
 
                 <div className="space-y-3 text-left">
-                  <p className="text-lg text-white/90">
-                    💔 Different cities, different time zones sometimes
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💔 Can't hold hands when we want to
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💔 Missing you every single day
-                  </p>
+                  {copy.distance.hardships.map((line) => (
+                    <p key={line} className="text-lg text-white/90">
+                      {line}
+                    </p>
+                  ))}
                 </div>
               </div>
             </div>
@@ -2542,7 +3069,7 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="bg-white/20 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/40 shadow-2xl">
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-8">
-                  But We Stay Connected 💝
+                  {copy.connection.title}
                 </h2>
 
                 <div className="relative mb-8">
@@ -2567,21 +3094,11 @@ Aakash`
                 </div>
 
                 <div className="space-y-3 text-left">
-                  <p className="text-lg text-white/90">
-                    💝 Good morning texts that brighten my day
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💝 Video calls where I see your beautiful smile
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💝 Messages throughout the day saying "I miss you"
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💝 Good night wishes before we sleep
-                  </p>
-                  <p className="text-lg text-white/90">
-                    💝 Counting days until we meet again
-                  </p>
+                  {copy.connection.ways.map((line) => (
+                    <p key={line} className="text-lg text-white/90">
+                      {line}
+                    </p>
+                  ))}
                 </div>
               </div>
             </div>
@@ -2595,18 +3112,14 @@ Aakash`
                   <p className="text-7xl mb-4 animate-bounce">🌟</p>
                 </div>
                 <h2 className="text-3xl sm:text-4xl font-bold text-white mb-6">
-                  The Promise of Tomorrow
+                  {copy.promise.title}
                 </h2>
                 <div className="text-xl sm:text-2xl text-white/90 leading-relaxed mb-6 space-y-4">
-                  <p>This distance is temporary</p>
-                  <p>Our love is permanent</p>
+                  {copy.promise.now.map((line) => <p key={line}>{line}</p>)}
                   <p className="text-2xl sm:text-3xl font-bold text-white mt-6">
-                    One day...
+                    {copy.promise.turn}
                   </p>
-                  <p>We'll wake up in the same home</p>
-                  <p>I'll make you coffee every morning</p>
-                  <p>Hold your hand whenever I want</p>
-                  <p>Fall asleep next to you every night</p>
+                  {copy.promise.someday.map((line) => <p key={line}>{line}</p>)}
                 </div>
 
                 <div className="flex flex-col sm:flex-row gap-4 justify-center mt-8">
@@ -2629,22 +3142,20 @@ Aakash`
                   <p className="text-7xl mb-4">💞</p>
                 </div>
                 <h2 className="text-4xl sm:text-5xl font-bold text-white mb-6">
-                  Distance Means So Little
+                  {copy.forever.title}
                 </h2>
                 <p className="text-2xl sm:text-3xl text-white/90 leading-relaxed mb-6 font-handwriting">
-                  When someone means so much
+                  {copy.forever.subtitle}
                 </p>
 
                 <div className="bg-white/10 rounded-2xl p-6 mb-8 backdrop-blur-sm">
                   <p className="text-lg text-white/90 italic leading-relaxed">
-                    "The pain of parting is nothing compared to the joy of meeting again.
-                    Every mile between us is a testament to how strong our love is.
-                    Every day apart is one day closer to forever together."
+                    {copy.forever.quote}
                   </p>
                 </div>
 
                 <p className="text-xl text-white mb-8">
-                  Until that beautiful day, I'll love you from wherever I am 💕
+                  {copy.forever.closing}
                 </p>
 
                 <div className="flex flex-col sm:flex-row gap-4 justify-center">
@@ -2673,6 +3184,7 @@ Aakash`
   const TenDaysOfSilenceScene = () => {
     const [phase, setPhase] = useState('intro'); // intro -> countdown -> silence -> longing -> reunion -> reflection
     const [showText, setShowText] = useState(false);
+    const copy = letterContent.tenDaysOfSilence;
 
     useEffect(() => {
       if (phase === 'intro') {
@@ -2697,26 +3209,22 @@ Aakash`
             {showText && (
               <>
                 <h1 className="text-5xl sm:text-7xl font-bold text-gray-100 mb-6 font-handwriting animate-fade-in-up">
-                  December 11 - December 21
+                  {copy.intro.dates}
                 </h1>
                 <p className="text-3xl sm:text-4xl text-gray-300 mb-8 italic animate-fade-in-up" style={{ animationDelay: '0.3s' }}>
-                  Ten Days of Silence
+                  {copy.intro.title}
                 </p>
                 <div className="bg-white/10 backdrop-blur-sm p-8 rounded-3xl shadow-2xl border-2 border-gray-400/30 animate-fade-in-up" style={{ animationDelay: '0.6s' }}>
                   <p className="text-xl sm:text-2xl text-gray-200 leading-relaxed mb-6">
-                    You went home to your hometown on December 11.
-                    <br />
-                    The plan was simple: you'd return on December 14.
-                    <br />
-                    Three days. That's all it was supposed to be.
+                    {renderLines(copy.intro.text)}
                   </p>
                   <p className="text-2xl sm:text-3xl text-red-300 font-bold mt-8 mb-4">
-                    But life had different plans...
+                    {copy.intro.twist}
                   </p>
                   <p className="text-xl text-gray-300">
-                    You came back on December 21.
+                    {copy.intro.returned}
                     <br />
-                    <span className="text-3xl font-bold text-white">Ten days.</span>
+                    <span className="text-3xl font-bold text-white">{copy.intro.count}</span>
                   </p>
                 </div>
                 <button
@@ -2737,19 +3245,19 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">⏳</span>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-gray-100 mb-8 font-handwriting">
-              The Longest Countdown
+              {copy.countdown.title}
             </h2>
             <div className="bg-white/10 backdrop-blur-sm p-8 rounded-3xl shadow-2xl border-2 border-gray-400/30">
               <p className="text-2xl text-gray-200 mb-6 leading-relaxed italic">
-                Day 1... Day 2... Day 3...
+                {copy.countdown.first}
                 <br />
-                <span className="text-red-300">Still waiting...</span>
+                <span className="text-red-300">{copy.countdown.waiting}</span>
               </p>
               <p className="text-xl text-gray-300 mb-4">
-                Day 4... Day 5... Day 6...
+                {copy.countdown.middle}
               </p>
               <p className="text-3xl font-bold text-white mb-4">
-                ...Day 7... Day 8... Day 9... Day 10
+                {copy.countdown.last}
               </p>
               <div className="flex justify-center items-center gap-3 mt-8">
                 <div className="w-3 h-3 bg-gray-400 rounded-full animate-pulse" />
@@ -2767,42 +3275,30 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">🔇</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-gray-100 mb-8 font-handwriting">
-              The Silence Was Deafening
+              {copy.silence.title}
             </h2>
             <div className="space-y-6">
-              <div className="bg-white/10 backdrop-blur-sm p-6 rounded-2xl shadow-xl border-2 border-gray-400/30 transform hover:scale-105 transition">
-                <p className="text-xl sm:text-2xl text-gray-200 leading-relaxed">
-                  <span className="text-3xl font-bold text-red-300">No calls.</span>
-                  <br />
-                  For ten whole days, we didn't have our usual calls.
-                  <br />
-                  <span className="text-lg italic text-gray-400">The phone felt heavy in my hand, waiting for your voice...</span>
-                </p>
-              </div>
-
-              <div className="bg-white/10 backdrop-blur-sm p-6 rounded-2xl shadow-xl border-2 border-gray-400/30 transform hover:scale-105 transition">
-                <p className="text-xl sm:text-2xl text-gray-200 leading-relaxed">
-                  <span className="text-3xl font-bold text-red-300">No real conversations.</span>
-                  <br />
-                  We barely talked. Brief messages. Quick texts.
-                  <br />
-                  <span className="text-lg italic text-gray-400">Nothing like our usual deep talks that made the distance disappear...</span>
-                </p>
-              </div>
+              {copy.silence.gaps.map((gap) => (
+                <div key={gap.heading} className="bg-white/10 backdrop-blur-sm p-6 rounded-2xl shadow-xl border-2 border-gray-400/30 transform hover:scale-105 transition">
+                  <p className="text-xl sm:text-2xl text-gray-200 leading-relaxed">
+                    <span className="text-3xl font-bold text-red-300">{gap.heading}</span>
+                    <br />
+                    {gap.text}
+                    <br />
+                    <span className="text-lg italic text-gray-400">{gap.aside}</span>
+                  </p>
+                </div>
+              ))}
 
               <div className="bg-gradient-to-r from-red-900/40 to-pink-900/40 backdrop-blur-sm p-8 rounded-3xl shadow-2xl border-2 border-red-400/40">
                 <p className="text-2xl sm:text-3xl font-bold text-white mb-4">
-                  This was the first time.
+                  {copy.silence.first}
                 </p>
                 <p className="text-xl text-gray-200 leading-relaxed">
-                  The first time since we started talking...
-                  <br />
-                  Since we opened our hearts...
-                  <br />
-                  Since we became "us"...
+                  {renderLines(copy.silence.firstText)}
                   <br />
                   <span className="text-2xl font-bold text-red-300">
-                    That we had this much gap between us.
+                    {copy.silence.gap}
                   </span>
                 </p>
               </div>
@@ -2817,34 +3313,22 @@ Aakash`
               <span className="text-8xl animate-heartbeat inline-block">💔</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-gray-100 mb-8 font-handwriting">
-              I Missed You
+              {copy.longing.title}
             </h2>
             <div className="bg-white/10 backdrop-blur-sm p-8 sm:p-12 rounded-3xl shadow-2xl border-2 border-gray-400/30">
               <p className="text-xl sm:text-2xl text-gray-200 leading-relaxed mb-6 font-serif">
-                I missed you <span className="text-3xl font-bold text-red-300">so much</span>.
+                {copy.longing.missed} <span className="text-3xl font-bold text-red-300">{copy.longing.missedEmphasis}</span>.
                 <br /><br />
-                Every morning, I'd wake up hoping to hear your voice.
-                <br />
-                Every night, I'd go to sleep wishing I could talk to you.
+                {renderLines(copy.longing.days)}
                 <br /><br />
                 <span className="text-2xl text-white font-bold">
-                  Ten days felt like an eternity.
+                  {copy.longing.eternity}
                 </span>
                 <br /><br />
-                I missed your laugh. I missed your stories.
-                <br />
-                I missed the way you say my name.
-                <br />
-                I missed how we could talk about everything and nothing.
-                <br /><br />
-                The silence made me realize something:
+                {renderLines(copy.longing.memories)}
                 <br />
                 <span className="text-3xl font-bold text-pink-300 block mt-4">
-                  You're not just someone I love.
-                  <br />
-                  You're the voice I need to hear.
-                  <br />
-                  You're the presence that makes my day complete.
+                  {renderLines(copy.longing.realization)}
                 </span>
               </p>
             </div>
@@ -2853,7 +3337,7 @@ Aakash`
               onClick={() => setPhase('reunion')}
               className="mt-8 bg-gradient-to-r from-pink-600 to-rose-600 text-white px-10 py-4 rounded-full text-xl font-bold hover:from-pink-700 hover:to-rose-700 transition shadow-2xl animate-pulse"
             >
-              December 21... 💕
+              {copy.longing.next}
             </button>
           </div>
         )}
@@ -2865,32 +3349,22 @@ Aakash`
               <span className="text-8xl animate-bounce inline-block">🎉</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-pink-300 mb-8 font-handwriting">
-              You Came Back!
+              {copy.reunion.title}
             </h2>
             <div className="bg-gradient-to-br from-pink-900/40 to-rose-900/40 backdrop-blur-sm p-8 sm:p-12 rounded-3xl shadow-2xl border-2 border-pink-400/40">
               <p className="text-xl sm:text-2xl text-gray-100 leading-relaxed mb-6 font-serif">
-                December 21, 2024.
-                <br />
-                <span className="text-3xl font-bold text-pink-300">Finally.</span>
-                <br /><br />
-                Hearing your voice again felt like coming home.
+                {copy.reunion.date}
                 <br />
-                Talking to you again made everything right.
+                <span className="text-3xl font-bold text-pink-300">{copy.reunion.finally}</span>
                 <br /><br />
-                Those ten days taught me something precious:
+                {renderLines(copy.reunion.text)}
                 <br />
                 <span className="text-2xl font-bold text-white block mt-4">
-                  Distance is bearable.
-                  <br />
-                  Silence is not.
+                  {renderLines(copy.reunion.lesson)}
                 </span>
                 <br />
                 <span className="text-xl text-pink-200">
-                  I can handle miles between us,
-                  <br />
-                  But I can't handle not hearing from you.
-                  <br />
-                  You're not just my love — you're my daily sunshine.
+                  {renderLines(copy.reunion.realization)}
                 </span>
               </p>
             </div>
@@ -2911,48 +3385,30 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">💌</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-pink-300 mb-8 font-handwriting">
-              Never Again
+              {copy.reflection.title}
             </h2>
             <div className="bg-white/10 backdrop-blur-sm p-8 sm:p-12 rounded-3xl shadow-2xl border-2 border-pink-400/40">
               <p className="text-xl sm:text-2xl text-gray-100 leading-relaxed font-serif italic">
-                "Those ten days showed me what life feels like without you in it —
-                <br />
-                and I never want to experience that again.
-                <br /><br />
-                No matter where you are,
-                <br />
-                no matter what happens,
+                {renderLines(copy.reflection.opening)}
                 <br />
                 <span className="text-3xl font-bold text-pink-300 not-italic">
-                  I promise to always stay connected to you.
+                  {copy.reflection.promise}
                 </span>
                 <br /><br />
-                Because you're not just someone I talk to.
-                <br />
-                You're the one I need to talk to.
-                <br />
-                You're my comfort, my joy, my home.
+                {renderLines(copy.reflection.middle)}
                 <br /><br />
                 <span className="text-2xl font-bold text-white not-italic">
-                  December 11-21 will always remind me:
+                  {copy.reflection.remindsHeading}
                   <br />
                   <span className="text-pink-300">
-                    How much I love you.
-                    <br />
-                    How much I need you.
-                    <br />
-                    How incomplete my days are without you.
+                    {renderLines(copy.reflection.reminders)}
                   </span>
                 </span>
                 <br /><br />
-                Thank you for coming back.
-                <br />
-                Thank you for being you.
-                <br />
-                Thank you for being mine."
+                {renderLines(copy.reflection.closing)}
               </p>
               <p className="text-right text-3xl text-pink-400 font-handwriting mt-8">
-                - Your Kanna ❤️
+                {copy.reflection.signature}
               </p>
             </div>
 
@@ -2989,6 +3445,7 @@ Aakash`
 
   // 18. Her First Letter Scene (Dec 26)
   const HerFirstLetterScene = () => {
+    const copy = letterContent.herFirstLetterGift;
     const [phase, setPhase] = useState('intro'); // intro -> unwrapping -> opening -> discovery -> thefirst -> feelings -> treasure
     const [showText, setShowText] = useState(false);
 
@@ -3015,20 +3472,17 @@ Aakash`
             {showText && (
               <>
                 <h1 className="text-5xl sm:text-7xl font-bold text-amber-900 mb-6 font-handwriting animate-fade-in-up">
-                  December 26, 2024
+                  {copy.intro.date}
                 </h1>
                 <p className="text-3xl sm:text-4xl text-rose-700 mb-8 italic animate-fade-in-up" style={{ animationDelay: '0.3s' }}>
-                  A Day I'll Never Forget
+                  {copy.intro.title}
                 </p>
                 <div className="bg-white/60 backdrop-blur-sm p-8 rounded-3xl shadow-2xl border-2 border-amber-200 animate-fade-in-up" style={{ animationDelay: '0.6s' }}>
                   <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed mb-6">
-                    You handed me something unexpected...
-                    <br />
-                    <br />
-                    A gift.
+                    {renderLines(copy.intro.text)}
                     <br />
                     <span className="text-2xl sm:text-3xl font-bold text-rose-600">
-                      But not just any gift.
+                      {copy.intro.emphasis}
                     </span>
                   </p>
                   <div className="text-8xl animate-pulse my-8">
@@ -3056,10 +3510,10 @@ Aakash`
               </div>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-amber-900 mb-8 font-handwriting">
-              Unwrapping...
+              {copy.unwrapping.title}
             </h2>
             <p className="text-xl text-rose-700 italic">
-              My hands were shaking with excitement...
+              {copy.unwrapping.text}
             </p>
           </div>
         )}
@@ -3071,7 +3525,7 @@ Aakash`
               <span className="text-9xl inline-block transform scale-110">📦</span>
             </div>
             <h2 className="text-4xl sm:text-5xl font-bold text-amber-900 mb-8 font-handwriting">
-              Opening the box...
+              {copy.opening.title}
             </h2>
             <div className="flex justify-center gap-4 text-5xl">
               <span className="animate-bounce">✨</span>
@@ -3088,24 +3542,20 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">💌</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-rose-700 mb-8 font-handwriting">
-              Inside... A Letter
+              {copy.discovery.title}
             </h2>
             <div className="bg-gradient-to-br from-amber-100 to-rose-100 p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-amber-300">
               <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed mb-6 font-serif">
-                There it was.
-                <br />
-                <span className="text-3xl font-bold text-rose-600">YOUR letter.</span>
+                {copy.discovery.found}
                 <br />
+                <span className="text-3xl font-bold text-rose-600">{copy.discovery.yours}</span>
                 <br />
-                Your handwriting.
                 <br />
-                Your words.
-                <br />
-                Your thoughts, folded carefully and placed in my hands.
+                {renderLines(copy.discovery.text)}
                 <br />
                 <br />
                 <span className="text-2xl text-amber-800 italic">
-                  I couldn't believe it was real.
+                  {copy.discovery.disbelief}
                 </span>
               </p>
             </div>
@@ -3126,29 +3576,21 @@ Aakash`
               <span className="text-8xl animate-heartbeat inline-block">🏆</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-amber-900 mb-8 font-handwriting">
-              This Was THE FIRST
+              {copy.theFirst.title}
             </h2>
             <div className="bg-white/80 backdrop-blur-sm p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-rose-300">
               <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed mb-6 font-serif">
                 <span className="text-3xl font-bold text-rose-600 block mb-4">
-                  The FIRST time
+                  {copy.theFirst.first}
                 </span>
-                you gave me a letter WITH a gift.
-                <br />
+                {copy.theFirst.gift}
                 <br />
-                The first time I held your words in a tangible form.
                 <br />
-                The first time your thoughts became something I could keep forever.
-                <br />
-                The first time you gave me a piece of your heart I could carry with me.
+                {renderLines(copy.theFirst.text)}
                 <br />
                 <br />
                 <span className="text-2xl font-bold text-amber-800">
-                  It wasn't just a letter.
-                  <br />
-                  It was a FIRST.
-                  <br />
-                  And firsts are forever.
+                  {renderLines(copy.theFirst.forever)}
                 </span>
               </p>
             </div>
@@ -3169,38 +3611,34 @@ Aakash`
               <span className="text-8xl animate-bounce inline-block">😊</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-rose-700 mb-8 font-handwriting">
-              I Was SO Happy
+              {copy.feelings.title}
             </h2>
             <div className="bg-gradient-to-br from-rose-100 via-pink-100 to-orange-100 p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-rose-300">
               <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed font-serif">
                 <span className="text-3xl font-bold text-rose-600">
-                  I can't describe the happiness I felt.
+                  {copy.feelings.happiness}
                 </span>
                 <br />
                 <br />
-                Reading your words...
-                <br />
-                Knowing you took the time to write them...
-                <br />
-                Knowing you cared enough to give me something so personal...
+                {renderLines(copy.feelings.text)}
                 <br />
                 <br />
                 <span className="text-2xl text-amber-800 italic">
-                  That letter meant EVERYTHING.
+                  {copy.feelings.meaning}
                 </span>
                 <br />
                 <br />
-                In that moment, I felt:
+                {copy.feelings.felt}
                 <br />
                 <span className="text-xl font-bold text-pink-600">
-                  Loved. Valued. Special. Cherished.
+                  {copy.feelings.words}
                 </span>
                 <br />
                 <br />
-                You made me feel like the most important person in the world.
+                {copy.feelings.important}
                 <br />
                 <span className="text-2xl font-bold text-rose-700">
-                  Because to you, I am.
+                  {copy.feelings.because}
                 </span>
               </p>
             </div>
@@ -3221,56 +3659,14 @@ Aakash`
               <span className="text-8xl animate-pulse inline-block">💎</span>
             </div>
             <h2 className="text-4xl sm:text-6xl font-bold text-amber-900 mb-8 font-handwriting">
-              I Still Have It
+              {copy.treasure.title}
             </h2>
             <div className="bg-white/90 backdrop-blur-sm p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-amber-400">
-              <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed font-serif italic">
-                "That letter is one of my most precious possessions.
-                <br />
-                <br />
-                I still have it.
-                <br />
-                I still read it.
-                <br />
-                I still treasure every word.
-                <br />
-                <br />
-                <span className="text-3xl font-bold text-rose-600 not-italic">
-                  It reminds me why I'm the luckiest person alive.
-                </span>
-                <br />
-                <br />
-                Because I have someone who cares enough to write.
-                <br />
-                Someone who loves me enough to give.
-                <br />
-                Someone who makes every moment special.
-                <br />
-                <br />
-                <span className="text-2xl font-bold text-amber-800 not-italic">
-                  I have YOU, Pooja.
-                </span>
-                <br />
-                <br />
-                And that letter from December 26?
-                <br />
-                <span className="text-xl text-rose-700 not-italic">
-                  It's proof that I'm living a dream I never want to wake up from.
-                </span>
-                <br />
-                <br />
-                Thank you for that gift.
-                <br />
-                Thank you for that letter.
-                <br />
-                <span className="text-3xl font-bold text-pink-600 not-italic">
-                  Thank you for being YOU. ❤️
-                </span>
-                "
-              </p>
-              <p className="text-right text-3xl text-amber-700 font-handwriting mt-8">
-                - Your Kanna 🥰
-              </p>
+              <LetterMarkdown
+                markdown={letterContent.herFirstLetter.body}
+                className="text-xl sm:text-2xl text-gray-800 leading-relaxed font-serif italic"
+                signatureClassName="text-3xl text-amber-700 not-italic"
+              />
             </div>
 
             <button
@@ -3308,12 +3704,8 @@ Aakash`
   const FourHeartsOneFamilyScene = () => {
     const [phase, setPhase] = useState('intro'); // intro, hearts, unite, family
 
-    const familyMembers = [
-      { name: 'Aakash', color: 'from-blue-400 to-blue-600', trait: 'The Protector' },
-      { name: 'Pooja', color: 'from-pink-400 to-pink-600', trait: 'The Heart' },
-      { name: 'Aadhya', color: 'from-purple-400 to-purple-600', trait: 'The Joy' },
-      { name: 'Parthu', color: 'from-amber-400 to-amber-600', trait: 'The Light' }
-    ];
+    const familyMembers = letterContent.familyMembers;
+    const copy = letterContent.fourHeartsOneFamily;
 
     const handleStart = () => {
       setPhase('hearts');
@@ -3347,21 +3739,19 @@ Aakash`
             <div className="text-center animate-fade-in">
               <div className="mb-8">
                 <h1 className="text-6xl sm:text-7xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-amber-400 via-pink-400 to-purple-400 mb-6 animate-pulse">
-                  Our Family
+                  {copy.intro.title}
                 </h1>
                 <p className="text-3xl sm:text-4xl text-white/90 font-handwriting mb-4">
-                  Four Hearts, One Love
+                  {copy.intro.subtitle}
                 </p>
               </div>
 
               <div className="bg-white/10 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/30 shadow-2xl">
                 <p className="text-xl sm:text-2xl text-white/90 leading-relaxed mb-8">
-                  Some dreams are worth believing in.
-                  <br />
-                  This is mine... This is ours.
+                  {renderLines(copy.intro.text)}
                   <br />
                   <span className="text-2xl sm:text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-amber-300 to-pink-300 mt-4 block">
-                    The Yarrapragada's
+                    {copy.intro.name}
                   </span>
                 </p>
                 <button
@@ -3378,7 +3768,7 @@ Aakash`
           {phase === 'hearts' && (
             <div className="animate-fade-in">
               <h2 className="text-4xl sm:text-5xl font-bold text-white text-center mb-12">
-                Each One Special 💖
+                {copy.hearts.title}
               </h2>
 
               <div className="grid grid-cols-2 gap-6 sm:gap-8 max-w-3xl mx-auto">
@@ -3409,7 +3799,7 @@ Aakash`
           {phase === 'unite' && (
             <div className="text-center animate-fade-in">
               <h2 className="text-4xl sm:text-5xl font-bold text-white mb-12">
-                Together As One 💞
+                {copy.unite.title}
               </h2>
 
               <div className="relative w-80 h-80 mx-auto mb-8">
@@ -3481,36 +3871,28 @@ Aakash`
               <div className="mb-8">
                 <div className="text-9xl mb-6 animate-heartbeat">💖</div>
                 <h1 className="text-5xl sm:text-6xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-amber-400 via-pink-400 to-purple-400 mb-4">
-                  The Yarrapragada's
+                  {copy.family.title}
                 </h1>
                 <p className="text-2xl sm:text-3xl text-white/90 font-handwriting mb-8">
-                  Our Beautiful Family
+                  {copy.family.subtitle}
                 </p>
               </div>
 
               <div className="bg-white/10 backdrop-blur-md rounded-3xl p-8 sm:p-12 border border-white/30 shadow-2xl max-w-2xl mx-auto">
                 <div className="space-y-4 text-left mb-8">
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💙 <span className="font-bold">Aakash</span> - Your strength, your partner, your forever
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💗 <span className="font-bold">Pooja</span> - My love, My courage, My everything
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    💜 <span className="font-bold">Aadhya</span> - Our first blessing, our little joy
-                  </p>
-                  <p className="text-lg text-white/90 leading-relaxed">
-                    🧡 <span className="font-bold">Parthu</span> - Our second blessing, our little light
-                  </p>
+                  {familyMembers.map((member) => (
+                    <p key={member.name} className="text-lg text-white/90 leading-relaxed">
+                      {member.heart} <span className="font-bold">{member.name}</span> - {member.role}
+                    </p>
+                  ))}
                 </div>
 
                 <div className="border-t border-white/20 pt-6">
                   <p className="text-xl sm:text-2xl text-white font-bold mb-4 italic">
-                    "Together, we are complete."
+                    {copy.family.quote}
                   </p>
                   <p className="text-white/80">
-                    This is the family we'll build. This is the love we'll share.
-                    This is our forever. 💕
+                    {copy.family.closing}
                   </p>
                 </div>
               </div>
@@ -3541,6 +3923,8 @@ Aakash`
   const OurStoryScene = () => {
     const scrollContainerRef = useRef(null);
     const [activeSection, setActiveSection] = useState(0);
+    // One list per chapter in content/our-story.json, in the order the lines appear below
+    const copy = letterContent.ourStory;
 
     // Consistent container classes for responsive alignment
     const containerClasses = "max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 w-full overflow-y-auto max-h-full";
@@ -3636,11 +4020,11 @@ Aakash`
           ))}
           <div className={`${containerClasses} text-center`}>
             <h1 className="text-5xl sm:text-6xl lg:text-7xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-pink-400 via-purple-400 to-blue-400 mb-6 sm:mb-8 animate-pulse font-handwriting leading-tight">
-              Our Love Story
+              {copy.opening[0]}
             </h1>
-            <p className="text-xl sm:text-2xl lg:text-3xl text-white/90 mb-3 sm:mb-4">Aakash & Pooja</p>
-            <p className="text-base sm:text-lg lg:text-xl text-white/70">From a glance to forever</p>
-            <p className="text-sm text-white/50 mt-6 sm:mt-8 animate-bounce">Scroll to begin ↓</p>
+            <p className="text-xl sm:text-2xl lg:text-3xl text-white/90 mb-3 sm:mb-4">{copy.opening[1]}</p>
+            <p className="text-base sm:text-lg lg:text-xl text-white/70">{copy.opening[2]}</p>
+            <p className="text-sm text-white/50 mt-6 sm:mt-8 animate-bounce">{copy.opening[3]}</p>
           </div>
         </section>
 
@@ -3659,23 +4043,23 @@ Aakash`
             ))}
           </div>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-pink-300 text-base sm:text-lg mb-3 sm:mb-4">April 20</p>
-            <h2 className="text-3xl sm:text-4xl lg:text-5xl font-bold text-white mb-4 sm:mb-6 font-handwriting leading-tight">The Glance That Started It All</h2>
+            <p className="text-pink-300 text-base sm:text-lg mb-3 sm:mb-4">{copy.glance[0]}</p>
+            <h2 className="text-3xl sm:text-4xl lg:text-5xl font-bold text-white mb-4 sm:mb-6 font-handwriting leading-tight">{copy.glance[1]}</h2>
             <div className="space-y-2 sm:space-y-3 text-base sm:text-lg lg:text-xl text-white/90 leading-relaxed">
-              <p className="text-lg sm:text-xl italic text-pink-200">It was just another family function.</p>
-              <p>A room full of familiar and unfamiliar faces.</p>
-              <p>But among all of them, there was one...</p>
+              <p className="text-lg sm:text-xl italic text-pink-200">{copy.glance[2]}</p>
+              <p>{copy.glance[3]}</p>
+              <p>{copy.glance[4]}</p>
               <div className="text-5xl sm:text-6xl lg:text-7xl my-6 sm:my-8 animate-pulse">👀</div>
-              <p className="text-2xl sm:text-3xl text-pink-300">You.</p>
-              <p>Our eyes didn't meet. We didn't exchange words.</p>
-              <p>We didn't even properly see each other.</p>
+              <p className="text-2xl sm:text-3xl text-pink-300">{copy.glance[5]}</p>
+              <p>{copy.glance[6]}</p>
+              <p>{copy.glance[7]}</p>
               <div className="my-8 p-6 sm:p-8 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">Just a fleeting glance.</p>
-                <p className="text-xl sm:text-2xl text-white/80 mt-2">But somehow, it was enough.</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">{copy.glance[8]}</p>
+                <p className="text-xl sm:text-2xl text-white/80 mt-2">{copy.glance[9]}</p>
               </div>
-              <p className="text-lg sm:text-xl text-white/80 italic">Little did I know...</p>
+              <p className="text-lg sm:text-xl text-white/80 italic">{copy.glance[10]}</p>
               <p className="text-xl sm:text-2xl text-transparent bg-clip-text bg-gradient-to-r from-pink-300 to-purple-300 font-bold">
-                That fleeting moment would become the beginning of forever.
+                {copy.glance[11]}
               </p>
             </div>
           </div>
@@ -3685,34 +4069,34 @@ Aakash`
         <section className={`${sectionClasses} bg-gradient-to-br from-blue-900 via-cyan-800 to-teal-900`}>
           <div className={`${containerClasses}`}>
             <div className="text-center mb-6 sm:mb-8 lg:mb-12">
-              <p className="text-cyan-300 text-lg sm:text-xl mb-4">May</p>
-              <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold text-white mb-4 font-handwriting">The Follow</h2>
-              <p className="text-xl sm:text-2xl text-white/80">A digital thread</p>
+              <p className="text-cyan-300 text-lg sm:text-xl mb-4">{copy.follow[0]}</p>
+              <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold text-white mb-4 font-handwriting">{copy.follow[1]}</h2>
+              <p className="text-xl sm:text-2xl text-white/80">{copy.follow[2]}</p>
             </div>
             <PhoneMockup gradient="from-purple-600 to-pink-600">
               <div className="h-full bg-gradient-to-b from-purple-50 to-pink-50 p-4">
                 <div className="flex items-center justify-center mb-6">
-                  <p className="font-bold text-2xl">Instagram</p>
+                  <p className="font-bold text-2xl">{copy.follow[3]}</p>
                 </div>
                 <div className="bg-white rounded-xl p-6 shadow-lg text-center">
                   <div className="w-24 h-24 rounded-full bg-gradient-to-br from-pink-500 to-purple-500 mx-auto mb-4 flex items-center justify-center text-white text-4xl font-bold">
-                    P
+                    {copy.follow[4]}
                   </div>
-                  <p className="font-bold text-xl mb-2">Pooja</p>
-                  <p className="text-gray-500 text-sm mb-4">Followed by your brothers</p>
+                  <p className="font-bold text-xl mb-2">{copy.follow[5]}</p>
+                  <p className="text-gray-500 text-sm mb-4">{copy.follow[6]}</p>
                   <button className="bg-blue-500 text-white px-8 py-2 rounded-lg font-semibold w-full">
-                    Follow
+                    {copy.follow[7]}
                   </button>
                 </div>
                 <div className="mt-8 space-y-3 text-center text-gray-600">
-                  <p className="italic">Life moved on after that function.</p>
-                  <p className="italic">But somehow, I couldn't forget that face.</p>
-                  <p className="font-semibold text-gray-800 mt-4">Then one day, I saw your profile.</p>
-                  <p className="text-sm">My brothers were following you.</p>
-                  <p className="text-purple-600 font-semibold mt-4">My heart raced as I clicked "Follow"</p>
-                  <p className="text-pink-600 font-bold text-lg">You accepted.</p>
-                  <p className="text-sm italic mt-4">It was just a follow request...</p>
-                  <p className="text-pink-600 font-semibold">But it felt like the universe was giving me a second chance.</p>
+                  <p className="italic">{copy.follow[8]}</p>
+                  <p className="italic">{copy.follow[9]}</p>
+                  <p className="font-semibold text-gray-800 mt-4">{copy.follow[10]}</p>
+                  <p className="text-sm">{copy.follow[11]}</p>
+                  <p className="text-purple-600 font-semibold mt-4">{copy.follow[12]}</p>
+                  <p className="text-pink-600 font-bold text-lg">{copy.follow[13]}</p>
+                  <p className="text-sm italic mt-4">{copy.follow[14]}</p>
+                  <p className="text-pink-600 font-semibold">{copy.follow[15]}</p>
                 </div>
               </div>
             </PhoneMockup>
@@ -3724,24 +4108,24 @@ Aakash`
           <div className={`${containerClasses}`}>
             <div className="grid md:grid-cols-2 gap-6 sm:gap-8 lg:gap-12 items-center">
               <div className="text-white text-center md:text-left">
-                <p className="text-pink-300 text-lg sm:text-xl mb-4">May 30</p>
-                <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold mb-6 sm:mb-8 font-handwriting">A Simple Birthday Wish</h2>
+                <p className="text-pink-300 text-lg sm:text-xl mb-4">{copy.birthday[0]}</p>
+                <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold mb-6 sm:mb-8 font-handwriting">{copy.birthday[1]}</h2>
                 <div className="space-y-4 text-lg sm:text-xl">
-                  <p className="italic text-pink-200">I didn't know you yet.</p>
-                  <p className="italic text-pink-200">We had never spoken.</p>
-                  <p className="mt-6">But when your birthday came,</p>
-                  <p>I gathered the courage to send you a message.</p>
+                  <p className="italic text-pink-200">{copy.birthday[2]}</p>
+                  <p className="italic text-pink-200">{copy.birthday[3]}</p>
+                  <p className="mt-6">{copy.birthday[4]}</p>
+                  <p>{copy.birthday[5]}</p>
                   <div className="my-6 p-4 bg-white/10 backdrop-blur-sm rounded-xl border border-white/30">
-                    <p className="text-base italic">"Happy Birthday! 🎂🎉"</p>
+                    <p className="text-base italic">{copy.birthday[6]}</p>
                   </div>
-                  <p>You replied: <span className="text-pink-300 font-semibold">"Thank you 😊"</span></p>
-                  <p className="text-2xl text-yellow-300 font-bold mt-6">I liked that message.</p>
-                  <p className="text-base opacity-75">Just two words from you.</p>
-                  <p className="text-base opacity-75">That was it. No more conversation.</p>
+                  <p>{copy.birthday[7]}<span className="text-pink-300 font-semibold">{copy.birthday[8]}</span></p>
+                  <p className="text-2xl text-yellow-300 font-bold mt-6">{copy.birthday[9]}</p>
+                  <p className="text-base opacity-75">{copy.birthday[10]}</p>
+                  <p className="text-base opacity-75">{copy.birthday[11]}</p>
                   <div className="mt-6 p-4 bg-white/20 backdrop-blur-md rounded-xl">
-                    <p className="text-lg text-white font-semibold">But those two words...</p>
-                    <p className="text-pink-300">They gave me hope.</p>
-                    <p className="text-sm mt-2 italic">Maybe, just maybe, she noticed me too.</p>
+                    <p className="text-lg text-white font-semibold">{copy.birthday[12]}</p>
+                    <p className="text-pink-300">{copy.birthday[13]}</p>
+                    <p className="text-sm mt-2 italic">{copy.birthday[14]}</p>
                   </div>
                 </div>
               </div>
@@ -3749,13 +4133,13 @@ Aakash`
                 <div className="h-full bg-white p-4 flex flex-col">
                   <div className="flex items-center gap-3 mb-6 pb-3 border-b">
                     <div className="w-10 h-10 rounded-full bg-gradient-to-br from-pink-500 to-purple-500 flex items-center justify-center text-white font-bold">
-                      P
+                      {copy.birthday[15]}
                     </div>
-                    <span className="font-semibold">Pooja</span>
+                    <span className="font-semibold">{copy.birthday[16]}</span>
                   </div>
                   <div className="flex-1 space-y-4">
-                    <ChatBubble text="Happy Birthday! 🎂🎉" sent={true} />
-                    <ChatBubble text="Thank you 😊" sent={false} time="Just now" />
+                    <ChatBubble text={copy.birthday[17]} sent={true} />
+                    <ChatBubble text={copy.birthday[18]} sent={false} time={copy.birthday[19]} />
                     <div className="flex justify-end px-4">
                       <Heart className="w-6 h-6 text-pink-500 fill-pink-500 animate-pulse" />
                     </div>
@@ -3769,41 +4153,41 @@ Aakash`
         {/* ===== CHAPTER 4: JUNE 3 - RCB ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-orange-900 via-red-800 to-red-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-orange-300 text-lg sm:text-xl mb-4">June 3</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">Small Moments, Big Feelings</h2>
+            <p className="text-orange-300 text-lg sm:text-xl mb-4">{copy.rcb[0]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.rcb[1]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8">🏏</div>
             <div className="space-y-4 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-orange-200">It was just another cricket match.</p>
-              <p className="text-lg italic text-orange-200">RCB won, and I was excited.</p>
+              <p className="text-lg italic text-orange-200">{copy.rcb[2]}</p>
+              <p className="text-lg italic text-orange-200">{copy.rcb[3]}</p>
 
-              <p className="text-xl mt-6">So I posted a story celebrating the win.</p>
+              <p className="text-xl mt-6">{copy.rcb[4]}</p>
 
               <div className="my-8 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl text-white mb-3">Then I saw it...</p>
-                <p className="text-2xl text-orange-300 font-bold">You replied with an emoji.</p>
+                <p className="text-xl text-white mb-3">{copy.rcb[5]}</p>
+                <p className="text-2xl text-orange-300 font-bold">{copy.rcb[6]}</p>
               </div>
 
-              <p className="text-lg text-white/90">My heart skipped a beat.</p>
-              <p className="text-lg text-white/90">It was just an emoji, but it was from you.</p>
+              <p className="text-lg text-white/90">{copy.rcb[7]}</p>
+              <p className="text-lg text-white/90">{copy.rcb[8]}</p>
 
               <div className="my-6 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-xl text-white italic">I quickly sent another emoji back,</p>
-                <p className="text-xl text-white italic">hoping the conversation would continue.</p>
-                <p className="text-lg text-orange-200 mt-3">But you just liked it and left.</p>
+                <p className="text-xl text-white italic">{copy.rcb[9]}</p>
+                <p className="text-xl text-white italic">{copy.rcb[10]}</p>
+                <p className="text-lg text-orange-200 mt-3">{copy.rcb[11]}</p>
               </div>
 
-              <p className="text-lg mt-8 text-white/70 italic">Again, no real conversation.</p>
-              <p className="text-lg text-white/70 italic">Just brief exchanges that meant nothing... and everything.</p>
+              <p className="text-lg mt-8 text-white/70 italic">{copy.rcb[12]}</p>
+              <p className="text-lg text-white/70 italic">{copy.rcb[13]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-orange-500/30 to-red-500/30 backdrop-blur-md rounded-3xl border-2 border-orange-400">
-                <p className="text-2xl text-orange-300 font-bold mb-3">But something was changing inside me.</p>
-                <p className="text-xl text-white">I was starting to notice you more.</p>
-                <p className="text-xl text-white mt-2">Every story you posted, every like you gave—</p>
-                <p className="text-xl text-pink-300 font-bold mt-3">I was paying attention to all of it.</p>
+                <p className="text-2xl text-orange-300 font-bold mb-3">{copy.rcb[14]}</p>
+                <p className="text-xl text-white">{copy.rcb[15]}</p>
+                <p className="text-xl text-white mt-2">{copy.rcb[16]}</p>
+                <p className="text-xl text-pink-300 font-bold mt-3">{copy.rcb[17]}</p>
               </div>
 
               <p className="text-2xl text-transparent bg-clip-text bg-gradient-to-r from-orange-300 to-red-300 font-bold mt-6">
-                Without even realizing it, I was already falling for you.
+                {copy.rcb[18]}
               </p>
             </div>
           </div>
@@ -3812,7 +4196,7 @@ Aakash`
         {/* ===== CHAPTER 5: JUNE 10, 8:06 PM - THE BEGINNING ⭐ ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-yellow-900 via-amber-800 to-orange-900`}>
           <div className="absolute top-8 right-8 bg-gradient-to-r from-yellow-400 to-amber-500 text-black px-6 py-3 rounded-full font-bold shadow-xl animate-bounce z-50">
-            ⭐ SPECIAL MOMENT
+            {copy.beginning[0]}
           </div>
           {[...Array(30)].map((_, i) => (
             <div
@@ -3830,37 +4214,37 @@ Aakash`
             <div className="grid md:grid-cols-2 gap-6 sm:gap-8 lg:gap-12 items-center z-10">
               <div className="text-white text-center md:text-left">
                 <div className="mb-6 sm:mb-8">
-                  <p className="text-yellow-300 text-xl sm:text-2xl mb-4">June 10</p>
-                <ClockDisplay time="8:06 PM" label="The moment everything changed" />
+                  <p className="text-yellow-300 text-xl sm:text-2xl mb-4">{copy.beginning[1]}</p>
+                <ClockDisplay time={copy.beginning[2]} label={copy.beginning[3]} />
               </div>
-              <h2 className="text-4xl sm:text-6xl font-bold mb-8 font-handwriting">The Moment Everything Changed</h2>
+              <h2 className="text-4xl sm:text-6xl font-bold mb-8 font-handwriting">{copy.beginning[4]}</h2>
               <div className="space-y-4 text-lg sm:text-xl">
-                <p className="text-3xl sm:text-4xl text-yellow-300 font-bold">June 10, 8:06 PM.</p>
-                <p className="text-2xl text-yellow-200 italic">This is the moment I will never, ever forget.</p>
+                <p className="text-3xl sm:text-4xl text-yellow-300 font-bold">{copy.beginning[5]}</p>
+                <p className="text-2xl text-yellow-200 italic">{copy.beginning[6]}</p>
 
                 <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                  <p className="text-base italic text-white/80">You posted a story about Lord Krishna.</p>
-                  <p className="text-base mt-2 text-white/80">Simple. Beautiful. Spiritual.</p>
-                  <p className="text-lg mt-4 text-yellow-300">And it gave me the perfect reason to talk to you.</p>
+                  <p className="text-base italic text-white/80">{copy.beginning[7]}</p>
+                  <p className="text-base mt-2 text-white/80">{copy.beginning[8]}</p>
+                  <p className="text-lg mt-4 text-yellow-300">{copy.beginning[9]}</p>
                 </div>
 
-                <p className="text-lg">At exactly 8:06 PM, my heart pounding,</p>
-                <p className="text-lg">I typed out a simple message:</p>
+                <p className="text-lg">{copy.beginning[10]}</p>
+                <p className="text-lg">{copy.beginning[11]}</p>
                 <div className="my-6 p-4 bg-yellow-500/20 backdrop-blur-md rounded-xl border-2 border-yellow-400">
-                  <p className="text-xl sm:text-2xl italic text-yellow-100">"Hey hi, can you please send this picture?"</p>
+                  <p className="text-xl sm:text-2xl italic text-yellow-100">{copy.beginning[12]}</p>
                 </div>
 
                 <div className="text-7xl my-6 animate-pulse">🕉️</div>
 
                 <div className="my-8 p-6 bg-gradient-to-r from-yellow-500/30 to-amber-500/30 backdrop-blur-md rounded-2xl border-2 border-yellow-400">
-                  <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mb-4">That simple message...</p>
-                  <p className="text-xl text-white">Changed my entire life.</p>
+                  <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mb-4">{copy.beginning[13]}</p>
+                  <p className="text-xl text-white">{copy.beginning[14]}</p>
                 </div>
 
-                <p className="text-lg text-white/90">You replied. We talked.</p>
-                <p className="text-lg text-white/90">And we never stopped.</p>
+                <p className="text-lg text-white/90">{copy.beginning[15]}</p>
+                <p className="text-lg text-white/90">{copy.beginning[16]}</p>
                 <p className="text-2xl text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 to-pink-300 font-bold mt-6">
-                  From that day till now, not a single day has passed without you.
+                  {copy.beginning[17]}
                 </p>
               </div>
             </div>
@@ -3868,23 +4252,23 @@ Aakash`
               <div className="h-full bg-white p-4">
                 <div className="flex items-center gap-3 mb-6 pb-3 border-b">
                   <div className="w-10 h-10 rounded-full bg-gradient-to-br from-pink-500 to-purple-500 flex items-center justify-center text-white font-bold">
-                    P
+                    {copy.beginning[18]}
                   </div>
-                  <span className="font-semibold">Pooja</span>
+                  <span className="font-semibold">{copy.beginning[19]}</span>
                 </div>
                 <div className="space-y-4">
                   <div className="bg-purple-100 rounded-lg p-4 text-center">
                     <div className="text-6xl mb-2">🕉️</div>
-                    <p className="text-sm text-gray-600">Story • 2h ago</p>
+                    <p className="text-sm text-gray-600">{copy.beginning[20]}</p>
                   </div>
-                  <ChatBubble text="Hey hi, can you please send this picture?" sent={true} time="8:06 PM" />
+                  <ChatBubble text={copy.beginning[21]} sent={true} time={copy.beginning[22]} />
                   <div className="text-center text-sm text-gray-500 my-4">
-                    <p className="animate-pulse">Typing...</p>
+                    <p className="animate-pulse">{copy.beginning[23]}</p>
                   </div>
-                  <ChatBubble text="Sure!" sent={false} />
-                  <ChatBubble text="Here you go 😊" sent={false} />
+                  <ChatBubble text={copy.beginning[24]} sent={false} />
+                  <ChatBubble text={copy.beginning[25]} sent={false} />
                   <div className="text-center text-pink-600 font-semibold animate-pulse mt-8">
-                    And the conversation began... 💬
+                    {copy.beginning[26]}
                   </div>
                 </div>
               </div>
@@ -3896,9 +4280,9 @@ Aakash`
         {/* ===== CHAPTER 6: JUNE 22, 5:55 AM - FIRST CALL ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-green-900 via-emerald-800 to-teal-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-emerald-300 text-lg sm:text-xl mb-4">June 22</p>
-            <ClockDisplay time="5:55 PM" label="First Voice" />
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">Hearing Your Voice for the First Time</h2>
+            <p className="text-emerald-300 text-lg sm:text-xl mb-4">{copy.firstCall[0]}</p>
+            <ClockDisplay time={copy.firstCall[1]} label={copy.firstCall[2]} />
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">{copy.firstCall[3]}</h2>
             <div className="my-12 relative">
               <div className="w-48 h-48 bg-gradient-to-br from-green-400 to-emerald-500 rounded-full flex items-center justify-center animate-pulse shadow-2xl mx-auto">
                 <div className="text-7xl">📞</div>
@@ -3919,36 +4303,36 @@ Aakash`
               ))}
             </div>
             <div className="space-y-4 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-emerald-200">We had been chatting every day for 12 days.</p>
-              <p className="text-lg italic text-emerald-200">Messages brought us close, but I wanted more.</p>
+              <p className="text-lg italic text-emerald-200">{copy.firstCall[4]}</p>
+              <p className="text-lg italic text-emerald-200">{copy.firstCall[5]}</p>
 
               <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl">I wanted to hear you.</p>
-                <p className="text-lg text-white/80 mt-2">To know what you sounded like when you laughed.</p>
-                <p className="text-lg text-white/80">To hear the warmth in your words.</p>
+                <p className="text-xl">{copy.firstCall[6]}</p>
+                <p className="text-lg text-white/80 mt-2">{copy.firstCall[7]}</p>
+                <p className="text-lg text-white/80">{copy.firstCall[8]}</p>
               </div>
 
-              <p className="text-lg">My hands were trembling as I pressed "Call".</p>
-              <p className="text-lg">My heart was racing.</p>
+              <p className="text-lg">{copy.firstCall[9]}</p>
+              <p className="text-lg">{copy.firstCall[10]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-green-500/30 to-emerald-500/30 backdrop-blur-md rounded-3xl border-2 border-green-300">
-                <p className="text-3xl sm:text-4xl text-emerald-300 font-bold mb-4">5:55 PM</p>
-                <p className="text-2xl text-white">You answered.</p>
+                <p className="text-3xl sm:text-4xl text-emerald-300 font-bold mb-4">{copy.firstCall[11]}</p>
+                <p className="text-2xl text-white">{copy.firstCall[12]}</p>
               </div>
 
-              <p className="text-2xl sm:text-3xl text-emerald-300 font-bold mt-8">And then I heard your voice.</p>
+              <p className="text-2xl sm:text-3xl text-emerald-300 font-bold mt-8">{copy.firstCall[13]}</p>
 
               <div className="my-6 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-lg italic text-white">Soft. Sweet. Real.</p>
-                <p className="text-lg text-emerald-200 mt-3">All the texts we'd exchanged suddenly had a melody.</p>
-                <p className="text-lg text-emerald-200">All the emojis suddenly had emotion.</p>
+                <p className="text-lg italic text-white">{copy.firstCall[14]}</p>
+                <p className="text-lg text-emerald-200 mt-3">{copy.firstCall[15]}</p>
+                <p className="text-lg text-emerald-200">{copy.firstCall[16]}</p>
               </div>
 
-              <p className="text-xl">That call wasn't just about talking.</p>
-              <p className="text-xl text-emerald-200">It was about you becoming even more real to me.</p>
+              <p className="text-xl">{copy.firstCall[17]}</p>
+              <p className="text-xl text-emerald-200">{copy.firstCall[18]}</p>
 
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-green-300 to-emerald-300 font-bold mt-8">
-                From that day, your voice became my favorite sound in the entire world.
+                {copy.firstCall[19]}
               </p>
             </div>
           </div>
@@ -3957,38 +4341,38 @@ Aakash`
         {/* ===== CHAPTER 7: GROWING CONNECTION ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-orange-800 via-rose-700 to-pink-800`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-rose-300 text-lg sm:text-xl mb-4">June - July</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">Falling Without Realizing</h2>
+            <p className="text-rose-300 text-lg sm:text-xl mb-4">{copy.growing[0]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.growing[1]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8 animate-pulse">💭</div>
             <div className="space-y-6 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-rose-200">Days turned into weeks.</p>
-              <p className="text-lg italic text-rose-200">And with each passing day, something was changing inside me.</p>
+              <p className="text-lg italic text-rose-200">{copy.growing[2]}</p>
+              <p className="text-lg italic text-rose-200">{copy.growing[3]}</p>
 
-              <p className="text-xl mt-6">We talked about everything and nothing.</p>
-              <p className="text-lg text-white/80">Random thoughts at 2 AM.</p>
-              <p className="text-lg text-white/80">Silly jokes that made us laugh for hours.</p>
-              <p className="text-lg text-white/80">Deep conversations about life, dreams, and fears.</p>
+              <p className="text-xl mt-6">{copy.growing[4]}</p>
+              <p className="text-lg text-white/80">{copy.growing[5]}</p>
+              <p className="text-lg text-white/80">{copy.growing[6]}</p>
+              <p className="text-lg text-white/80">{copy.growing[7]}</p>
 
               <div className="my-8 p-6 sm:p-8 bg-white/10 backdrop-blur-md rounded-3xl border border-white/20">
-                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mb-4">You gave me something I'd never received before.</p>
-                <p className="text-xl sm:text-2xl text-white/80">You gave me time.</p>
-                <p className="text-lg text-rose-200 mt-3">You gave me attention.</p>
-                <p className="text-lg text-rose-200">You gave me value.</p>
+                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mb-4">{copy.growing[8]}</p>
+                <p className="text-xl sm:text-2xl text-white/80">{copy.growing[9]}</p>
+                <p className="text-lg text-rose-200 mt-3">{copy.growing[10]}</p>
+                <p className="text-lg text-rose-200">{copy.growing[11]}</p>
               </div>
 
-              <p className="text-xl">I found myself thinking about you constantly.</p>
-              <p className="text-lg text-white/80">Wondering what you were doing.</p>
-              <p className="text-lg text-white/80">Smiling when I saw your name on my screen.</p>
-              <p className="text-lg text-white/80">Waiting for your messages like they were the best part of my day.</p>
+              <p className="text-xl">{copy.growing[12]}</p>
+              <p className="text-lg text-white/80">{copy.growing[13]}</p>
+              <p className="text-lg text-white/80">{copy.growing[14]}</p>
+              <p className="text-lg text-white/80">{copy.growing[15]}</p>
 
               <div className="my-6 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-xl text-white italic">I started admiring you.</p>
-                <p className="text-xl text-rose-300 mt-3">Your kindness. Your smile. Your way of seeing the world.</p>
+                <p className="text-xl text-white italic">{copy.growing[16]}</p>
+                <p className="text-xl text-rose-300 mt-3">{copy.growing[17]}</p>
               </div>
 
-              <p className="text-xl mt-6">I started feeling something I couldn't name yet.</p>
+              <p className="text-xl mt-6">{copy.growing[18]}</p>
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-rose-300 to-pink-300 font-bold mt-4">
-                You weren't just becoming important to me—you were becoming my everything.
+                {copy.growing[19]}
               </p>
             </div>
           </div>
@@ -3997,7 +4381,7 @@ Aakash`
         {/* ===== CHAPTER 8: AUG 8 - ATHADU & MOON ⭐ ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-slate-900 via-indigo-900 to-blue-900`}>
           <div className="absolute top-8 right-8 bg-gradient-to-r from-yellow-400 to-amber-500 text-black px-6 py-3 rounded-full font-bold shadow-xl animate-bounce z-50">
-            ⭐ SPECIAL MOMENT
+            {copy.athadu[0]}
           </div>
           {[...Array(50)].map((_, i) => (
             <div
@@ -4013,43 +4397,43 @@ Aakash`
           <div className={`${containerClasses}`}>
             <div className="grid md:grid-cols-2 gap-6 sm:gap-8 lg:gap-12 items-center z-10">
               <div className="text-white space-y-4 sm:space-y-6 text-center md:text-left">
-                <p className="text-blue-300 text-xl sm:text-2xl">August 8</p>
-                <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold font-handwriting">The Night I Chose You Over Everything</h2>
-              <p className="text-lg italic text-blue-200">I'm a huge Mahesh Babu fan.</p>
-              <p className="text-lg italic text-blue-200">Athadu is one of my all-time favorite movies.</p>
-              <p className="text-lg text-white/90">When it got re-released, I was so excited.</p>
+                <p className="text-blue-300 text-xl sm:text-2xl">{copy.athadu[1]}</p>
+                <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold font-handwriting">{copy.athadu[2]}</h2>
+              <p className="text-lg italic text-blue-200">{copy.athadu[3]}</p>
+              <p className="text-lg italic text-blue-200">{copy.athadu[4]}</p>
+              <p className="text-lg text-white/90">{copy.athadu[5]}</p>
 
               <div className="p-4 sm:p-6 bg-white/10 backdrop-blur-md rounded-2xl border border-white/20 my-6">
                 <div className="flex items-center gap-4 mb-4">
                   <div className="text-4xl">🎬</div>
                   <div>
-                    <p className="text-xl sm:text-2xl font-bold">Athadu Re-Release</p>
-                    <p className="text-sm text-blue-300">Theatre Show</p>
+                    <p className="text-xl sm:text-2xl font-bold">{copy.athadu[6]}</p>
+                    <p className="text-sm text-blue-300">{copy.athadu[7]}</p>
                   </div>
                 </div>
-                <p className="text-base sm:text-lg text-white/90">I was sitting in the theatre with my friend.</p>
-                <p className="text-base sm:text-lg text-white/90">The movie I'd been waiting for was playing on the big screen.</p>
-                <p className="text-base sm:text-lg text-blue-200 mt-3">But you... you were in your hometown.</p>
-                <p className="text-base sm:text-lg text-blue-200">And I felt like you weren't in a good mood.</p>
+                <p className="text-base sm:text-lg text-white/90">{copy.athadu[8]}</p>
+                <p className="text-base sm:text-lg text-white/90">{copy.athadu[9]}</p>
+                <p className="text-base sm:text-lg text-blue-200 mt-3">{copy.athadu[10]}</p>
+                <p className="text-base sm:text-lg text-blue-200">{copy.athadu[11]}</p>
               </div>
 
               <div className="my-6 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-lg text-white/90 italic">Something inside me shifted.</p>
-                <p className="text-lg text-blue-200 mt-2">The movie didn't matter anymore.</p>
-                <p className="text-lg text-blue-200">Nothing mattered except talking to you.</p>
+                <p className="text-lg text-white/90 italic">{copy.athadu[12]}</p>
+                <p className="text-lg text-blue-200 mt-2">{copy.athadu[13]}</p>
+                <p className="text-lg text-blue-200">{copy.athadu[14]}</p>
               </div>
 
               <div className="text-2xl sm:text-3xl text-yellow-300 font-bold mt-6">
-                So I left the movie.
+                {copy.athadu[15]}
               </div>
 
-              <p className="text-lg text-white/90">Right there in the theatre hall, I started chatting with you.</p>
-              <p className="text-base text-blue-200 italic">My friend was confused. The movie was playing.</p>
-              <p className="text-base text-blue-200 italic">But I didn't care.</p>
+              <p className="text-lg text-white/90">{copy.athadu[16]}</p>
+              <p className="text-base text-blue-200 italic">{copy.athadu[17]}</p>
+              <p className="text-base text-blue-200 italic">{copy.athadu[18]}</p>
 
               <div className="my-6 p-8 bg-gradient-to-br from-yellow-500/30 to-blue-500/30 backdrop-blur-md rounded-3xl border-2 border-yellow-400">
-                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold">That's when I knew.</p>
-                <p className="text-xl text-white mt-3">You were already more important to me than my favorite things.</p>
+                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold">{copy.athadu[19]}</p>
+                <p className="text-xl text-white mt-3">{copy.athadu[20]}</p>
               </div>
             </div>
             <div className="relative">
@@ -4060,34 +4444,34 @@ Aakash`
                 <div className="absolute inset-0 bg-yellow-300 rounded-full blur-3xl opacity-50 animate-pulse" />
               </div>
               <div className="mt-8 sm:mt-12 text-center text-white space-y-4">
-                <p className="text-lg sm:text-2xl italic text-blue-200">Later that night, while going home from the theatre...</p>
-                <p className="text-lg sm:text-2xl">I looked up at the sky.</p>
+                <p className="text-lg sm:text-2xl italic text-blue-200">{copy.athadu[21]}</p>
+                <p className="text-lg sm:text-2xl">{copy.athadu[22]}</p>
 
                 <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                  <p className="text-xl sm:text-2xl text-yellow-200">It was a full moon night.</p>
-                  <p className="text-lg text-white/80 mt-2">The moon was glowing so bright, so beautiful.</p>
-                  <p className="text-lg text-white/80">Just like you.</p>
+                  <p className="text-xl sm:text-2xl text-yellow-200">{copy.athadu[23]}</p>
+                  <p className="text-lg text-white/80 mt-2">{copy.athadu[24]}</p>
+                  <p className="text-lg text-white/80">{copy.athadu[25]}</p>
                 </div>
 
-                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mt-6">I looked up at the moon...</p>
-                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold">And all I could think of was you.</p>
+                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mt-6">{copy.athadu[26]}</p>
+                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold">{copy.athadu[27]}</p>
 
                 <div className="my-8 p-6 sm:p-8 bg-gradient-to-br from-yellow-500/30 to-pink-500/30 backdrop-blur-md rounded-3xl border-2 border-yellow-400">
-                  <p className="text-lg text-yellow-200 italic mb-4">In that moment, under that beautiful moon,</p>
-                  <p className="text-lg text-yellow-200 italic">everything became crystal clear.</p>
+                  <p className="text-lg text-yellow-200 italic mb-4">{copy.athadu[28]}</p>
+                  <p className="text-lg text-yellow-200 italic">{copy.athadu[29]}</p>
 
                   <p className="text-4xl sm:text-5xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-pink-300 to-purple-300 mt-6 mb-6">
-                    I love her.
+                    {copy.athadu[30]}
                   </p>
 
-                  <p className="text-base sm:text-lg text-white/90">I didn't know if it was love or something else,</p>
-                  <p className="text-base sm:text-lg text-white/90">I couldn't define what I was feeling.</p>
-                  <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-4">But I knew my feelings for you were real.</p>
-                  <p className="text-xl sm:text-2xl text-pink-300 font-bold">More real than anything I'd ever felt before.</p>
+                  <p className="text-base sm:text-lg text-white/90">{copy.athadu[31]}</p>
+                  <p className="text-base sm:text-lg text-white/90">{copy.athadu[32]}</p>
+                  <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-4">{copy.athadu[33]}</p>
+                  <p className="text-xl sm:text-2xl text-pink-300 font-bold">{copy.athadu[34]}</p>
                 </div>
 
-                <p className="text-lg text-yellow-200 italic mt-6">From that night on, whenever I see the moon,</p>
-                <p className="text-lg text-yellow-200 italic">I think of you.</p>
+                <p className="text-lg text-yellow-200 italic mt-6">{copy.athadu[35]}</p>
+                <p className="text-lg text-yellow-200 italic">{copy.athadu[36]}</p>
               </div>
             </div>
             </div>
@@ -4097,47 +4481,47 @@ Aakash`
         {/* ===== CHAPTER 9: AUG 12 - FIRST 143 ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-violet-900 via-purple-800 to-indigo-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-violet-300 text-lg sm:text-xl mb-4">August 12</p>
-            <ClockDisplay time="1:43 AM" label="The First Attempt" />
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">My Heart in Three Numbers</h2>
+            <p className="text-violet-300 text-lg sm:text-xl mb-4">{copy.first143[0]}</p>
+            <ClockDisplay time={copy.first143[1]} label={copy.first143[2]} />
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">{copy.first143[3]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8">🕐</div>
             <div className="space-y-4 text-lg sm:text-2xl text-white/90">
-              <p className="text-lg italic text-violet-200">After that night under the moon,</p>
-              <p className="text-lg italic text-violet-200">I knew what I felt was real.</p>
-              <p className="text-xl mt-6">But how do you tell someone you love them?</p>
+              <p className="text-lg italic text-violet-200">{copy.first143[4]}</p>
+              <p className="text-lg italic text-violet-200">{copy.first143[5]}</p>
+              <p className="text-xl mt-6">{copy.first143[6]}</p>
 
               <div className="p-6 sm:p-8 bg-white/10 backdrop-blur-md rounded-2xl border border-white/20 space-y-3 my-8">
-                <p className="text-xl text-violet-300 mb-4">My mind was racing with fears:</p>
-                <p className="text-lg text-violet-200">How do I express these feelings?</p>
-                <p className="text-lg text-violet-200">How will she react?</p>
-                <p className="text-lg text-violet-200">What if she doesn't feel the same?</p>
-                <p className="text-lg text-violet-200">What if she stops talking to me?</p>
-                <p className="text-lg text-white/80 mt-4 italic">What if I lose her forever?</p>
+                <p className="text-xl text-violet-300 mb-4">{copy.first143[7]}</p>
+                <p className="text-lg text-violet-200">{copy.first143[8]}</p>
+                <p className="text-lg text-violet-200">{copy.first143[9]}</p>
+                <p className="text-lg text-violet-200">{copy.first143[10]}</p>
+                <p className="text-lg text-violet-200">{copy.first143[11]}</p>
+                <p className="text-lg text-white/80 mt-4 italic">{copy.first143[12]}</p>
               </div>
 
-              <p className="text-xl">I couldn't say it directly.</p>
-              <p className="text-lg text-white/80">I was too scared. Too nervous.</p>
+              <p className="text-xl">{copy.first143[13]}</p>
+              <p className="text-lg text-white/80">{copy.first143[14]}</p>
 
               <div className="my-8 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-2xl text-violet-300 font-bold">So I waited for 1:43 AM.</p>
-                <p className="text-lg text-white/90 mt-3">1 letter in "I"</p>
-                <p className="text-lg text-white/90">4 letters in "Love"</p>
-                <p className="text-lg text-white/90">3 letters in "You"</p>
-                <p className="text-xl text-pink-300 font-bold mt-4">143 = I Love You</p>
+                <p className="text-2xl text-violet-300 font-bold">{copy.first143[15]}</p>
+                <p className="text-lg text-white/90 mt-3">{copy.first143[16]}</p>
+                <p className="text-lg text-white/90">{copy.first143[17]}</p>
+                <p className="text-lg text-white/90">{copy.first143[18]}</p>
+                <p className="text-xl text-pink-300 font-bold mt-4">{copy.first143[19]}</p>
               </div>
 
-              <p className="text-xl sm:text-2xl">At exactly 1:43 AM, trembling, I asked you to check the time.</p>
-              <p className="text-lg text-violet-200 italic mt-4">I thought you'd understand.</p>
-              <p className="text-lg text-violet-200 italic">I thought you'd know what I meant.</p>
+              <p className="text-xl sm:text-2xl">{copy.first143[20]}</p>
+              <p className="text-lg text-violet-200 italic mt-4">{copy.first143[21]}</p>
+              <p className="text-lg text-violet-200 italic">{copy.first143[22]}</p>
 
               <div className="my-8 p-6 bg-gradient-to-br from-violet-500/30 to-indigo-500/30 backdrop-blur-md rounded-2xl border-2 border-violet-400">
-                <p className="text-2xl sm:text-3xl text-violet-300 font-bold">But you didn't understand.</p>
-                <p className="text-lg text-white/80 mt-3">You just saw the time and moved on.</p>
+                <p className="text-2xl sm:text-3xl text-violet-300 font-bold">{copy.first143[23]}</p>
+                <p className="text-lg text-white/80 mt-3">{copy.first143[24]}</p>
               </div>
 
-              <p className="text-lg text-white/70 italic">My heart sank.</p>
-              <p className="text-lg text-white/70 italic">The opportunity slipped away.</p>
-              <p className="text-xl text-violet-200 mt-4">But I wasn't ready to give up on you.</p>
+              <p className="text-lg text-white/70 italic">{copy.first143[25]}</p>
+              <p className="text-lg text-white/70 italic">{copy.first143[26]}</p>
+              <p className="text-xl text-violet-200 mt-4">{copy.first143[27]}</p>
             </div>
           </div>
         </section>
@@ -4145,56 +4529,56 @@ Aakash`
         {/* ===== CHAPTER 10: AUG 14 - SHE UNDERSTOOD ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-indigo-900 via-purple-800 to-pink-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-indigo-300 text-lg sm:text-xl mb-4">August 14</p>
-            <ClockDisplay time="1:43 AM" label="The Second Attempt" />
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">When You Finally Knew</h2>
+            <p className="text-indigo-300 text-lg sm:text-xl mb-4">{copy.understood[0]}</p>
+            <ClockDisplay time={copy.understood[1]} label={copy.understood[2]} />
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">{copy.understood[3]}</h2>
             <div className="space-y-4 text-lg sm:text-2xl text-white/90">
-              <p className="text-lg italic text-indigo-200">Two days passed since my first attempt.</p>
-              <p className="text-lg italic text-indigo-200">My feelings hadn't changed—they'd only grown stronger.</p>
+              <p className="text-lg italic text-indigo-200">{copy.understood[4]}</p>
+              <p className="text-lg italic text-indigo-200">{copy.understood[5]}</p>
 
               <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl text-white">I decided to try again.</p>
-                <p className="text-lg text-indigo-200 mt-2">Maybe this time...</p>
+                <p className="text-xl text-white">{copy.understood[6]}</p>
+                <p className="text-lg text-indigo-200 mt-2">{copy.understood[7]}</p>
               </div>
 
-              <p className="text-2xl text-indigo-300 font-bold mt-6">Again, 1:43 AM.</p>
-              <p className="text-xl">Again, with a racing heart, I asked you to check the time.</p>
+              <p className="text-2xl text-indigo-300 font-bold mt-6">{copy.understood[8]}</p>
+              <p className="text-xl">{copy.understood[9]}</p>
 
               <div className="my-8 p-6 sm:p-8 bg-white/10 backdrop-blur-md rounded-2xl border border-white/20">
-                <p className="text-base sm:text-lg italic text-white/80 mb-4">I had a backup plan this time:</p>
-                <p className="text-lg text-indigo-300">If you got serious, I could say</p>
-                <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-2">"143 means I miss you"</p>
-                <p className="text-base sm:text-lg italic text-white/80 mt-4">and mislead you, protect myself from rejection.</p>
+                <p className="text-base sm:text-lg italic text-white/80 mb-4">{copy.understood[10]}</p>
+                <p className="text-lg text-indigo-300">{copy.understood[11]}</p>
+                <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-2">{copy.understood[12]}</p>
+                <p className="text-base sm:text-lg italic text-white/80 mt-4">{copy.understood[13]}</p>
               </div>
 
               <div className="my-8 p-8 bg-gradient-to-br from-pink-500/30 to-indigo-500/30 backdrop-blur-md rounded-3xl border-2 border-pink-400">
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">But this time...</p>
-                <p className="text-2xl sm:text-3xl text-white">You understood.</p>
-                <p className="text-lg text-pink-200 mt-3 italic">You knew what I meant.</p>
-                <p className="text-lg text-pink-200 italic">You felt the weight of those three numbers.</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">{copy.understood[14]}</p>
+                <p className="text-2xl sm:text-3xl text-white">{copy.understood[15]}</p>
+                <p className="text-lg text-pink-200 mt-3 italic">{copy.understood[16]}</p>
+                <p className="text-lg text-pink-200 italic">{copy.understood[17]}</p>
               </div>
 
-              <p className="text-xl sm:text-2xl mt-8">You said:</p>
-              <p className="text-2xl sm:text-3xl italic text-pink-200 font-semibold">"Ila evaru ayna propose chesthara?"</p>
-              <p className="text-sm text-white/60 mt-2">(Does anyone propose like this?)</p>
+              <p className="text-xl sm:text-2xl mt-8">{copy.understood[18]}</p>
+              <p className="text-2xl sm:text-3xl italic text-pink-200 font-semibold">{copy.understood[19]}</p>
+              <p className="text-sm text-white/60 mt-2">{copy.understood[20]}</p>
 
               <div className="my-6 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-xl text-white">You were confused. Uncertain.</p>
-                <p className="text-xl text-indigo-200 mt-2">You were in a dilemma.</p>
-                <p className="text-lg text-white/80 mt-3 italic">I could feel your hesitation.</p>
+                <p className="text-xl text-white">{copy.understood[21]}</p>
+                <p className="text-xl text-indigo-200 mt-2">{copy.understood[22]}</p>
+                <p className="text-lg text-white/80 mt-3 italic">{copy.understood[23]}</p>
               </div>
 
-              <p className="text-xl mt-8">And in that moment, I made you a promise:</p>
+              <p className="text-xl mt-8">{copy.understood[24]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-r from-indigo-500/30 to-purple-500/30 backdrop-blur-md rounded-3xl border-2 border-indigo-400">
-                <p className="text-xl sm:text-2xl text-indigo-200">"I won't be a disturbance in your life."</p>
-                <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-4">"I'll support you always, no matter what."</p>
-                <p className="text-lg text-white/90 mt-4">Whether you choose me or not,</p>
-                <p className="text-lg text-white/90">I'll be there for you.</p>
+                <p className="text-xl sm:text-2xl text-indigo-200">{copy.understood[25]}</p>
+                <p className="text-xl sm:text-2xl text-pink-300 font-bold mt-4">{copy.understood[26]}</p>
+                <p className="text-lg text-white/90 mt-4">{copy.understood[27]}</p>
+                <p className="text-lg text-white/90">{copy.understood[28]}</p>
               </div>
 
               <p className="text-2xl text-transparent bg-clip-text bg-gradient-to-r from-pink-300 to-purple-300 font-bold mt-6">
-                Because loving you meant wanting your happiness, above everything else.
+                {copy.understood[29]}
               </p>
             </div>
           </div>
@@ -4203,7 +4587,7 @@ Aakash`
         {/* ===== CHAPTER 11: AUG 18 - I LOVE YOU ⭐ ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-pink-900 via-rose-800 to-amber-900 relative overflow-hidden`}>
           <div className="absolute top-8 right-8 bg-gradient-to-r from-yellow-400 to-amber-500 text-black px-6 py-3 rounded-full font-bold shadow-xl animate-bounce z-50">
-            ⭐ SPECIAL MOMENT
+            {copy.iLoveYou[0]}
           </div>
           {[...Array(50)].map((_, i) => (
             <div
@@ -4221,45 +4605,45 @@ Aakash`
           ))}
           <div className={`${containerClasses} text-center z-10`}>
             <div className="mb-6 sm:mb-8">
-              <CalendarPage month="AUGUST" day="18" />
+              <CalendarPage month={copy.iLoveYou[1]} day={copy.iLoveYou[2]} />
             </div>
-            <h2 className="text-4xl sm:text-5xl lg:text-7xl font-bold text-white mb-8 sm:mb-12 font-handwriting">The Day My World Changed</h2>
+            <h2 className="text-4xl sm:text-5xl lg:text-7xl font-bold text-white mb-8 sm:mb-12 font-handwriting">{copy.iLoveYou[3]}</h2>
             <div className="space-y-6 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg sm:text-xl italic text-pink-200">After I confessed through 143,</p>
-              <p className="text-lg sm:text-xl italic text-pink-200">I waited with a heart full of hope and fear.</p>
-              <p className="text-lg sm:text-xl">I didn't push. I didn't pressure.</p>
-              <p className="text-lg sm:text-xl">I gave you space to feel, to think, to decide.</p>
+              <p className="text-lg sm:text-xl italic text-pink-200">{copy.iLoveYou[4]}</p>
+              <p className="text-lg sm:text-xl italic text-pink-200">{copy.iLoveYou[5]}</p>
+              <p className="text-lg sm:text-xl">{copy.iLoveYou[6]}</p>
+              <p className="text-lg sm:text-xl">{copy.iLoveYou[7]}</p>
 
               <div className="my-8 p-6 sm:p-8 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-2xl sm:text-3xl text-yellow-200 italic">Four days of waiting...</p>
-                <p className="text-xl sm:text-2xl text-white/80 mt-2">Four days that felt like forever.</p>
+                <p className="text-2xl sm:text-3xl text-yellow-200 italic">{copy.iLoveYou[8]}</p>
+                <p className="text-xl sm:text-2xl text-white/80 mt-2">{copy.iLoveYou[9]}</p>
               </div>
 
-              <p className="text-2xl sm:text-3xl text-pink-300 font-bold mt-8">Then, on August 18th...</p>
+              <p className="text-2xl sm:text-3xl text-pink-300 font-bold mt-8">{copy.iLoveYou[10]}</p>
 
               <div className="my-12 p-8 sm:p-12 bg-gradient-to-br from-pink-500/30 to-purple-500/30 backdrop-blur-md rounded-3xl border-4 border-pink-300 shadow-2xl">
                 <p className="text-4xl sm:text-6xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-pink-300 to-purple-300 mb-6 animate-pulse">
-                  You said "I love you" back.
+                  {copy.iLoveYou[11]}
                 </p>
-                <p className="text-2xl sm:text-3xl text-white mb-4">Three words that changed everything.</p>
-                <p className="text-xl sm:text-2xl text-pink-200">The day you accepted my heart.</p>
+                <p className="text-2xl sm:text-3xl text-white mb-4">{copy.iLoveYou[12]}</p>
+                <p className="text-xl sm:text-2xl text-pink-200">{copy.iLoveYou[13]}</p>
               </div>
 
               <div className="space-y-4 mt-8">
-                <p className="text-lg sm:text-xl text-white/80">I know it wasn't easy for you.</p>
-                <p className="text-lg sm:text-xl text-white/80">We had barely met in person. I was practically a stranger.</p>
-                <p className="text-lg sm:text-xl text-white/80">You had every reason to doubt, every reason to be cautious.</p>
+                <p className="text-lg sm:text-xl text-white/80">{copy.iLoveYou[14]}</p>
+                <p className="text-lg sm:text-xl text-white/80">{copy.iLoveYou[15]}</p>
+                <p className="text-lg sm:text-xl text-white/80">{copy.iLoveYou[16]}</p>
               </div>
 
               <div className="my-8 p-6 sm:p-8 bg-white/20 backdrop-blur-md rounded-3xl border-2 border-pink-400">
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">But you took a leap of faith.</p>
-                <p className="text-xl sm:text-2xl text-white">You chose to trust your heart.</p>
-                <p className="text-xl sm:text-2xl text-white mt-2">You chose to trust me.</p>
-                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mt-6">You chose us.</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">{copy.iLoveYou[17]}</p>
+                <p className="text-xl sm:text-2xl text-white">{copy.iLoveYou[18]}</p>
+                <p className="text-xl sm:text-2xl text-white mt-2">{copy.iLoveYou[19]}</p>
+                <p className="text-2xl sm:text-3xl text-yellow-300 font-bold mt-6">{copy.iLoveYou[20]}</p>
               </div>
 
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-pink-300 to-purple-300 font-bold mt-12">
-                That courage of yours? That's what I fell in love with.
+                {copy.iLoveYou[21]}
               </p>
             </div>
           </div>
@@ -4269,51 +4653,51 @@ Aakash`
         <section className={`${sectionClasses} bg-gradient-to-br from-cyan-900 via-blue-800 to-teal-900`}>
           <div className={`${containerClasses}`}>
             <div className="absolute top-6 sm:top-8 right-4 sm:right-8 bg-gradient-to-r from-yellow-400 to-amber-500 text-black px-4 sm:px-6 py-2 sm:py-3 rounded-full font-bold shadow-xl animate-bounce z-50 text-sm sm:text-base">
-              ⭐ SPECIAL MOMENT
+              {copy.surprise[0]}
             </div>
             <div className="text-center mb-6 sm:mb-8 lg:mb-12">
-              <p className="text-cyan-300 text-lg sm:text-xl mb-4">August 29</p>
-              <ClockDisplay time="4:48 PM" label="Surprise!" />
-              <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold text-white mt-6 sm:mt-8 font-handwriting">The Surprise Visit</h2>
+              <p className="text-cyan-300 text-lg sm:text-xl mb-4">{copy.surprise[1]}</p>
+              <ClockDisplay time={copy.surprise[2]} label={copy.surprise[3]} />
+              <h2 className="text-3xl sm:text-4xl lg:text-6xl font-bold text-white mt-6 sm:mt-8 font-handwriting">{copy.surprise[4]}</h2>
             </div>
             <div className="mb-12">
-              <MapJourney from="Hyderabad" to="Kakinada" />
+              <MapJourney from={copy.surprise[5]} to={copy.surprise[6]} />
             </div>
             <div className="text-center space-y-4 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-cyan-200">We had been talking for almost 3 months.</p>
-              <p className="text-lg italic text-cyan-200">Messages, calls, video chats...</p>
-              <p className="text-xl mt-6">But it wasn't enough anymore.</p>
+              <p className="text-lg italic text-cyan-200">{copy.surprise[7]}</p>
+              <p className="text-lg italic text-cyan-200">{copy.surprise[8]}</p>
+              <p className="text-xl mt-6">{copy.surprise[9]}</p>
 
               <div className="my-8 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl text-white">I needed to see you.</p>
-                <p className="text-lg text-cyan-200 mt-2">To be in the same space as you.</p>
-                <p className="text-lg text-cyan-200">To see your smile in person, not through a screen.</p>
+                <p className="text-xl text-white">{copy.surprise[10]}</p>
+                <p className="text-lg text-cyan-200 mt-2">{copy.surprise[11]}</p>
+                <p className="text-lg text-cyan-200">{copy.surprise[12]}</p>
               </div>
 
-              <p className="text-2xl text-cyan-300 font-bold mt-6">I couldn't wait anymore.</p>
-              <p className="text-xl">So I made a decision that changed everything.</p>
+              <p className="text-2xl text-cyan-300 font-bold mt-6">{copy.surprise[13]}</p>
+              <p className="text-xl">{copy.surprise[14]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-cyan-500/30 to-blue-500/30 backdrop-blur-md rounded-3xl border-2 border-cyan-400">
-                <p className="text-2xl sm:text-3xl text-cyan-300 font-bold mb-4">Without telling you...</p>
-                <p className="text-xl sm:text-2xl text-white">I booked a ticket.</p>
-                <p className="text-xl sm:text-2xl text-white mt-2">I traveled from Hyderabad to Kakinada.</p>
-                <p className="text-lg text-cyan-200 mt-4 italic">My heart was pounding the entire journey.</p>
+                <p className="text-2xl sm:text-3xl text-cyan-300 font-bold mb-4">{copy.surprise[15]}</p>
+                <p className="text-xl sm:text-2xl text-white">{copy.surprise[16]}</p>
+                <p className="text-xl sm:text-2xl text-white mt-2">{copy.surprise[17]}</p>
+                <p className="text-lg text-cyan-200 mt-4 italic">{copy.surprise[18]}</p>
               </div>
 
-              <p className="text-2xl text-cyan-300 mt-8">At 4:48 PM, I surprised you with a visit.</p>
+              <p className="text-2xl text-cyan-300 mt-8">{copy.surprise[19]}</p>
 
               <div className="text-8xl my-8 animate-pulse">😊</div>
 
               <div className="my-8 p-8 bg-white/20 backdrop-blur-md rounded-3xl">
-                <p className="text-2xl sm:text-3xl text-cyan-300 font-bold mb-4">Your face when you saw me...</p>
-                <p className="text-xl text-white">The shock. The disbelief. The joy.</p>
-                <p className="text-2xl text-yellow-300 font-bold mt-4">That moment was worth everything.</p>
-                <p className="text-lg text-white/80 mt-3">Every mile I traveled, every nervous moment—</p>
-                <p className="text-lg text-white/80">it all became worth it when I saw your smile.</p>
+                <p className="text-2xl sm:text-3xl text-cyan-300 font-bold mb-4">{copy.surprise[20]}</p>
+                <p className="text-xl text-white">{copy.surprise[21]}</p>
+                <p className="text-2xl text-yellow-300 font-bold mt-4">{copy.surprise[22]}</p>
+                <p className="text-lg text-white/80 mt-3">{copy.surprise[23]}</p>
+                <p className="text-lg text-white/80">{copy.surprise[24]}</p>
               </div>
 
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-cyan-300 to-blue-300 font-bold mt-8">
-                Finally, after months of digital distance, we were together in the same room.
+                {copy.surprise[25]}
               </p>
             </div>
           </div>
@@ -4323,10 +4707,10 @@ Aakash`
         <section className={`${sectionClasses} bg-gradient-to-br from-rose-900 via-pink-800 to-red-900`}>
           <div className={`${containerClasses} text-center`}>
             <div className="absolute top-6 sm:top-8 right-4 sm:right-8 bg-gradient-to-r from-yellow-400 to-amber-500 text-black px-4 sm:px-6 py-2 sm:py-3 rounded-full font-bold shadow-xl animate-bounce z-50 text-sm sm:text-base">
-              ⭐ SPECIAL MOMENT
+              {copy.firstDate[0]}
             </div>
-            <p className="text-rose-300 text-lg sm:text-xl mb-4">August 31</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">Our First Date</h2>
+            <p className="text-rose-300 text-lg sm:text-xl mb-4">{copy.firstDate[1]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.firstDate[2]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8 animate-pulse">💑</div>
             <div className="space-y-4 text-xl sm:text-2xl text-white/90">
               <div className="flex items-center justify-center gap-4 mb-8">
@@ -4335,40 +4719,40 @@ Aakash`
                 <span className="text-5xl">🌙</span>
               </div>
 
-              <p className="text-2xl sm:text-3xl text-rose-300 font-bold">August 31, 2024</p>
-              <p className="text-xl italic text-rose-200">Our first real date.</p>
+              <p className="text-2xl sm:text-3xl text-rose-300 font-bold">{copy.firstDate[3]}</p>
+              <p className="text-xl italic text-rose-200">{copy.firstDate[4]}</p>
 
               <div className="my-8 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-2xl text-rose-300 font-bold mb-4">From sunrise to moonlight,</p>
-                <p className="text-xl text-white">we spent the entire day together.</p>
-                <p className="text-lg text-rose-200 mt-3 italic">Just you and me, exploring the world together.</p>
+                <p className="text-2xl text-rose-300 font-bold mb-4">{copy.firstDate[5]}</p>
+                <p className="text-xl text-white">{copy.firstDate[6]}</p>
+                <p className="text-lg text-rose-200 mt-3 italic">{copy.firstDate[7]}</p>
               </div>
 
-              <p className="text-lg text-white/90">We walked. We talked. We laughed.</p>
-              <p className="text-lg text-white/90">We shared stories and dreams.</p>
-              <p className="text-lg text-white/90">We created memories that would last forever.</p>
+              <p className="text-lg text-white/90">{copy.firstDate[8]}</p>
+              <p className="text-lg text-white/90">{copy.firstDate[9]}</p>
+              <p className="text-lg text-white/90">{copy.firstDate[10]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-rose-500/30 to-pink-500/30 backdrop-blur-md rounded-3xl border-2 border-rose-400">
-                <p className="text-xl sm:text-2xl text-rose-200 mb-4">Every moment felt like magic.</p>
-                <p className="text-xl text-white">Every word you spoke.</p>
-                <p className="text-xl text-white">Every time you laughed.</p>
-                <p className="text-xl text-white">Every comfortable silence we shared.</p>
-                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mt-6">It all felt like I was exactly where I was meant to be.</p>
+                <p className="text-xl sm:text-2xl text-rose-200 mb-4">{copy.firstDate[11]}</p>
+                <p className="text-xl text-white">{copy.firstDate[12]}</p>
+                <p className="text-xl text-white">{copy.firstDate[13]}</p>
+                <p className="text-xl text-white">{copy.firstDate[14]}</p>
+                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mt-6">{copy.firstDate[15]}</p>
               </div>
 
               <div className="my-8 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-xl text-white italic">That day, everything became clear.</p>
-                <p className="text-2xl text-rose-300 font-bold mt-4">Your presence isn't just something I want—</p>
-                <p className="text-2xl text-rose-300 font-bold">it's something I can't live without.</p>
+                <p className="text-xl text-white italic">{copy.firstDate[16]}</p>
+                <p className="text-2xl text-rose-300 font-bold mt-4">{copy.firstDate[17]}</p>
+                <p className="text-2xl text-rose-300 font-bold">{copy.firstDate[18]}</p>
               </div>
 
-              <p className="text-xl sm:text-2xl mt-8">As the day came to an end, I knew with certainty:</p>
+              <p className="text-xl sm:text-2xl mt-8">{copy.firstDate[19]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-r from-rose-500/30 to-amber-500/30 backdrop-blur-md rounded-3xl border-2 border-rose-400">
-                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mb-3">I want every day to be like this.</p>
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-3">I want every sunrise and sunset with you.</p>
+                <p className="text-2xl sm:text-3xl text-rose-300 font-bold mb-3">{copy.firstDate[20]}</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-3">{copy.firstDate[21]}</p>
                 <p className="text-3xl sm:text-4xl text-transparent bg-clip-text bg-gradient-to-r from-rose-300 to-amber-300 font-bold mt-6">
-                  I want to spend my entire life with you.
+                  {copy.firstDate[22]}
                 </p>
               </div>
             </div>
@@ -4378,38 +4762,38 @@ Aakash`
         {/* ===== CHAPTER 14: BEAUTIFUL MOMENTS ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-yellow-800 via-pink-800 to-purple-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-yellow-300 text-lg sm:text-xl mb-4">Sept - Dec</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">A Constellation of Memories</h2>
+            <p className="text-yellow-300 text-lg sm:text-xl mb-4">{copy.moments[0]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.moments[1]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8">⭐</div>
             <div className="space-y-4 text-lg sm:text-xl text-white/90">
-              <p className="text-lg italic text-yellow-200">After our first date, I couldn't stay away.</p>
-              <p className="text-lg italic text-yellow-200">I kept coming back to you, again and again.</p>
+              <p className="text-lg italic text-yellow-200">{copy.moments[2]}</p>
+              <p className="text-lg italic text-yellow-200">{copy.moments[3]}</p>
 
               <div className="p-6 sm:p-8 bg-white/10 backdrop-blur-md rounded-3xl border border-white/20 my-8">
-                <p className="text-xl text-pink-300 font-bold mb-4">Look at all the days I came to see you:</p>
-                <p className="text-yellow-300 font-mono text-base">Aug 29, Aug 31, Sept 5, 6, 7, 8...</p>
-                <p className="text-yellow-300 font-mono text-base">Sept 15, 16, 26, 27, 28...</p>
-                <p className="text-yellow-300 font-mono text-base">Oct 6, 18... Nov 1, 2, 3, 8, 9...</p>
-                <p className="text-yellow-300 font-mono text-base">Nov 15, 16, 21, 22, 23... Dec 1...</p>
+                <p className="text-xl text-pink-300 font-bold mb-4">{copy.moments[4]}</p>
+                <p className="text-yellow-300 font-mono text-base">{copy.moments[5]}</p>
+                <p className="text-yellow-300 font-mono text-base">{copy.moments[6]}</p>
+                <p className="text-yellow-300 font-mono text-base">{copy.moments[7]}</p>
+                <p className="text-yellow-300 font-mono text-base">{copy.moments[8]}</p>
               </div>
 
               <div className="my-8 p-8 bg-gradient-to-br from-yellow-500/30 to-pink-500/30 backdrop-blur-md rounded-3xl border-2 border-yellow-400">
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">Every date is a star in our constellation.</p>
-                <p className="text-xl text-white">Every meeting, a precious memory.</p>
-                <p className="text-xl text-white mt-2">Every moment with you, a treasure I'll keep forever.</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold mb-4">{copy.moments[9]}</p>
+                <p className="text-xl text-white">{copy.moments[10]}</p>
+                <p className="text-xl text-white mt-2">{copy.moments[11]}</p>
               </div>
 
-              <p className="text-xl mt-8 text-white/90">I traveled from Hyderabad to Kakinada so many times,</p>
-              <p className="text-xl text-white/90">the journey became second nature.</p>
+              <p className="text-xl mt-8 text-white/90">{copy.moments[12]}</p>
+              <p className="text-xl text-white/90">{copy.moments[13]}</p>
 
               <div className="my-8 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-xl text-yellow-200 italic mb-3">I even started thinking about buying a house in Kakinada.</p>
-                <p className="text-lg text-white/80">Just to be closer to you.</p>
-                <p className="text-lg text-white/80">To turn those occasional visits into everyday moments.</p>
+                <p className="text-xl text-yellow-200 italic mb-3">{copy.moments[14]}</p>
+                <p className="text-lg text-white/80">{copy.moments[15]}</p>
+                <p className="text-lg text-white/80">{copy.moments[16]}</p>
               </div>
 
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-pink-300 to-purple-300 font-bold mt-8">
-                Because I can't imagine a life where I don't get to see your face, hear your laugh, hold your hand.
+                {copy.moments[17]}
               </p>
             </div>
           </div>
@@ -4434,49 +4818,49 @@ Aakash`
             ))}
           </div>
           <div className={`${containerClasses} text-center z-10`}>
-            <p className="text-gray-300 text-lg sm:text-xl mb-4">September 29</p>
-            <ClockDisplay time="8:38 PM" label="When challenges came" />
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">When the Storm Hit</h2>
+            <p className="text-gray-300 text-lg sm:text-xl mb-4">{copy.storm[0]}</p>
+            <ClockDisplay time={copy.storm[1]} label={copy.storm[2]} />
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white my-6 sm:my-8 font-handwriting">{copy.storm[3]}</h2>
             <div className="space-y-4 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-gray-300">Everything was going so beautifully.</p>
-              <p className="text-lg italic text-gray-300">We were building our own little world together.</p>
+              <p className="text-lg italic text-gray-300">{copy.storm[4]}</p>
+              <p className="text-lg italic text-gray-300">{copy.storm[5]}</p>
 
-              <p className="text-2xl sm:text-3xl text-red-400 font-bold mt-6">Then, at 8:38 PM...</p>
-              <p className="text-2xl text-gray-200">Everything changed.</p>
+              <p className="text-2xl sm:text-3xl text-red-400 font-bold mt-6">{copy.storm[6]}</p>
+              <p className="text-2xl text-gray-200">{copy.storm[7]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-red-500/30 to-gray-500/30 backdrop-blur-md rounded-3xl border-2 border-red-400">
-                <p className="text-2xl sm:text-3xl text-red-400 font-bold mb-4">Your parents found out about us.</p>
-                <p className="text-xl text-white mt-4">We were both in shock.</p>
-                <p className="text-xl text-white">The world we'd built felt like it was crumbling.</p>
+                <p className="text-2xl sm:text-3xl text-red-400 font-bold mb-4">{copy.storm[8]}</p>
+                <p className="text-xl text-white mt-4">{copy.storm[9]}</p>
+                <p className="text-xl text-white">{copy.storm[10]}</p>
               </div>
 
               <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-lg text-gray-200 italic">I was terrified for you.</p>
-                <p className="text-lg text-gray-200">What would your family say?</p>
-                <p className="text-lg text-gray-200">What would they do?</p>
-                <p className="text-lg text-white/80 mt-3">Would they take you away from me?</p>
+                <p className="text-lg text-gray-200 italic">{copy.storm[11]}</p>
+                <p className="text-lg text-gray-200">{copy.storm[12]}</p>
+                <p className="text-lg text-gray-200">{copy.storm[13]}</p>
+                <p className="text-lg text-white/80 mt-3">{copy.storm[14]}</p>
               </div>
 
-              <p className="text-xl text-white/90 mt-8">I felt helpless, scared, worried.</p>
-              <p className="text-xl text-white/90">But then I saw something that changed everything.</p>
+              <p className="text-xl text-white/90 mt-8">{copy.storm[15]}</p>
+              <p className="text-xl text-white/90">{copy.storm[16]}</p>
 
               <div className="my-8 p-8 sm:p-12 bg-gradient-to-r from-purple-500/30 to-pink-500/30 backdrop-blur-md rounded-3xl border-4 border-purple-400 shadow-2xl">
                 <p className="text-3xl sm:text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-300 via-pink-300 to-yellow-300 mb-6">
-                  You stood strong.
+                  {copy.storm[17]}
                 </p>
-                <p className="text-xl sm:text-2xl text-white mb-3">Through all the pressure, all the questions, all the challenges—</p>
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">You didn't break.</p>
-                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">You didn't give up on us.</p>
+                <p className="text-xl sm:text-2xl text-white mb-3">{copy.storm[18]}</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">{copy.storm[19]}</p>
+                <p className="text-2xl sm:text-3xl text-pink-300 font-bold">{copy.storm[20]}</p>
               </div>
 
               <div className="my-8 p-6 bg-white/20 backdrop-blur-md rounded-xl">
-                <p className="text-2xl sm:text-3xl text-purple-300 font-bold mb-4">That's when I truly knew:</p>
-                <p className="text-xl text-white">You're not just the person I love—</p>
-                <p className="text-xl text-white">you're the strongest, bravest person I know.</p>
+                <p className="text-2xl sm:text-3xl text-purple-300 font-bold mb-4">{copy.storm[21]}</p>
+                <p className="text-xl text-white">{copy.storm[22]}</p>
+                <p className="text-xl text-white">{copy.storm[23]}</p>
               </div>
 
               <p className="text-2xl text-transparent bg-clip-text bg-gradient-to-r from-purple-300 to-pink-300 font-bold mt-6">
-                And I promised myself: I'll be just as strong for you.
+                {copy.storm[24]}
               </p>
             </div>
           </div>
@@ -4485,50 +4869,50 @@ Aakash`
         {/* ===== CHAPTER 16: OCT 1 - MEETING BROTHER ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-green-900 via-emerald-800 to-teal-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-emerald-300 text-lg sm:text-xl mb-4">October 1</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">Taking Responsibility</h2>
+            <p className="text-emerald-300 text-lg sm:text-xl mb-4">{copy.brother[0]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.brother[1]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8">🤝</div>
             <div className="space-y-4 text-lg sm:text-2xl text-white/90">
-              <p className="text-lg italic text-emerald-200">After the storm came, I knew what I had to do.</p>
-              <p className="text-xl mt-6">I told my parents about our relationship.</p>
+              <p className="text-lg italic text-emerald-200">{copy.brother[2]}</p>
+              <p className="text-xl mt-6">{copy.brother[3]}</p>
 
               <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl text-emerald-300 font-bold mb-3">And they accepted.</p>
-                <p className="text-lg text-white/80">They supported me.</p>
-                <p className="text-lg text-white/80">They trusted my choice.</p>
+                <p className="text-xl text-emerald-300 font-bold mb-3">{copy.brother[4]}</p>
+                <p className="text-lg text-white/80">{copy.brother[5]}</p>
+                <p className="text-lg text-white/80">{copy.brother[6]}</p>
               </div>
 
-              <p className="text-xl mt-8">I wanted to prove myself to your family too.</p>
-              <p className="text-xl">I wanted them to see I was serious about you.</p>
+              <p className="text-xl mt-8">{copy.brother[7]}</p>
+              <p className="text-xl">{copy.brother[8]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-emerald-500/30 to-teal-500/30 backdrop-blur-md rounded-3xl border-2 border-emerald-400">
-                <p className="text-2xl sm:text-3xl text-emerald-300 font-bold mb-6">On October 1, I met your brother.</p>
-                <p className="text-xl text-white mb-3">I looked him in the eye and told him:</p>
+                <p className="text-2xl sm:text-3xl text-emerald-300 font-bold mb-6">{copy.brother[9]}</p>
+                <p className="text-xl text-white mb-3">{copy.brother[10]}</p>
                 <div className="mt-6 space-y-3">
-                  <p className="text-lg text-emerald-200">"I won't cheat her."</p>
-                  <p className="text-lg text-emerald-200">"I'm an IT employee with a stable job."</p>
-                  <p className="text-lg text-emerald-200">"I'm completely serious about us."</p>
-                  <p className="text-xl text-pink-300 font-bold mt-4">"I love your sister with all my heart."</p>
+                  <p className="text-lg text-emerald-200">{copy.brother[11]}</p>
+                  <p className="text-lg text-emerald-200">{copy.brother[12]}</p>
+                  <p className="text-lg text-emerald-200">{copy.brother[13]}</p>
+                  <p className="text-xl text-pink-300 font-bold mt-4">{copy.brother[14]}</p>
                 </div>
               </div>
 
               <div className="my-6 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl text-white">He listened.</p>
-                <p className="text-xl text-gray-300 mt-3">But then he told me not to meet you.</p>
+                <p className="text-xl text-white">{copy.brother[15]}</p>
+                <p className="text-xl text-gray-300 mt-3">{copy.brother[16]}</p>
               </div>
 
-              <p className="text-lg text-white/90 mt-8 italic">His words hit hard.</p>
-              <p className="text-lg text-white/90 italic">But they couldn't change what I felt.</p>
+              <p className="text-lg text-white/90 mt-8 italic">{copy.brother[17]}</p>
+              <p className="text-lg text-white/90 italic">{copy.brother[18]}</p>
 
               <div className="my-8 p-8 bg-white/20 backdrop-blur-md rounded-3xl">
-                <p className="text-2xl text-emerald-300 font-bold mb-4">I thought to myself:</p>
-                <p className="text-xl text-white">"I can't stay without meeting her."</p>
-                <p className="text-xl text-white mt-2">"I need her in my life."</p>
-                <p className="text-2xl text-pink-300 font-bold mt-6">And you felt the same way.</p>
+                <p className="text-2xl text-emerald-300 font-bold mb-4">{copy.brother[19]}</p>
+                <p className="text-xl text-white">{copy.brother[20]}</p>
+                <p className="text-xl text-white mt-2">{copy.brother[21]}</p>
+                <p className="text-2xl text-pink-300 font-bold mt-6">{copy.brother[22]}</p>
               </div>
 
               <p className="text-2xl sm:text-3xl text-transparent bg-clip-text bg-gradient-to-r from-emerald-300 to-teal-300 font-bold mt-8">
-                So together, we found a way. We always do.
+                {copy.brother[23]}
               </p>
             </div>
           </div>
@@ -4537,53 +4921,53 @@ Aakash`
         {/* ===== CHAPTER 17: CONTINUING DESPITE ALL ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-amber-900 via-orange-800 to-rose-900`}>
           <div className={`${containerClasses} text-center`}>
-            <p className="text-amber-300 text-lg sm:text-xl mb-4">Oct - Dec</p>
-            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">Against All Odds</h2>
+            <p className="text-amber-300 text-lg sm:text-xl mb-4">{copy.despite[0]}</p>
+            <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6 sm:mb-8 font-handwriting">{copy.despite[1]}</h2>
             <div className="text-6xl sm:text-7xl lg:text-8xl mb-6 sm:mb-8 flex items-center justify-center gap-3 sm:gap-4">
               <span className="animate-pulse">💪</span>
               <span>❤️</span>
               <span className="animate-pulse" style={{ animationDelay: '0.5s' }}>🔥</span>
             </div>
             <div className="space-y-6 text-xl sm:text-2xl text-white/90">
-              <p className="text-lg italic text-amber-200">They told us to stay apart.</p>
-              <p className="text-lg italic text-amber-200">They said it wouldn't work.</p>
-              <p className="text-xl mt-6">But they didn't understand—</p>
+              <p className="text-lg italic text-amber-200">{copy.despite[2]}</p>
+              <p className="text-lg italic text-amber-200">{copy.despite[3]}</p>
+              <p className="text-xl mt-6">{copy.despite[4]}</p>
 
               <div className="my-8 p-8 bg-gradient-to-br from-amber-500/30 to-orange-500/30 backdrop-blur-md rounded-3xl border-2 border-amber-400">
-                <p className="text-2xl sm:text-3xl text-amber-300 font-bold mb-4">We weren't giving up that easily.</p>
-                <p className="text-xl text-white">What we have is too precious.</p>
-                <p className="text-xl text-white">What we feel is too real.</p>
+                <p className="text-2xl sm:text-3xl text-amber-300 font-bold mb-4">{copy.despite[5]}</p>
+                <p className="text-xl text-white">{copy.despite[6]}</p>
+                <p className="text-xl text-white">{copy.despite[7]}</p>
               </div>
 
               <div className="my-8 p-6 bg-white/10 backdrop-blur-sm rounded-2xl border border-white/30">
-                <p className="text-xl sm:text-2xl text-orange-300 font-bold mb-4">Despite everything, we managed.</p>
-                <p className="text-lg text-white/90">We found secret ways to meet.</p>
-                <p className="text-lg text-white/90">We created stolen moments together.</p>
-                <p className="text-lg text-white/90">We held onto each other when the world wanted us apart.</p>
+                <p className="text-xl sm:text-2xl text-orange-300 font-bold mb-4">{copy.despite[8]}</p>
+                <p className="text-lg text-white/90">{copy.despite[9]}</p>
+                <p className="text-lg text-white/90">{copy.despite[10]}</p>
+                <p className="text-lg text-white/90">{copy.despite[11]}</p>
               </div>
 
-              <p className="text-xl text-white/90 mt-8">Every obstacle made us stronger.</p>
-              <p className="text-xl text-white/90">Every challenge proved our commitment.</p>
+              <p className="text-xl text-white/90 mt-8">{copy.despite[12]}</p>
+              <p className="text-xl text-white/90">{copy.despite[13]}</p>
 
               <div className="my-8 p-8 bg-white/20 backdrop-blur-md rounded-3xl">
-                <p className="text-lg text-amber-200 mb-3">Our last meeting was on December 1.</p>
-                <p className="text-xl text-white">Even though we didn't know when we'd meet again,</p>
-                <p className="text-xl text-pink-300 font-bold mt-3">we knew we'd find a way.</p>
-                <p className="text-xl text-pink-300 font-bold">We always do.</p>
+                <p className="text-lg text-amber-200 mb-3">{copy.despite[14]}</p>
+                <p className="text-xl text-white">{copy.despite[15]}</p>
+                <p className="text-xl text-pink-300 font-bold mt-3">{copy.despite[16]}</p>
+                <p className="text-xl text-pink-300 font-bold">{copy.despite[17]}</p>
               </div>
 
               <div className="my-8 p-8 bg-gradient-to-r from-amber-500/30 to-rose-500/30 backdrop-blur-md rounded-3xl border-2 border-amber-400">
-                <p className="text-2xl sm:text-3xl text-amber-300 font-bold mb-4">Because what we have is worth fighting for.</p>
-                <p className="text-2xl text-orange-300 font-bold">What we have is real.</p>
-                <p className="text-2xl text-pink-300 font-bold mt-4">What we have is forever.</p>
+                <p className="text-2xl sm:text-3xl text-amber-300 font-bold mb-4">{copy.despite[18]}</p>
+                <p className="text-2xl text-orange-300 font-bold">{copy.despite[19]}</p>
+                <p className="text-2xl text-pink-300 font-bold mt-4">{copy.despite[20]}</p>
               </div>
 
               <p className="text-3xl sm:text-4xl text-transparent bg-clip-text bg-gradient-to-r from-amber-300 via-orange-300 to-rose-300 font-bold mt-8">
-                Distance, family, challenges, time — nothing can stop us.
+                {copy.despite[21]}
               </p>
 
-              <p className="text-2xl text-white/90 mt-6 italic">Because when two hearts are meant to be together,</p>
-              <p className="text-2xl text-white/90 italic">the universe itself conspires to make it happen.</p>
+              <p className="text-2xl text-white/90 mt-6 italic">{copy.despite[22]}</p>
+              <p className="text-2xl text-white/90 italic">{copy.despite[23]}</p>
             </div>
           </div>
         </section>
@@ -4605,46 +4989,46 @@ Aakash`
             </div>
           ))}
           <div className={`${containerClasses} text-center z-10`}>
-            <h2 className="text-4xl sm:text-5xl lg:text-7xl font-bold text-white mb-8 sm:mb-12 font-handwriting">Our Forever Begins</h2>
+            <h2 className="text-4xl sm:text-5xl lg:text-7xl font-bold text-white mb-8 sm:mb-12 font-handwriting">{copy.continued[0]}</h2>
             <div className="text-7xl sm:text-8xl lg:text-9xl mb-8 sm:mb-12 animate-pulse">💞</div>
             <div className="space-y-6 text-xl sm:text-2xl text-white/90">
-              <p className="text-2xl sm:text-3xl text-pink-300 font-bold italic">This is our story so far, Kanna.</p>
+              <p className="text-2xl sm:text-3xl text-pink-300 font-bold italic">{copy.continued[1]}</p>
 
               <div className="my-12 p-8 sm:p-12 bg-gradient-to-br from-pink-500/30 to-purple-500/30 backdrop-blur-md rounded-3xl border-4 border-pink-300 shadow-2xl space-y-6">
                 <p className="text-3xl sm:text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-pink-300 via-purple-300 to-blue-300 animate-pulse">
-                  I love you more than words can express.
+                  {copy.continued[2]}
                 </p>
                 <div className="space-y-3 text-lg sm:text-xl text-white">
-                  <p>You're not just the most important person to me—</p>
-                  <p className="text-2xl text-pink-300 font-bold">You're my everything.</p>
+                  <p>{copy.continued[3]}</p>
+                  <p className="text-2xl text-pink-300 font-bold">{copy.continued[4]}</p>
                 </div>
-                <p className="text-xl sm:text-2xl text-white/90">I value every moment with you.</p>
-                <p className="text-xl sm:text-2xl text-white/90">I support you through every challenge.</p>
-                <p className="text-2xl text-yellow-300 font-bold">Always and forever.</p>
+                <p className="text-xl sm:text-2xl text-white/90">{copy.continued[5]}</p>
+                <p className="text-xl sm:text-2xl text-white/90">{copy.continued[6]}</p>
+                <p className="text-2xl text-yellow-300 font-bold">{copy.continued[7]}</p>
               </div>
 
               <div className="space-y-4 my-8">
-                <p className="text-lg sm:text-xl text-white/80">I promise to be the husband you deserve.</p>
-                <p className="text-lg sm:text-xl text-white/80">I'll move mountains to be with you.</p>
-                <p className="text-xl sm:text-2xl text-pink-300">My heart belongs to you completely.</p>
-                <p className="text-xl sm:text-2xl text-purple-300">You've become the reason I smile, the reason I dream.</p>
+                <p className="text-lg sm:text-xl text-white/80">{copy.continued[8]}</p>
+                <p className="text-lg sm:text-xl text-white/80">{copy.continued[9]}</p>
+                <p className="text-xl sm:text-2xl text-pink-300">{copy.continued[10]}</p>
+                <p className="text-xl sm:text-2xl text-purple-300">{copy.continued[11]}</p>
               </div>
 
               <div className="mt-12 mb-8 p-6 sm:p-8 bg-white/10 backdrop-blur-sm rounded-3xl border-2 border-purple-400">
-                <p className="text-2xl sm:text-3xl text-purple-300 mb-4 font-bold">And our story?</p>
+                <p className="text-2xl sm:text-3xl text-purple-300 mb-4 font-bold">{copy.continued[12]}</p>
                 <p className="text-3xl sm:text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-yellow-300 via-pink-300 to-purple-300 mb-6">
-                  It's just beginning...
+                  {copy.continued[13]}
                 </p>
-                <p className="text-lg sm:text-xl text-white/80 italic">Every day with you is a new chapter.</p>
-                <p className="text-lg sm:text-xl text-white/80 italic">Every moment, a beautiful page.</p>
+                <p className="text-lg sm:text-xl text-white/80 italic">{copy.continued[14]}</p>
+                <p className="text-lg sm:text-xl text-white/80 italic">{copy.continued[15]}</p>
               </div>
 
               <div className="mt-12 p-8 bg-gradient-to-r from-pink-500/20 to-purple-500/20 rounded-2xl">
-                <p className="text-sm sm:text-base text-pink-200 mb-4">From the boy who left his favorite movie for you,</p>
-                <p className="text-sm sm:text-base text-pink-200 mb-4">Who looks at the moon and thinks of you,</p>
-                <p className="text-sm sm:text-base text-pink-200 mb-6">Who will always choose you, no matter what.</p>
+                <p className="text-sm sm:text-base text-pink-200 mb-4">{copy.continued[16]}</p>
+                <p className="text-sm sm:text-base text-pink-200 mb-4">{copy.continued[17]}</p>
+                <p className="text-sm sm:text-base text-pink-200 mb-6">{copy.continued[18]}</p>
                 <p className="text-3xl sm:text-4xl font-bold text-pink-300 mt-6">
-                  💕 Forever Yours, Aakash 💕
+                  {copy.continued[19]}
                 </p>
               </div>
             </div>
@@ -4654,15 +5038,15 @@ Aakash`
         {/* ===== FINAL: BACK TO GIFTS ===== */}
         <section className={`${sectionClasses} bg-gradient-to-br from-black via-purple-900 to-black`}>
           <div className="text-center px-8">
-            <h2 className="text-4xl sm:text-6xl font-bold text-white mb-8 sm:mb-12 font-handwriting">The Journey Continues...</h2>
-            <p className="text-xl sm:text-2xl text-white/80 mb-8 sm:mb-12">Every day, every moment, every heartbeat</p>
+            <h2 className="text-4xl sm:text-6xl font-bold text-white mb-8 sm:mb-12 font-handwriting">{copy.final[0]}</h2>
+            <p className="text-xl sm:text-2xl text-white/80 mb-8 sm:mb-12">{copy.final[1]}</p>
             <button
               onClick={() => handleNextStep('gifts')}
               className="bg-gradient-to-r from-pink-500 to-purple-500 text-white px-8 sm:px-12 py-3 sm:py-4 rounded-full font-bold text-lg sm:text-xl hover:scale-110 transition-all shadow-2xl flex items-center gap-3 mx-auto"
               aria-label="Back to gift room"
             >
               <Gift className="w-6 h-6" />
-              Back to Gift Room
+              {copy.final[2]}
             </button>
           </div>
         </section>
@@ -4815,7 +5199,7 @@ Aakash`
         {blocks.length >= 23 && (
           <div className="absolute top-[60%] left-1/2 transform -translate-x-1/2 text-center z-30 animate-fade-in-up">
             <h2 className="text-5xl sm:text-6xl font-bold text-pink-600 font-handwriting animate-pulse-slow">
-              Love you Pooja 💕
+              {letterContent.closing.heartBuilding.title}
             </h2>
           </div>
         )}
@@ -4842,6 +5226,8 @@ Aakash`
 
   // 13. Constant Scene (Final Page)
   const ConstantScene = () => {
+    const copy = letterContent.closing.constant;
+
     const handlePenguinClick = () => {
       setIsPenguinHugging(true);
       setTimeout(() => setIsPenguinHugging(false), 800);
@@ -4849,12 +5235,12 @@ Aakash`
 
     return (
       <div className="h-screen w-full bg-gradient-to-br from-pink-900 to-purple-900 flex flex-col items-center justify-center text-white p-4 animate-scene-entry">
-        <h2 className="text-4xl font-handwriting font-bold text-pink-200 mb-8">You are my constant...</h2>
+        <h2 className="text-4xl font-handwriting font-bold text-pink-200 mb-8">{copy.title}</h2>
 
         <CutePenguin onClick={handlePenguinClick} isHugging={isPenguinHugging} />
 
-        <p className="text-lg italic mt-8 text-pink-100">Click the penguin for a hug!</p>
-        <p className="text-lg italic mt-2 text-pink-100">Forever and always, my love.</p>
+        <p className="text-lg italic mt-8 text-pink-100">{copy.hint}</p>
+        <p className="text-lg italic mt-2 text-pink-100">{copy.closing}</p>
       </div>
     );
   };
@@ -4973,29 +5359,144 @@ Aakash`
     );
   };
 
+  /* ---------- Scene Registry ---------- */
+
+  // Every step the router can show. Entries with a `gift` block also get a box in
+  // the Gift Room, in this order; `gift.key` is the entry's slot in openedGifts.
+  // `gift.optional` gifts don't have to be opened before "Continue" appears.
+  const SceneRegistry = [
+    { id: 'parachute', title: "You've Got Mail", component: MailFallScene },
+    { id: 'envelope_animation', title: 'Open Me', component: EnvelopeAnimationScene },
+    { id: 'letter', title: 'Dear Pooja', component: LetterScene },
+    { id: 'do_you_love_me', title: 'Do You Love Me?', component: DoYouLoveMeScene },
+    { id: 'door', title: 'The Gift Room', component: DoorScene },
+    { id: 'gifts', title: 'Pick a Gift', component: GiftSelection },
+    {
+      id: 'our_story',
+      title: 'Our Story',
+      component: OurStoryScene,
+      gift: { key: 'story', optional: true, color: 'bg-gradient-to-br from-violet-600 to-fuchsia-600', ribbon: 'bg-violet-400' }
+    },
+    {
+      id: 'gazebo',
+      title: 'Where It All Began',
+      component: GazeboScene,
+      gift: { key: 'gazebo', optional: true, color: 'bg-gradient-to-br from-amber-600 to-yellow-600', ribbon: 'bg-amber-400' }
+    },
+    {
+      id: 'aug18',
+      title: 'Aug 18 - The Yes',
+      component: Aug18YesScene,
+      gift: { key: 'aug18', color: 'bg-teal-600', ribbon: 'bg-teal-400' }
+    },
+    {
+      id: 'aug29_surprise',
+      title: 'Aug 29 - The Surprise Visit',
+      component: Aug29SurpriseScene,
+      gift: { key: 'aug29', color: 'bg-orange-600', ribbon: 'bg-orange-400' }
+    },
+    {
+      id: 'distance',
+      title: 'Distance Means So Little',
+      component: DistanceMeansSoLittleScene,
+      gift: { key: 'distance', color: 'bg-indigo-600', ribbon: 'bg-indigo-400' }
+    },
+    {
+      id: 'bouquet',
+      title: 'Your Virtual Bouquet',
+      component: BouquetScene,
+      gift: { key: 'bouquet', color: 'bg-pink-600', ribbon: 'bg-pink-400' }
+    },
+    {
+      id: 'memories',
+      title: 'Our Memories',
+      component: MemoriesScene,
+      gift: { key: 'memories', color: 'bg-red-600', ribbon: 'bg-red-400' }
+    },
+    {
+      id: 'promise',
+      title: 'My Promise to You',
+      component: PromiseScene,
+      gift: { key: 'promise', color: 'bg-rose-700', ribbon: 'bg-rose-500', onOpen: () => setCandlesBlown(false) }
+    },
+    {
+      id: 'timeline',
+      title: 'Our Future Timeline',
+      component: TimelineScene,
+      gift: { key: 'timeline', color: 'bg-purple-600', ribbon: 'bg-purple-400' }
+    },
+    {
+      id: 'path',
+      title: 'Our Constellation of Love',
+      component: ConstellationScene,
+      gift: { key: 'path', color: 'bg-yellow-600', ribbon: 'bg-yellow-400' }
+    },
+    {
+      id: 'courage',
+      title: 'Thank You for Your Courage',
+      component: ThankYouCourageScene,
+      gift: { key: 'courage', color: 'bg-green-600', ribbon: 'bg-green-400' }
+    },
+    {
+      id: 'four_hearts_family',
+      title: 'Four Hearts, One Family',
+      component: FourHeartsOneFamilyScene,
+      gift: { key: 'family', optional: true, color: 'bg-amber-600', ribbon: 'bg-amber-300' }
+    },
+    {
+      id: 'letters_of_strength',
+      title: 'Letters for When You Need Strength',
+      component: LettersOfStrengthScene,
+      gift: { key: 'letters', color: 'bg-blue-600', ribbon: 'bg-blue-400' }
+    },
+    {
+      id: 'ten_days_silence',
+      title: 'Ten Days of Silence',
+      component: TenDaysOfSilenceScene,
+      gift: { key: 'tendays', optional: true, color: 'bg-gradient-to-br from-gray-700 to-slate-600', ribbon: 'bg-gray-500' }
+    },
+    {
+      id: 'her_first_letter',
+      title: 'Her First Letter',
+      component: HerFirstLetterScene,
+      gift: { key: 'firstletter', optional: true, color: 'bg-gradient-to-br from-amber-600 to-orange-500', ribbon: 'bg-yellow-400' }
+    },
+    { id: 'heart_building', title: 'Building Our Heart', component: HeartBuildingScene },
+    { id: 'end', title: 'I Love You', component: EndScene },
+    { id: 'constant', title: 'You Are My Constant', component: ConstantScene }
+  ];
+
+  // Unknown ids (a mistyped deep link) fall back to the opening scene
+  const ActiveScene = (SceneRegistry.find((scene) => scene.id === step) || SceneRegistry[0]).component;
+
   /* ---------- Main Router ---------- */
 
-  // Show authentication screen if not authenticated
+  // Show authentication screen if not authenticated; a deep-linked step stays in
+  // the hash and is shown once the gate is passed
+  if (isRestoringAuth) {
+    return (
+      <div className="min-h-screen w-full bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 flex items-center justify-center">
+        <p className="text-pink-300 text-xl animate-pulse">Opening your letters... 💕</p>
+      </div>
+    );
+  }
+
   if (!isAuthenticated) {
-    return <AuthenticationScreen onSuccess={() => setIsAuthenticated(true)} />;
+    return <AuthenticationScreen onSuccess={handleAuthenticated} />;
+  }
+
+  if (isAdminMode()) {
+    return <MilestoneEditor />;
+  }
+
+  if (isAuthorMode()) {
+    return <LetterComposer existingLetters={letterContent.lettersOfStrength} />;
   }
 
   return (
     <div className="font-sans antialiased text-gray-900 select-none">
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Fredoka:wght@400;600&family=Indie+Flower&display=swap');
-
-        .font-handwriting { font-family: 'Indie Flower', cursive; }
-        .font-sans { font-family: 'Fredoka', sans-serif; }
-
-        /* Transition Animation */
-        @keyframes scene-entry {
-            from { opacity: 0; transform: translateY(5px); }
-            to { opacity: 1; transform: translateY(0); }
-        }
-        .animate-scene-entry {
-            animation: scene-entry 1.2s ease-out both;
-        }
+        /* Fonts and the scene transition live in index.css, so ?admin and ?author get them too */
 
         @keyframes heart-pulse {
             0% { transform: scale(1); }
@@ -5173,30 +5674,19 @@ Aakash`
         }
       `}</style>
 
-      {step === 'parachute' && <MailFallScene />}
-      {step === 'envelope_animation' && <EnvelopeAnimationScene />}
-      {step === 'letter' && <LetterScene />}
-      {step === 'door' && <DoorScene />}
-      {step === 'gifts' && <GiftSelection />}
-      {step === 'gazebo' && <GazeboScene />}
-      {step === 'bouquet' && <BouquetScene />}
-      {step === 'memories' && <MemoriesScene />}
-      {step === 'promise' && <PromiseScene />}
-      {step === 'timeline' && <TimelineScene />}
-      {step === 'path' && <ConstellationScene />}
-      {step === 'end' && <EndScene />}
-      {step === 'letters_of_strength' && <LettersOfStrengthScene />}
-      {step === 'aug29_surprise' && <Aug29SurpriseScene />}
-      {step === 'courage' && <ThankYouCourageScene />}
-      {step === 'aug18' && <Aug18YesScene />}
-      {step === 'distance' && <DistanceMeansSoLittleScene />}
-      {step === 'heart_building' && <HeartBuildingScene />}
-      {step === 'constant' && <ConstantScene />}
-      {step === 'do_you_love_me' && <DoYouLoveMeScene />}
-      {step === 'four_hearts_family' && <FourHeartsOneFamilyScene />}
-      {step === 'our_story' && <OurStoryScene />}
-      {step === 'ten_days_silence' && <TenDaysOfSilenceScene />}
-      {step === 'her_first_letter' && <HerFirstLetterScene />}
+      <ActiveScene />
+
+      {resumeStep && (
+        <ResumePrompt
+          title={(SceneRegistry.find((scene) => scene.id === resumeStep) || SceneRegistry[0]).title}
+          onResume={() => {
+            setShowConfetti(false);
+            handleNextStep(resumeStep);
+            setResumeStep(null);
+          }}
+          onStartOver={() => setResumeStep(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,296 @@
+// LETTER COMPOSER - open the site with ?author to use it
+// Writes new letters of strength with a live preview in the real letter modal. Drafts are
+// autosaved on this device (localStorage); "Download .md" gives the file to drop into
+// content/letters-of-strength/.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Copy, Download, FilePlus, Trash2, Upload } from 'lucide-react';
+import { parseMarkdown, stringifyMarkdown } from './frontmatter.js';
+import LetterModal from './LetterModal.jsx';
+
+const DRAFTS_STORAGE_KEY = 'loveLetterDrafts';
+
+// Written out in full so Tailwind keeps every one of them in the build
+const LETTER_GRADIENTS = [
+  'from-pink-500 to-rose-500',
+  'from-purple-500 to-pink-500',
+  'from-blue-500 to-purple-500',
+  'from-rose-500 to-red-500',
+  'from-pink-600 to-rose-600',
+  'from-amber-500 to-rose-500',
+  'from-teal-500 to-blue-500',
+  'from-indigo-500 to-purple-600'
+];
+
+const ICON_CHOICES = ['💌', '💝', '💕', '❤️', '💗', '🌙', '🌻', '🫂', '✨', '🕊️'];
+
+// Markdown the toolbar wraps around the selected text (see LetterMarkdown.jsx)
+const FORMATS = [
+  { label: 'Bold', before: '**', after: '**' },
+  { label: 'Italic', before: '*', after: '*' },
+  { label: 'Highlight', before: '==', after: '==' },
+  { label: 'Handwriting', before: '^^', after: '^^' },
+  { label: 'Signature', before: '\n\n:::signature\n', after: '\n:::\n' }
+];
+
+const newDraft = () => ({
+  draftId: `${Date.now()}`,
+  title: '',
+  icon: '💌',
+  color: LETTER_GRADIENTS[0],
+  body: 'My Dearest Pooja,\n\n\n\n:::signature\nAlways yours,\nAakash\n:::',
+  updatedAt: new Date().toISOString()
+});
+
+const loadDrafts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length) return saved;
+  } catch {
+    // Unreadable drafts start over with a blank one
+  }
+  return [newDraft()];
+};
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'untitled';
+
+const LetterComposer = ({ existingLetters = [] }) => {
+  const [drafts, setDrafts] = useState(loadDrafts);
+  const [currentId, setCurrentId] = useState(() => drafts[0].draftId);
+  const [message, setMessage] = useState(null);
+  const bodyRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const draft = drafts.find((d) => d.draftId === currentId) || drafts[0];
+  const nextId = existingLetters.reduce((max, letter) => Math.max(max, Number(letter.id) || 0), 0) + 1;
+  const fileName = `${String(nextId).padStart(2, '0')}-${slugify(draft.title)}.md`;
+  const markdown = stringifyMarkdown({ id: nextId, title: draft.title, icon: draft.icon, color: draft.color, body: draft.body });
+
+  // Autosave on every change
+  useEffect(() => {
+    try {
+      localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+    } catch {
+      setMessage({ type: 'error', text: "Couldn't autosave on this device. Download the draft to keep it." });
+    }
+  }, [drafts]);
+
+  const updateDraft = (changes) => {
+    setDrafts((prev) =>
+      prev.map((d) => (d.draftId === draft.draftId ? { ...d, ...changes, updatedAt: new Date().toISOString() } : d))
+    );
+  };
+
+  const addDraft = (fields = {}) => {
+    const created = { ...newDraft(), ...fields };
+    setDrafts((prev) => [created, ...prev]);
+    setCurrentId(created.draftId);
+  };
+
+  const deleteDraft = () => {
+    if (!window.confirm(`Delete the draft "${draft.title || 'Untitled'}"?`)) return;
+    const remaining = drafts.filter((d) => d.draftId !== draft.draftId);
+    const next = remaining.length ? remaining : [newDraft()];
+    setDrafts(next);
+    setCurrentId(next[0].draftId);
+  };
+
+  const applyFormat = ({ before, after }) => {
+    const textarea = bodyRef.current;
+    const { selectionStart: start, selectionEnd: end, value } = textarea;
+    updateDraft({ body: `${value.slice(0, start)}${before}${value.slice(start, end)}${after}${value.slice(end)}` });
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start + before.length, end + before.length);
+    });
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(markdown);
+      setMessage({ type: 'success', text: 'Copied. Paste it into a new file in content/letters-of-strength/.' });
+    } catch {
+      setMessage({ type: 'error', text: "Couldn't copy here. Use Download .md instead." });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { title = '', icon = '💌', color = LETTER_GRADIENTS[0], body } = parseMarkdown(await file.text(), file.name);
+      addDraft({ title: String(title), icon: String(icon), color: String(color), body });
+      setMessage({ type: 'success', text: `Opened ${file.name} as a new draft.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-br from-[#1A0033] to-[#400080] text-white p-4 sm:p-8 font-sans">
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-4xl font-bold text-pink-300 mb-2 font-handwriting">Letter Composer</h1>
+        <p className="text-pink-200 text-sm mb-4">
+          Drafts save on this device as you type. When a letter is ready, download it into
+          content/letters-of-strength/ and rebuild.
+        </p>
+
+        {message && (
+          <p
+            role="status"
+            className={`mb-4 px-4 py-2 rounded-lg text-sm ${message.type === 'error' ? 'bg-red-500/30 text-red-100' : 'bg-green-500/20 text-green-100'}`}
+          >
+            {message.text}
+          </p>
+        )}
+
+        {/* Drafts */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <select
+            value={draft.draftId}
+            onChange={(e) => setCurrentId(e.target.value)}
+            className="bg-gray-900/60 rounded-full px-4 py-2 text-sm max-w-xs"
+            aria-label="Draft"
+          >
+            {drafts.map((d) => (
+              <option key={d.draftId} value={d.draftId}>
+                {d.icon} {d.title || 'Untitled'}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => addDraft()} className="flex items-center gap-2 bg-pink-500 hover:bg-pink-600 px-4 py-2 rounded-full text-sm font-bold transition">
+            <FilePlus className="w-4 h-4" /> New draft
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} className="flex items-center gap-2 bg-white/20 hover:bg-white/30 border border-white/40 px-4 py-2 rounded-full text-sm transition">
+            <Upload className="w-4 h-4" /> Open .md
+          </button>
+          <input ref={fileInputRef} type="file" accept=".md,text/markdown" onChange={handleImport} className="hidden" />
+          <button onClick={deleteDraft} className="flex items-center gap-2 hover:bg-red-500/40 px-3 py-2 rounded-full text-sm transition" aria-label="Delete draft">
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <span className="text-xs text-pink-300 ml-auto">
+            Saved {new Date(draft.updatedAt).toLocaleTimeString('en', { hour: 'numeric', minute: '2-digit' })}
+          </span>
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-8">
+          {/* Editor */}
+          <div className="space-y-4">
+            <label className="block text-sm">
+              Title
+              <input
+                type="text"
+                value={draft.title}
+                placeholder="When You..."
+                onChange={(e) => updateDraft({ title: e.target.value })}
+                className="mt-1 w-full bg-gray-900/60 rounded-lg px-3 py-2 placeholder:text-pink-300/50"
+              />
+            </label>
+
+            <div className="text-sm">
+              Icon
+              <div className="mt-1 flex flex-wrap items-center gap-1">
+                {ICON_CHOICES.map((icon) => (
+                  <button
+                    key={icon}
+                    onClick={() => updateDraft({ icon })}
+                    className={`w-10 h-10 rounded-lg text-2xl transition ${draft.icon === icon ? 'bg-white/30 ring-2 ring-pink-300' : 'hover:bg-white/10'}`}
+                    aria-pressed={draft.icon === icon}
+                  >
+                    {icon}
+                  </button>
+                ))}
+                <input
+                  type="text"
+                  value={draft.icon}
+                  onChange={(e) => updateDraft({ icon: e.target.value })}
+                  className="w-16 bg-gray-900/60 rounded-lg px-2 py-2 text-center text-xl"
+                  aria-label="Any emoji"
+                />
+              </div>
+            </div>
+
+            <div className="text-sm">
+              Color
+              <div className="mt-1 flex flex-wrap gap-2">
+                {LETTER_GRADIENTS.map((color) => (
+                  <button
+                    key={color}
+                    onClick={() => updateDraft({ color })}
+                    className={`w-10 h-10 rounded-full bg-gradient-to-br ${color} transition ${draft.color === color ? 'ring-4 ring-white' : 'hover:scale-110'}`}
+                    aria-label={color}
+                    aria-pressed={draft.color === color}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="text-sm">
+              <div className="flex flex-wrap items-center gap-1 mb-1">
+                <span className="mr-2">Letter</span>
+                {FORMATS.map((format) => (
+                  <button
+                    key={format.label}
+                    onClick={() => applyFormat(format)}
+                    className="px-2 py-0.5 rounded bg-white/10 hover:bg-white/20 text-xs transition"
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+              <textarea
+                ref={bodyRef}
+                value={draft.body}
+                rows={18}
+                onChange={(e) => updateDraft({ body: e.target.value })}
+                className="w-full bg-gray-900/60 rounded-lg px-3 py-2 font-mono text-sm leading-relaxed"
+                aria-label="Letter text"
+              />
+              <p className="text-xs text-pink-300 mt-1">An empty line starts a new paragraph. "- " starts a list.</p>
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleDownload}
+                disabled={!draft.title.trim()}
+                className="flex items-center gap-2 bg-gradient-to-r from-pink-500 to-rose-500 px-6 py-3 rounded-full font-bold shadow-lg hover:from-pink-600 hover:to-rose-600 transition disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" /> Download {fileName}
+              </button>
+              <button onClick={handleCopy} className="flex items-center gap-2 bg-white/20 hover:bg-white/30 border border-white/40 px-4 py-3 rounded-full transition">
+                <Copy className="w-4 h-4" /> Copy Markdown
+              </button>
+            </div>
+          </div>
+
+          {/* Live preview: the card in the grid, then the open letter */}
+          <div className="space-y-6">
+            <div className={`w-56 mx-auto bg-gradient-to-br ${draft.color} p-6 rounded-2xl shadow-2xl border-2 border-white/20`}>
+              <div className="text-5xl mb-4 text-center">{draft.icon}</div>
+              <h3 className="text-white font-bold text-lg text-center">{draft.title || 'Untitled'}</h3>
+            </div>
+            <LetterModal letter={{ ...draft, title: draft.title || 'Untitled' }} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LetterComposer;
@@ -0,0 +1,218 @@
+// LETTER MARKDOWN
+// A small, safe Markdown subset for letters. Everything becomes React elements and text,
+// so HTML in a letter is shown as written and never interpreted.
+//
+//   **bold**  *italic*  _italic_  ==highlighted==  ^^handwritten^^  \* (a literal star)
+//   # / ## / ### headings, "- " and "1. " lists, "> " quotes
+//   A single line break stays a line break; an empty line starts a new paragraph.
+//   :::signature
+//   Forever yours,
+//   Aakash
+//   :::
+
+import React from 'react';
+import TextReveal from './TextReveal.jsx';
+
+// An underscore right after a letter or digit (snake_case) is taken as plain text by the second
+// group, so `_italic_` only starts between words. No lookbehind: Safari before 16.4 can't parse one.
+// Bold and italic need text right inside the markers (`(?!\s)…\S`), so `a * b * c` stays as it is.
+const INLINE_PATTERN = /\\([\\*_=^#>:-])|([\p{L}\p{N}]_+)|\*\*(?!\s)(.*?\S)\*\*|==(.+?)==|\^\^(.+?)\^\^|\*(?![\s*])(.*?\S)\*|_(?!\s)(.*?\S)_(?![\p{L}\p{N}])/gu;
+
+// Emoji keep their own colors and never lean with italic text around them
+const EMOJI_PATTERN = /(\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*)/u;
+
+const BLOCK_PATTERNS = {
+  heading: /^(#{1,3})\s+(.*)$/,
+  bullet: /^[-*]\s+(.*)$/,
+  numbered: /^\d+[.)]\s+(.*)$/,
+  quote: /^>\s?(.*)$/
+};
+
+/**
+ * Splits a letter into blocks: { type: 'paragraph' | 'quote' | 'signature', lines },
+ * { type: 'heading', level, text } and { type: 'bullet' | 'numbered', items }.
+ */
+export function parseLetterBlocks(markdown) {
+  const blocks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  for (const raw of String(markdown ?? '').replace(/\r\n/g, '\n').split('\n')) {
+    const line = raw.trimEnd();
+
+    if (current?.type === 'signature') {
+      if (line.trim() === ':::') flush();
+      else current.lines.push(line.trim());
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    if (line.trim() === ':::signature') {
+      flush();
+      current = { type: 'signature', lines: [] };
+      continue;
+    }
+
+    const heading = line.match(BLOCK_PATTERNS.heading);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    const listType = ['bullet', 'numbered'].find((type) => BLOCK_PATTERNS[type].test(line));
+    if (listType) {
+      if (current?.type !== listType) {
+        flush();
+        current = { type: listType, items: [] };
+      }
+      current.items.push(line.match(BLOCK_PATTERNS[listType])[1]);
+      continue;
+    }
+
+    const quote = line.match(BLOCK_PATTERNS.quote);
+    const type = quote ? 'quote' : 'paragraph';
+    // Leaving a list, or switching between quoted and plain lines, starts a new block
+    if (current?.type !== type) {
+      flush();
+      current = { type, lines: [] };
+    }
+    current.lines.push(quote ? quote[1] : line.trim());
+  }
+
+  flush();
+  return blocks.filter((block) => block.type !== 'signature' || block.lines.some(Boolean));
+}
+
+const stripInline = (text) =>
+  text.replace(INLINE_PATTERN, (whole, escaped, inWord, ...marked) => escaped ?? inWord ?? stripInline(marked.slice(0, 5).find((part) => part !== undefined)));
+
+// A letter's paragraphs and quotes as plain text (formatting marks removed), e.g. for share cards
+export const letterParagraphs = (markdown) =>
+  parseLetterBlocks(markdown)
+    .filter((block) => block.type === 'paragraph' || block.type === 'quote')
+    .map((block) => stripInline(block.lines.join('\n')));
+
+const renderText = (text, key) =>
+  text.split(EMOJI_PATTERN).map((part, index) =>
+    index % 2 ? (
+      <span key={`${key}-${index}`} className="not-italic inline-block">
+        {part}
+      </span>
+    ) : (
+      part
+    )
+  );
+
+/** Inline Markdown -> React children. */
+export function renderInline(text, key = 'i') {
+  const children = [];
+  let last = 0;
+  let index = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, escaped, inWord, bold, highlight, handwritten, star, underscore] = match;
+    const partKey = `${key}-${index++}`;
+    if (match.index > last) children.push(...renderText(text.slice(last, match.index), `${partKey}t`));
+
+    if (escaped) children.push(escaped);
+    else if (inWord) children.push(inWord);
+    else if (bold) children.push(<strong key={partKey} className="font-bold">{renderInline(bold, partKey)}</strong>);
+    else if (highlight) {
+      children.push(
+        <mark key={partKey} className="bg-gradient-to-t from-pink-200 to-pink-100/40 text-inherit px-1 rounded">
+          {renderInline(highlight, partKey)}
+        </mark>
+      );
+    } else if (handwritten) {
+      children.push(
+        <span key={partKey} className="font-handwriting text-[1.15em] text-rose-600">
+          {renderInline(handwritten, partKey)}
+        </span>
+      );
+    } else children.push(<em key={partKey}>{renderInline(star || underscore, partKey)}</em>);
+
+    last = match.index + whole.length;
+  }
+
+  if (last < text.length) children.push(...renderText(text.slice(last), `${key}-end`));
+  return children;
+}
+
+const withLineBreaks = (lines, key) =>
+  lines.map((line, index) => (
+    <React.Fragment key={`${key}-${index}`}>
+      {index > 0 && <br />}
+      {renderInline(line, `${key}-${index}`)}
+    </React.Fragment>
+  ));
+
+/** Inline Markdown with each '\n' kept as a line break, for scene copy inside an existing element. */
+export const renderLines = (text, key = 'l') => withLineBreaks(String(text ?? '').split('\n'), key);
+
+const HEADING_CLASSES = {
+  1: 'text-3xl font-bold font-handwriting text-rose-600',
+  2: 'text-2xl font-bold font-handwriting text-rose-600',
+  3: 'text-xl font-bold text-rose-700'
+};
+
+/**
+ * A letter body as plain elements, so it can also sit inside a larger TextReveal.
+ * `signatureClassName` styles the :::signature block so each scene keeps its own ink color.
+ */
+export function renderLetter(markdown, { className = '', signatureClassName = 'text-rose-600' } = {}) {
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {parseLetterBlocks(markdown).map((block, index) => {
+        const key = `b${index}`;
+        switch (block.type) {
+          case 'heading': {
+            const Tag = `h${block.level + 1}`;
+            return <Tag key={key} className={HEADING_CLASSES[block.level]}>{renderInline(block.text, key)}</Tag>;
+          }
+          case 'bullet':
+          case 'numbered': {
+            const List = block.type === 'bullet' ? 'ul' : 'ol';
+            return (
+              <List key={key} className={`${block.type === 'bullet' ? 'list-disc' : 'list-decimal'} pl-6 space-y-1 text-left`}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+                ))}
+              </List>
+            );
+          }
+          case 'quote':
+            return (
+              <blockquote key={key} className="border-l-4 border-pink-300 pl-4 italic">
+                {withLineBreaks(block.lines, key)}
+              </blockquote>
+            );
+          case 'signature':
+            return (
+              <div key={key} className="flex justify-end pt-4">
+                <p className={`text-right font-handwriting text-2xl rotate-[-3deg] ${signatureClassName}`}>
+                  {withLineBreaks(block.lines, key)}
+                </p>
+              </div>
+            );
+          default:
+            return <p key={key}>{withLineBreaks(block.lines, key)}</p>;
+        }
+      })}
+    </div>
+  );
+}
+
+// `reveal` ({ mode, speed, ... }) writes the letter out with TextReveal
+const LetterMarkdown = ({ markdown, reveal, ...options }) => {
+  const letter = renderLetter(markdown, options);
+  return reveal ? <TextReveal {...reveal}>{letter}</TextReveal> : letter;
+};
+
+export default LetterMarkdown;
@@ -0,0 +1,55 @@
+// LETTER MODAL
+// An opened letter of strength: icon, title and body on white paper. LettersOfStrengthScene
+// and the letter composer's live preview both use it, so a draft looks exactly as it will.
+
+import React from 'react';
+import LetterMarkdown from './LetterMarkdown.jsx';
+
+/**
+ * @param letter    { icon, title, body }
+ * @param reveal    passed to LetterMarkdown (omit to show the text at once)
+ * @param notice    small banner above the title
+ * @param corner    extra control pinned top-left (e.g. the favourite heart)
+ * @param children  buttons under the letter
+ */
+const LetterModal = ({ letter, reveal, onClose, notice, corner, children }) => (
+  <div className="max-w-3xl w-full z-10 animate-scene-entry">
+    <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl border-4 border-pink-200 relative">
+      {/* Close button */}
+      {onClose && (
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 w-10 h-10 rounded-full bg-pink-100 hover:bg-pink-200 flex items-center justify-center transition"
+          aria-label="Close letter"
+        >
+          <span className="text-2xl text-pink-600">×</span>
+        </button>
+      )}
+      {corner}
+
+      {/* Letter icon */}
+      <div className="text-center mb-6">
+        <span className="text-6xl">{letter.icon}</span>
+      </div>
+
+      {notice && (
+        <p className="text-center text-xs text-amber-700 bg-amber-100 rounded-full px-4 py-1 mb-4 mx-auto w-fit">{notice}</p>
+      )}
+
+      {/* Letter title */}
+      <h2 className="text-3xl font-bold text-pink-600 text-center mb-8 font-handwriting">{letter.title}</h2>
+
+      {/* Letter content */}
+      <LetterMarkdown
+        markdown={letter.body}
+        className="text-gray-700 leading-relaxed text-base sm:text-lg font-serif"
+        signatureClassName="text-pink-600"
+        reveal={reveal}
+      />
+
+      {children && <div className="flex flex-wrap justify-center items-center gap-4 mt-8">{children}</div>}
+    </div>
+  </div>
+);
+
+export default LetterModal;
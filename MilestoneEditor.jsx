@@ -0,0 +1,218 @@
+// MILESTONE EDITOR - open the site with ?admin to use it
+// Edits the milestone list on this device (localStorage) and imports/exports it as JSON,
+// so changes can be copied back into milestones.js.
+
+import React, { useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Download, Plus, Star, Trash2, Upload } from 'lucide-react';
+import {
+  MilestoneData,
+  clearSavedMilestones,
+  formatMilestoneDate,
+  milestoneToDate,
+  normalizeMilestones,
+  saveMilestones
+} from './milestones.js';
+
+const STORY_FIELDS = [
+  { field: 'title', placeholder: 'Title' },
+  { field: 'photo', placeholder: 'Photo in public/ (e.g. gandhi-park.jpeg)' },
+  { field: 'scene', placeholder: 'Gift scene id (e.g. aug29_surprise)' }
+];
+
+let nextRowKey = 0;
+const withRowKeys = (list) => list.map((m) => ({ ...m, rowKey: nextRowKey++ }));
+const withoutRowKeys = (rows) => rows.map(({ rowKey, ...m }) => m);
+
+const todayIso = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const MilestoneEditor = () => {
+  const [rows, setRows] = useState(() => withRowKeys(MilestoneData));
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const duplicateDates = new Set(
+    rows.map((r) => r.date).filter((date, i, all) => all.indexOf(date) !== i)
+  );
+
+  const updateRow = (rowKey, changes) => {
+    setRows((prev) => prev.map((r) => (r.rowKey === rowKey ? { ...r, ...changes } : r)));
+  };
+
+  const moveRow = (index, offset) => {
+    setRows((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const addRow = () => {
+    setRows((prev) => [...prev, ...withRowKeys([{ date: todayIso(), color: '#FFD700' }])]);
+  };
+
+  const sortByDate = () => {
+    setRows((prev) => [...prev].sort((a, b) => milestoneToDate(a.date) - milestoneToDate(b.date)));
+  };
+
+  const handleSave = () => {
+    try {
+      saveMilestones(withoutRowKeys(rows));
+      setMessage({ type: 'success', text: 'Saved on this device. Reload the site to see it in the constellation.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleResetToBuiltIn = () => {
+    if (!window.confirm('Discard local edits and go back to the milestones in milestones.js?')) return;
+    clearSavedMilestones();
+    window.location.reload();
+  };
+
+  const handleExport = () => {
+    const json = JSON.stringify(withoutRowKeys(rows), null, 2);
+    const url = URL.createObjectURL(new Blob([json + '\n'], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'milestones.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = normalizeMilestones(JSON.parse(await file.text()));
+      setRows(withRowKeys(imported));
+      setMessage({ type: 'success', text: `Imported ${imported.length} milestones. Save to keep them.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-br from-[#1A0033] to-[#400080] text-white p-4 sm:p-8 font-sans">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-4xl font-bold text-pink-300 mb-2 font-handwriting">Milestone Editor</h1>
+        <p className="text-indigo-200 text-sm mb-2">
+          {rows.length} milestones. Edits change the constellation on this device only. The gate's answer
+          is sealed into the build (SEALED_CONTENT_PASSPHRASE), so nothing saved here can change it.
+        </p>
+
+        {message && (
+          <p
+            role="status"
+            className={`my-4 px-4 py-2 rounded-lg text-sm ${message.type === 'error' ? 'bg-red-500/30 text-red-100' : 'bg-green-500/20 text-green-100'}`}
+          >
+            {message.text}
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-2 my-6">
+          <button onClick={addRow} className="flex items-center gap-2 bg-pink-500 hover:bg-pink-600 px-4 py-2 rounded-full font-bold transition">
+            <Plus className="w-4 h-4" /> Add milestone
+          </button>
+          <button onClick={sortByDate} className="bg-white/20 hover:bg-white/30 border border-white/40 px-4 py-2 rounded-full transition">
+            Sort by date
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} className="flex items-center gap-2 bg-white/20 hover:bg-white/30 border border-white/40 px-4 py-2 rounded-full transition">
+            <Upload className="w-4 h-4" /> Import JSON
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          <button onClick={handleExport} className="flex items-center gap-2 bg-white/20 hover:bg-white/30 border border-white/40 px-4 py-2 rounded-full transition">
+            <Download className="w-4 h-4" /> Export JSON
+          </button>
+        </div>
+
+        <ol className="space-y-2">
+          {rows.map((row, index) => (
+            <li
+              key={row.rowKey}
+              className={`flex flex-wrap items-center gap-3 bg-white/10 rounded-xl px-3 py-2 border ${duplicateDates.has(row.date) ? 'border-red-400' : 'border-transparent'}`}
+            >
+              <span className="w-6 text-right text-indigo-300 text-sm">{index + 1}</span>
+              <Star className="w-5 h-5 shrink-0" stroke={row.color} fill={row.color} aria-hidden />
+              <input
+                type="date"
+                value={row.date}
+                onChange={(e) => e.target.value && updateRow(row.rowKey, { date: e.target.value })}
+                className="bg-gray-900/60 rounded-lg px-2 py-1 text-sm"
+                aria-label={`Date of milestone ${index + 1}`}
+              />
+              <span className="text-xs text-indigo-200 w-24">{formatMilestoneDate(row.date)}</span>
+              <input
+                type="color"
+                value={row.color}
+                onChange={(e) => updateRow(row.rowKey, { color: e.target.value.toUpperCase() })}
+                className="w-10 h-8 rounded cursor-pointer bg-transparent"
+                aria-label={`Color of milestone ${index + 1}`}
+              />
+              {duplicateDates.has(row.date) && <span className="text-xs text-red-300">Duplicate date</span>}
+              <div className="ml-auto flex gap-1">
+                <button onClick={() => moveRow(index, -1)} disabled={index === 0} className="p-1 rounded hover:bg-white/20 disabled:opacity-30" aria-label="Move up">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button onClick={() => moveRow(index, 1)} disabled={index === rows.length - 1} className="p-1 rounded hover:bg-white/20 disabled:opacity-30" aria-label="Move down">
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setRows((prev) => prev.filter((r) => r.rowKey !== row.rowKey))}
+                  className="p-1 rounded hover:bg-red-500/40"
+                  aria-label={`Delete milestone ${formatMilestoneDate(row.date)}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              {/* Optional story shown on the star's card */}
+              <div className="w-full grid grid-cols-1 sm:grid-cols-3 gap-2 pl-9">
+                {STORY_FIELDS.map(({ field, placeholder }) => (
+                  <input
+                    key={field}
+                    type="text"
+                    value={row[field] || ''}
+                    placeholder={placeholder}
+                    onChange={(e) => updateRow(row.rowKey, { [field]: e.target.value })}
+                    className="bg-gray-900/60 rounded-lg px-2 py-1 text-sm placeholder:text-indigo-300/50"
+                    aria-label={`${placeholder} for milestone ${index + 1}`}
+                  />
+                ))}
+                <textarea
+                  value={row.note || ''}
+                  placeholder="Note"
+                  rows={2}
+                  onChange={(e) => updateRow(row.rowKey, { note: e.target.value })}
+                  className="sm:col-span-3 bg-gray-900/60 rounded-lg px-2 py-1 text-sm placeholder:text-indigo-300/50"
+                  aria-label={`Note for milestone ${index + 1}`}
+                />
+              </div>
+            </li>
+          ))}
+        </ol>
+
+        <div className="flex flex-wrap gap-3 mt-8 mb-12">
+          <button
+            onClick={handleSave}
+            disabled={duplicateDates.size > 0}
+            className="bg-gradient-to-r from-pink-500 to-rose-500 px-8 py-3 rounded-full font-bold shadow-lg hover:from-pink-600 hover:to-rose-600 transition disabled:opacity-50"
+          >
+            Save on this device
+          </button>
+          <button onClick={handleResetToBuiltIn} className="text-pink-200 underline hover:text-white transition">
+            Reset to built-in milestones
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MilestoneEditor;
@@ -0,0 +1,154 @@
+// PRINT LETTER
+// Turns letters into printable sheets on a chosen stationery. The sheets are rendered into
+// <body> next to #root only while printing; index.css hides everything else on paper.
+// "Save as PDF" is the same browser print dialog with its PDF printer.
+
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Heart, Printer } from 'lucide-react';
+import { renderLetter } from './LetterMarkdown.jsx';
+
+const STATIONERY_STORAGE_KEY = 'loveLetterStationery';
+
+export const STATIONERY_THEMES = {
+  airmail: { label: 'Air mail', swatch: 'bg-white border-4 border-red-400' },
+  parchment: { label: 'Parchment', swatch: 'bg-[#f4e8cf] border-4 border-[#c8a96a]' },
+  minimal: { label: 'Minimal', swatch: 'bg-white border border-gray-300' }
+};
+
+const loadStationery = () => {
+  try {
+    const saved = localStorage.getItem(STATIONERY_STORAGE_KEY);
+    return STATIONERY_THEMES[saved] ? saved : 'airmail';
+  } catch {
+    return 'airmail';
+  }
+};
+
+const AIRMAIL_EDGE = {
+  border: '10px solid transparent',
+  borderImage: 'repeating-linear-gradient(45deg, #dc2626 0 14px, #ffffff 14px 28px, #1d4ed8 28px 42px, #ffffff 42px 56px) 10'
+};
+
+const SHEET_STYLES = {
+  airmail: { className: 'bg-white text-gray-800 font-serif p-10', style: AIRMAIL_EDGE, ink: 'text-red-600', title: 'text-red-600' },
+  parchment: {
+    className: 'bg-[#f4e8cf] text-[#4a3520] font-serif p-12 border-4 border-double border-[#c8a96a]',
+    style: {},
+    ink: 'text-[#7a4b1e]',
+    title: 'text-[#7a4b1e]'
+  },
+  minimal: { className: 'bg-white text-gray-900 font-serif p-8', style: {}, ink: 'text-gray-700', title: 'text-gray-900' }
+};
+
+/**
+ * One sheet per letter: { title?, greeting?, body, closing?, signature? }.
+ * Each sheet starts on a new page; paragraphs, lists and the signature never split.
+ */
+const PrintedSheets = ({ letters, theme }) => {
+  const sheet = SHEET_STYLES[theme];
+  return (
+    <div className="print-sheets">
+      {letters.map((letter, index) => (
+        <article key={index} className={`print-sheet relative leading-relaxed text-lg ${sheet.className}`} style={sheet.style}>
+          {theme === 'airmail' && (
+            <div className="absolute top-6 right-6 border-2 border-red-800 p-2 rotate-12">
+              <div className="w-16 h-20 bg-red-100 flex items-center justify-center flex-col text-[10px] text-red-900 font-bold font-sans">
+                <span>AIR MAIL</span>
+                <Heart className="w-4 h-4 mt-1" />
+              </div>
+            </div>
+          )}
+          {letter.title && <h2 className={`font-handwriting text-4xl mb-8 pr-24 ${sheet.title}`}>{letter.title}</h2>}
+          {letter.greeting && <p className="mb-4">{letter.greeting}</p>}
+          {renderLetter(letter.body, { signatureClassName: sheet.ink })}
+          {(letter.closing || letter.signature) && (
+            <div className={`print-signature text-right font-handwriting text-2xl mt-8 ${sheet.ink}`}>
+              <p>{letter.closing}</p>
+              <p>{letter.signature}</p>
+            </div>
+          )}
+        </article>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Stationery picker and print button for `letters` (see PrintedSheets).
+ * `title` becomes the document title while printing, which browsers use as the PDF's file name.
+ */
+const PrintLetterDialog = ({ letters, title, onClose }) => {
+  const [theme, setTheme] = useState(loadStationery);
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  const chooseTheme = (next) => {
+    setTheme(next);
+    try {
+      localStorage.setItem(STATIONERY_STORAGE_KEY, next);
+    } catch {
+      // The choice just won't be remembered
+    }
+  };
+
+  // The sheets are in the page by the time this runs, so print() sees them
+  useEffect(() => {
+    if (!isPrinting) return undefined;
+    const previousTitle = document.title;
+    const finish = () => {
+      document.body.classList.remove('printing-letter');
+      document.title = previousTitle;
+      setIsPrinting(false);
+    };
+
+    document.body.classList.add('printing-letter');
+    document.title = title;
+    window.addEventListener('afterprint', finish, { once: true });
+    window.print();
+    return () => {
+      window.removeEventListener('afterprint', finish);
+      document.body.classList.remove('printing-letter');
+      document.title = previousTitle;
+    };
+  }, [isPrinting, title]);
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 p-4 animate-scene-entry" role="dialog" aria-label="Print letter">
+      <div className="max-w-md w-full bg-white rounded-3xl shadow-2xl border-4 border-pink-200 p-6 text-center text-gray-800">
+        <h2 className="text-3xl font-bold text-pink-600 font-handwriting mb-1">A keepsake copy</h2>
+        <p className="text-sm text-gray-500 mb-5">
+          {letters.length === 1 ? 'Pick the paper for this letter.' : `Pick the paper for these ${letters.length} letters, one per page.`}
+        </p>
+
+        <div className="grid grid-cols-3 gap-3 mb-6">
+          {Object.entries(STATIONERY_THEMES).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => chooseTheme(key)}
+              className={`rounded-xl p-2 transition ${theme === key ? 'ring-4 ring-pink-400' : 'hover:ring-2 hover:ring-pink-200'}`}
+              aria-pressed={theme === key}
+            >
+              <div className={`h-20 rounded-md ${option.swatch}`} />
+              <span className="block text-xs mt-2 font-bold">{option.label}</span>
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={() => setIsPrinting(true)}
+          className="w-full flex items-center justify-center gap-2 bg-gradient-to-r from-pink-500 to-rose-500 text-white px-6 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg"
+        >
+          <Printer className="w-5 h-5" /> Print or save as PDF
+        </button>
+        <p className="text-xs text-gray-400 mt-2">For a PDF, choose "Save as PDF" as the printer.</p>
+        <button onClick={onClose} className="mt-4 text-sm text-pink-500 underline hover:text-pink-700 transition">
+          Close
+        </button>
+      </div>
+
+      {isPrinting && createPortal(<PrintedSheets letters={letters} theme={theme} />, document.body)}
+    </div>
+  );
+};
+
+export default PrintLetterDialog;
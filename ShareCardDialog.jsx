@@ -0,0 +1,120 @@
+// SHARE CARD DIALOG
+// Preview a line as a PNG card (see shareCard.js), then download it or hand it to the
+// phone's share sheet. `lines` is [{ text, caption }]; with more than one, the reader picks.
+
+import React, { useEffect, useState } from 'react';
+import { Download, Share2 } from 'lucide-react';
+import { CARD_GRADIENTS, CARD_SIZES, canShareFiles, canvasToBlob, downloadCard, renderShareCard, shareCard } from './shareCard.js';
+
+const ShareCardDialog = ({ lines, onClose }) => {
+  const [lineIndex, setLineIndex] = useState(0);
+  const [size, setSize] = useState('square');
+  const [gradient, setGradient] = useState('rose');
+  const [card, setCard] = useState(null); // { blob, url }
+  const [error, setError] = useState(null);
+  const line = lines[lineIndex];
+
+  // Redraw whenever the choice changes; the preview is the exact PNG that gets shared
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    renderShareCard({ ...line, size, gradient })
+      .then(canvasToBlob)
+      .then((blob) => !cancelled && setCard({ blob, url: URL.createObjectURL(blob) }))
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [line.text, line.caption, size, gradient]);
+
+  // The old preview stays up until the new card replaces it; only then (or on close) is its URL let go
+  useEffect(() => () => card && URL.revokeObjectURL(card.url), [card]);
+
+  const fileName = `love-letter-${size}.png`;
+
+  const handleShare = async () => {
+    try {
+      await shareCard(card.blob, fileName, line.text);
+    } catch (err) {
+      // Closing the share sheet isn't an error worth showing
+      if (err.name !== 'AbortError') setError(err.message);
+    }
+  };
+
+  const optionClass = (selected) =>
+    `px-3 py-1 rounded-full text-xs border transition ${selected ? 'bg-pink-500 text-white border-pink-500' : 'border-pink-200 text-pink-600 hover:bg-pink-50'}`;
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 p-4 animate-scene-entry" role="dialog" aria-label="Share as an image">
+      <div className="max-w-md w-full max-h-full overflow-y-auto bg-white rounded-3xl shadow-2xl border-4 border-pink-200 p-6 text-center text-gray-800">
+        <h2 className="text-3xl font-bold text-pink-600 font-handwriting mb-4">Share a card</h2>
+
+        {lines.length > 1 && (
+          <select
+            value={lineIndex}
+            onChange={(e) => setLineIndex(Number(e.target.value))}
+            className="w-full mb-4 border border-pink-200 rounded-xl px-3 py-2 text-sm"
+            aria-label="Line to share"
+          >
+            {lines.map((option, index) => (
+              <option key={index} value={index}>
+                {option.text.length > 70 ? `${option.text.slice(0, 70)}…` : option.text}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex justify-center mb-4 h-64">
+          {card ? (
+            <img src={card.url} alt={`Card: ${line.text}`} className="h-full w-auto rounded-xl shadow-lg" />
+          ) : (
+            <div className="h-full aspect-square rounded-xl bg-pink-100 animate-pulse" />
+          )}
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-2 mb-2">
+          {Object.entries(CARD_SIZES).map(([key, option]) => (
+            <button key={key} onClick={() => setSize(key)} className={optionClass(size === key)} aria-pressed={size === key}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap justify-center gap-2 mb-5">
+          {Object.entries(CARD_GRADIENTS).map(([key, option]) => (
+            <button key={key} onClick={() => setGradient(key)} className={optionClass(gradient === key)} aria-pressed={gradient === key}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3" role="alert">{error}</p>}
+
+        <div className="flex flex-col gap-2">
+          {canShareFiles() && (
+            <button
+              onClick={handleShare}
+              disabled={!card}
+              className="flex items-center justify-center gap-2 bg-gradient-to-r from-pink-500 to-rose-500 text-white px-6 py-3 rounded-full font-bold hover:from-pink-600 hover:to-rose-600 transition shadow-lg disabled:opacity-50"
+            >
+              <Share2 className="w-5 h-5" /> Share
+            </button>
+          )}
+          <button
+            onClick={() => downloadCard(card.blob, fileName)}
+            disabled={!card}
+            className="flex items-center justify-center gap-2 bg-white border-2 border-pink-300 text-pink-600 px-6 py-3 rounded-full font-bold hover:bg-pink-50 transition disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" /> Download PNG
+          </button>
+          <button onClick={onClose} className="mt-2 text-sm text-pink-500 underline hover:text-pink-700 transition">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareCardDialog;
@@ -0,0 +1,203 @@
+// TEXT REVEAL
+// Reveals any text (plain JSX or a LetterMarkdown body) as if it were being written:
+//   typewriter  - one character at a time, with a caret
+//   word        - one word at a time
+//   handwriting - each word's outline is drawn as an SVG stroke, then filled in
+// Tapping the text shows it all at once; the bar underneath pauses, changes speed or skips.
+// Only text inside plain elements (p, span, strong, br...) is revealed; components such as
+// icons count as no text and appear once the text before them is out.
+
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+const SPEED_STEPS = [0.5, 1, 2];
+
+const isTextNode = (node) => typeof node === 'string' || typeof node === 'number';
+const isContainer = (node) => React.isValidElement(node) && (typeof node.type === 'string' || node.type === React.Fragment);
+
+// Every text leaf in render order, split into code points so emoji are never cut in half
+function collectLeaves(node, leaves = []) {
+  if (isTextNode(node)) leaves.push(Array.from(String(node)));
+  else if (Array.isArray(node)) node.forEach((child) => collectLeaves(child, leaves));
+  else if (isContainer(node)) React.Children.forEach(node.props.children, (child) => collectLeaves(child, leaves));
+  return leaves;
+}
+
+// Words (with their trailing space) as global character ranges; a word never spans two leaves
+function findWords(leaves) {
+  const words = [];
+  let offset = 0;
+  for (const chars of leaves) {
+    const text = chars.join('');
+    for (const match of text.matchAll(/\S+\s*/g)) {
+      const start = offset + Array.from(text.slice(0, match.index)).length;
+      const length = Array.from(match[0]).length;
+      words.push({ start, end: start + length, word: match[0].trimEnd() });
+    }
+    offset += chars.length;
+  }
+  return words;
+}
+
+/**
+ * What is on screen after `progress` characters' worth of time:
+ * { shown } characters in full, plus the word being drawn in handwriting mode.
+ */
+function revealState(mode, progress, words, total) {
+  if (progress >= total) return { shown: total, active: null };
+  if (mode === 'typewriter') return { shown: Math.floor(progress), active: null };
+
+  const started = words.filter((w) => w.start < progress);
+  if (mode === 'word' || started.length === 0) return { shown: started.at(-1)?.end ?? 0, active: null };
+
+  const current = started.at(-1);
+  if (progress >= current.end) return { shown: current.end, active: null };
+  return {
+    shown: current.start,
+    active: { word: current.word, fraction: Math.min(1, (progress - current.start) / Math.max(1, current.word.length)) }
+  };
+}
+
+// Stroke length long enough to cover any glyph outline in the word
+const STROKE_PER_CHAR = 120;
+
+const HandwrittenWord = ({ word, fraction }) => {
+  const textRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useLayoutEffect(() => {
+    setWidth(textRef.current?.getComputedTextLength() || 0);
+  }, [word]);
+
+  const strokeLength = word.length * STROKE_PER_CHAR;
+  return (
+    <svg className="inline-block overflow-visible" width={width} height="1em" style={{ verticalAlign: '-0.15em' }} aria-hidden>
+      <text
+        ref={textRef}
+        x="0"
+        y="0.85em"
+        style={{ font: 'inherit' }}
+        fill="currentColor"
+        fillOpacity={Math.max(0, fraction * 2 - 1)}
+        stroke="currentColor"
+        strokeWidth="0.75"
+        strokeDasharray={strokeLength}
+        strokeDashoffset={strokeLength * (1 - fraction)}
+      >
+        {word}
+      </text>
+    </svg>
+  );
+};
+
+function renderRevealed(children, { shown, active, caret, done }) {
+  let offset = 0;
+
+  const visit = (node, key) => {
+    if (isTextNode(node)) {
+      const chars = Array.from(String(node));
+      const start = offset;
+      offset += chars.length;
+      const writing = active && shown >= start && shown < offset;
+      if (start >= shown && !writing) return null;
+
+      return (
+        <React.Fragment key={key}>
+          {chars.slice(0, shown - start).join('')}
+          {writing && <HandwrittenWord word={active.word} fraction={active.fraction} />}
+          {caret && shown > start && shown <= offset && <span className="animate-pulse font-sans not-italic">|</span>}
+        </React.Fragment>
+      );
+    }
+    if (Array.isArray(node)) return node.map((child, index) => visit(child, `${key}.${index}`));
+    if (!React.isValidElement(node)) return node;
+
+    // Icons, <br /> and other text-free pieces appear once the text before them has
+    if (!isContainer(node) || node.props.children === undefined) return offset < shown || (active && offset === shown) || done ? node : null;
+
+    const start = offset;
+    const inner = React.Children.map(node.props.children, (child, index) => visit(child, `${key}.${index}`));
+    // Don't leave empty paragraphs (and their margins) waiting below the text
+    if (start >= shown && !(active && start === shown) && !done) return null;
+    return React.cloneElement(node, undefined, inner);
+  };
+
+  return visit(children, 'r');
+}
+
+const prefersReducedMotion = () =>
+  typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+/**
+ * @param mode        'typewriter' | 'word' | 'handwriting'
+ * @param speed       characters per second at 1x
+ * @param controls    show the pause / speed / skip bar
+ * @param onComplete  called once everything is shown (also after a skip)
+ */
+const TextReveal = ({ children, mode = 'typewriter', speed = 40, controls = true, onComplete, className = '' }) => {
+  const leaves = useMemo(() => collectLeaves(children), [children]);
+  const words = useMemo(() => findWords(leaves), [leaves]);
+  const total = leaves.reduce((sum, chars) => sum + chars.length, 0);
+
+  const [progress, setProgress] = useState(() => (prefersReducedMotion() ? Infinity : 0));
+  const [isPaused, setIsPaused] = useState(false);
+  const [speedStep, setSpeedStep] = useState(1);
+  const done = progress >= total;
+
+  // Delta-time loop, so the pace is the same on any refresh rate
+  useEffect(() => {
+    if (done || isPaused) return undefined;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const rate = speed * SPEED_STEPS[speedStep];
+      setProgress((p) => Math.min(total, p + ((now - last) / 1000) * rate));
+      last = now;
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [done, isPaused, speed, speedStep, total]);
+
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+  useEffect(() => {
+    if (done) onCompleteRef.current?.();
+  }, [done]);
+
+  const skip = () => setProgress(Infinity);
+  const { shown, active } = revealState(mode, progress, words, total);
+
+  return (
+    <div className={className}>
+      {/* Screen readers get the whole text at once instead of every frame */}
+      <div className="sr-only">{children}</div>
+      <div aria-hidden onClick={done ? undefined : skip} className={done ? undefined : 'cursor-pointer'} title={done ? undefined : 'Tap to show it all'}>
+        {renderRevealed(children, { shown, active, caret: mode === 'typewriter' && !done, done })}
+      </div>
+
+      {controls && !done && (
+        <div className="flex justify-center gap-2 mt-4 text-xs font-sans not-italic">
+          <button
+            onClick={() => setIsPaused((paused) => !paused)}
+            className="px-3 py-1 rounded-full bg-gray-500/20 hover:bg-gray-500/30 transition"
+            aria-label={isPaused ? 'Resume writing' : 'Pause writing'}
+          >
+            {isPaused ? '▶ Resume' : '⏸ Pause'}
+          </button>
+          <button
+            onClick={() => setSpeedStep((step) => (step + 1) % SPEED_STEPS.length)}
+            className="px-3 py-1 rounded-full bg-gray-500/20 hover:bg-gray-500/30 transition"
+            aria-label={`Writing speed ${SPEED_STEPS[speedStep]}x, change speed`}
+          >
+            {SPEED_STEPS[speedStep]}×
+          </button>
+          <button onClick={skip} className="px-3 py-1 rounded-full bg-gray-500/20 hover:bg-gray-500/30 transition" aria-label="Show the whole text">
+            Skip ⏭
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TextReveal;
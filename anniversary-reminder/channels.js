@@ -0,0 +1,135 @@
+// Notification channels. Each recipient in reminders.json lists the channels to try in order,
+// e.g. "channels": ["whatsapp", "sms"]; if one fails or isn't set up, the next one is used.
+// A channel is set up when its credentials are in .env (see .env.example). "console" needs
+// nothing: it prints the message and appends it to OUTBOX_FILE, so everything can be tried
+// offline (FORCE_CHANNEL=console sends every message that way).
+
+import { appendFile } from 'fs/promises';
+import nodemailer from 'nodemailer';
+import twilio from 'twilio';
+
+export const CHANNEL_NAMES = ['sms', 'whatsapp', 'email', 'telegram', 'webhook', 'console'];
+
+async function postJson(url, body, label = url) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`${label} answered ${response.status}: ${text.slice(0, 200)}`);
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * The channels that are set up in `env`. Each is
+ * { address(recipient), send(address, message, context) -> id of the sent message }.
+ * `context` is { reminder, recipient } for channels that can use more than the text.
+ */
+export function createChannels(env = process.env) {
+  const channels = {};
+
+  if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN) {
+    const client = twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN);
+
+    if (env.TWILIO_PHONE_NUMBER) {
+      channels.sms = {
+        address: (recipient) => recipient.phone,
+        send: async (to, body) => (await client.messages.create({ body, from: env.TWILIO_PHONE_NUMBER, to })).sid
+      };
+    }
+
+    if (env.TWILIO_WHATSAPP_NUMBER) {
+      channels.whatsapp = {
+        address: (recipient) => recipient.whatsapp || recipient.phone,
+        send: async (to, body) =>
+          (await client.messages.create({ body, from: `whatsapp:${env.TWILIO_WHATSAPP_NUMBER}`, to: `whatsapp:${to}` })).sid
+      };
+    }
+  }
+
+  if (env.SMTP_HOST) {
+    const transport = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: Number(env.SMTP_PORT) === 465,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+
+    channels.email = {
+      address: (recipient) => recipient.email,
+      send: async (to, text) => {
+        const info = await transport.sendMail({
+          from: env.SMTP_FROM || env.SMTP_USER,
+          to,
+          subject: text.split('\n')[0],
+          text
+        });
+        return info.messageId;
+      }
+    };
+  }
+
+  if (env.TELEGRAM_BOT_TOKEN) {
+    channels.telegram = {
+      address: (recipient) => recipient.telegramChatId,
+      send: async (chatId, text) => {
+        const { result } = await postJson(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, { chat_id: chatId, text }, 'Telegram');
+        return String(result.message_id);
+      }
+    };
+  }
+
+  // Posts { reminder, recipient, message } to the recipient's webhook, or WEBHOOK_URL for everyone
+  channels.webhook = {
+    address: (recipient) => recipient.webhook || env.WEBHOOK_URL,
+    send: async (url, message, { reminder, recipient }) => {
+      const answer = await postJson(url, { reminder: reminder.id, recipient: recipient.name, message });
+      return String(answer.id ?? `webhook-${Date.now()}`);
+    }
+  };
+
+  channels.console = {
+    address: (recipient) => recipient.name,
+    send: async (name, message, { reminder }) => {
+      const id = `console-${Date.now()}-${name}`;
+      console.log(`📨 [console] ${reminder.id} to ${name}:\n${message}\n`);
+      const line = JSON.stringify({ id, at: new Date().toISOString(), reminder: reminder.id, to: name, message });
+      await appendFile(env.OUTBOX_FILE || 'outbox.log', `${line}\n`);
+      return id;
+    }
+  };
+
+  return channels;
+}
+
+// The channels this recipient can actually be reached on, in their order of preference
+export const usableChannels = (channels, recipient) =>
+  recipient.channels.filter((name) => channels[name] && channels[name].address(recipient));
+
+/**
+ * Sends `message` on the recipient's first channel that works, falling back down the list.
+ * Resolves with { channel, id }; rejects with every channel's error if none worked.
+ */
+export async function deliver(channels, recipient, message, reminder) {
+  const errors = [];
+
+  for (const name of recipient.channels) {
+    const channel = channels[name];
+    const address = channel?.address(recipient);
+    if (!address) {
+      errors.push(`${name}: not set up`);
+      continue;
+    }
+
+    try {
+      const id = await channel.send(address, message, { reminder, recipient });
+      return { channel: name, id };
+    } catch (error) {
+      console.error(`⚠️ ${reminder.id} to ${recipient.name} failed on ${name}: ${error.message}`);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(errors.join('; '));
+}
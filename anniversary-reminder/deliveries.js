@@ -0,0 +1,79 @@
+// Delivery log: every send attempt, kept in a JSON file (DELIVERY_LOG_FILE, deliveries.json by
+// default) so what went out - and what didn't - survives restarts. Each entry is
+// { id, at, reminder, recipient, attempt, status: 'sent' | 'failed' | 'skipped', channel?, sid?, error?,
+// retryAt?, scheduledFor? } - scheduledFor is the scheduled run the entry belongs to (not set for /test sends).
+
+import { randomUUID } from 'crypto';
+import { jsonFileWriter, readJsonFile } from './jsonFile.js';
+
+// Oldest entries are dropped past this, so the file doesn't grow forever
+const MAX_ENTRIES = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function createDeliveryLog(file) {
+  let entries = await readJsonFile(file, []);
+  const save = jsonFileWriter(file);
+
+  return {
+    async record(entry) {
+      const saved = { id: randomUUID(), at: new Date().toISOString(), ...entry };
+      entries.push(saved);
+      if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+      await save(entries);
+      return saved;
+    },
+
+    // Newest first, optionally only one reminder, recipient or status
+    list({ reminder, recipient, status, limit = 100 } = {}) {
+      return entries
+        .filter((entry) => (!reminder || entry.reminder === reminder) && (!recipient || entry.recipient === recipient) && (!status || entry.status === status))
+        .slice(-limit)
+        .reverse();
+    },
+
+    // Failed sends still owed another try: the newest entry of each run and recipient, when it
+    // has a retryAt. The server picks these up again when it starts, straight away if overdue.
+    pendingRetries() {
+      const latest = new Map();
+      for (const entry of entries) latest.set(`${entry.reminder}/${entry.recipient}/${entry.scheduledFor ?? ''}`, entry);
+      return [...latest.values()].filter((entry) => entry.status === 'failed' && entry.retryAt);
+    }
+  };
+}
+
+/**
+ * Runs `send` (which resolves with { channel, id }) until it works or `retries` run out,
+ * waiting baseDelay, 2x, 4x... between tries. Every attempt goes into `log` with `details`
+ * ({ reminder, recipient, ... }). Resolves with the last entry, sent or failed - it never rejects.
+ * `resume` is a failed entry from before a restart: it waits for its retryAt (if that's still
+ * ahead) and carries on counting from its attempt. `onAttempt` gets each entry once it's logged.
+ */
+export async function sendWithRetry(log, details, send, { retries = 3, baseDelay = 30000, resume, onAttempt } = {}) {
+  const { reminder, recipient } = details;
+  if (resume) await sleep(new Date(resume.retryAt) - Date.now());
+
+  for (let attempt = (resume?.attempt ?? 0) + 1; ; attempt += 1) {
+    try {
+      const { channel, id } = await send();
+      const entry = await log.record({ ...details, attempt, status: 'sent', channel, sid: id });
+      await onAttempt?.(entry);
+      return entry;
+    } catch (error) {
+      const delay = baseDelay * 2 ** (attempt - 1);
+      const willRetry = attempt <= retries;
+      const entry = await log.record({
+        ...details,
+        attempt,
+        status: 'failed',
+        error: error.message,
+        retryAt: willRetry ? new Date(Date.now() + delay).toISOString() : undefined
+      });
+      await onAttempt?.(entry);
+      if (!willRetry) return entry;
+
+      console.error(`🔁 ${reminder} to ${recipient} failed (attempt ${attempt}), retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+}
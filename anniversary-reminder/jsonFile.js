@@ -0,0 +1,28 @@
+// Small JSON files the server keeps next to it (delivery log, last runs).
+
+import { readFile, rename, writeFile } from 'fs/promises';
+
+// The parsed file, or `fallback` when it doesn't exist yet
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// save(data) writes one after another, through a temp file, so a crash never leaves half a file
+export function jsonFileWriter(file) {
+  let writing = Promise.resolve();
+  return (data) => {
+    const text = JSON.stringify(data, null, 2);
+    writing = writing
+      .then(async () => {
+        await writeFile(`${file}.tmp`, text);
+        await rename(`${file}.tmp`, file);
+      })
+      .catch((error) => console.error(`❌ Could not save ${file}:`, error.message));
+    return writing;
+  };
+}
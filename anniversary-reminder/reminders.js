@@ -0,0 +1,99 @@
+// Reminder definitions live in reminders.json (or the file in REMINDERS_FILE) instead of code.
+// Each reminder is { id, description?, schedule, timezone?, recipients, template, enabled, catchUp? }:
+// `schedule` is a cron string, `recipients` are names from the file's "recipients" map and
+// `template` is the SMS text, or a list of variants (see templates.js). Adding a reminder is a
+// new entry there, nothing else. `catchUp` is { action: 'send' | 'skip', graceHours } for runs
+// missed while the server was down (see runs.js); the file's top-level `catchUp` is the default.
+
+import { readFile } from 'fs/promises';
+import cron from 'node-cron';
+import { CHANNEL_NAMES } from './channels.js';
+import { TEMPLATE_VARIABLES, checkTemplate } from './templates.js';
+
+const DEFAULT_CATCH_UP = { action: 'send', graceHours: 6 };
+
+// "${HER_PHONE_NUMBER}" in the file is read from the environment, so addresses stay out of git
+const fromEnv = (value) => String(value).replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+
+// Loads and checks the file; any mistake stops the server at startup with the reminder's id
+export async function loadReminders(file) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+
+  const relationship = config.relationship || {};
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(relationship.startDate || '')) {
+    throw new Error(`${file}: relationship.startDate must be a date like "2025-08-18"`);
+  }
+
+  // Every address can come from the environment; `channels` defaults to SMS
+  const recipients = {};
+  for (const [name, recipient] of Object.entries(config.recipients || {})) {
+    const { channels = ['sms'], ...addresses } = recipient;
+    const unknown = channels.filter((channel) => !CHANNEL_NAMES.includes(channel));
+    if (unknown.length) throw new Error(`${file}: recipient "${name}" uses unknown channel "${unknown[0]}"`);
+
+    recipients[name] = { name, channels };
+    for (const [key, value] of Object.entries(addresses)) recipients[name][key] = fromEnv(value);
+  }
+
+  const ids = new Set();
+  const reminders = (config.reminders || []).map((reminder) => {
+    const fail = (problem) => {
+      throw new Error(`${file}: reminder "${reminder.id ?? '?'}" ${problem}`);
+    };
+
+    if (!reminder.id) fail('needs an id');
+    if (ids.has(reminder.id)) fail('is defined twice');
+    ids.add(reminder.id);
+
+    if (!cron.validate(reminder.schedule || '')) fail(`has an invalid schedule "${reminder.schedule}"`);
+    const variants = Array.isArray(reminder.template) ? reminder.template : [reminder.template];
+    if (variants.length === 0 || !variants.every((variant) => typeof variant === 'string' && variant)) fail('needs a template');
+    for (const variant of variants) {
+      try {
+        checkTemplate(variant);
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+    if (reminder.rotate && !TEMPLATE_VARIABLES.includes(reminder.rotate)) fail(`rotates by unknown variable "${reminder.rotate}"`);
+    if (!Array.isArray(reminder.recipients) || reminder.recipients.length === 0) fail('needs at least one recipient');
+
+    for (const name of reminder.recipients) {
+      if (!recipients[name]) fail(`sends to unknown recipient "${name}"`);
+    }
+
+    const catchUp = { ...DEFAULT_CATCH_UP, ...config.catchUp, ...reminder.catchUp };
+    if (!['send', 'skip'].includes(catchUp.action)) fail(`has an unknown catchUp.action "${catchUp.action}" (use "send" or "skip")`);
+    if (!(catchUp.graceHours >= 0)) fail('needs catchUp.graceHours to be a number of hours');
+
+    return {
+      ...reminder,
+      description: reminder.description || reminder.id,
+      timezone: reminder.timezone || config.timezone || 'UTC',
+      catchUp,
+      enabled: reminder.enabled !== false
+    };
+  });
+
+  return { relationship, recipients, reminders };
+}
+
+// One cron job per enabled reminder; `send` gets the reminder when it's due
+export function scheduleReminders(reminders, send) {
+  return reminders
+    .filter((reminder) => reminder.enabled)
+    .map((reminder) =>
+      cron.schedule(reminder.schedule, () => {
+        console.log(`⏰ Running ${reminder.id} reminder...`);
+        send(reminder);
+      }, {
+        scheduled: true,
+        timezone: reminder.timezone
+      })
+    );
+}
@@ -0,0 +1,80 @@
+// Catch-up for runs missed while the server was down (node-cron only fires while it's alive).
+// The last successful run of each reminder is kept in a JSON file (RUN_STATE_FILE, runs.json by
+// default). On startup, every scheduled time since then is either sent late - only the latest,
+// and only within the reminder's grace window - or written to the delivery log as skipped.
+
+import parser from 'cron-parser';
+import { jsonFileWriter, readJsonFile } from './jsonFile.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// A daily reminder after weeks offline only reports this many skipped runs
+const MAX_MISSED = 50;
+
+/**
+ * Per reminder: { lastSuccess, sentTo: { recipient: time }, checkedUpTo }, all ISO times of the
+ * scheduled run (not when it finished), so a late send still counts for the day it was due.
+ * checkedUpTo is the latest run that every recipient got or has a retry lined up for, or that was
+ * logged as skipped, so a run waiting on a retry isn't reported as missed on the next restart.
+ */
+export async function createRunState(file) {
+  const runs = await readJsonFile(file, {});
+  const save = jsonFileWriter(file);
+  const later = (a, b) => (!a || new Date(b) > new Date(a) ? b : a);
+
+  return {
+    get: (id) => runs[id],
+
+    async markSent(id, recipients, allRecipients, scheduledFor) {
+      const run = (runs[id] = { sentTo: {}, ...runs[id] });
+      const time = scheduledFor.toISOString();
+      for (const name of recipients) run.sentTo[name] = later(run.sentTo[name], time);
+      if (allRecipients.every((name) => run.sentTo[name] && new Date(run.sentTo[name]) >= scheduledFor)) {
+        run.lastSuccess = later(run.lastSuccess, time);
+      }
+      await save(runs);
+    },
+
+    async markChecked(id, time) {
+      runs[id] = { sentTo: {}, ...runs[id], checkedUpTo: later(runs[id]?.checkedUpTo, time.toISOString()) };
+      await save(runs);
+    }
+  };
+}
+
+// Scheduled times of `reminder` after `after` and up to `now`, oldest first
+export function scheduledTimesBetween(reminder, after, now) {
+  const times = [];
+  const interval = parser.parseExpression(reminder.schedule, { currentDate: now, tz: reminder.timezone });
+  while (times.length < MAX_MISSED) {
+    const time = interval.prev().toDate();
+    if (time <= after) break;
+    times.unshift(time);
+  }
+  return times;
+}
+
+// Recipients of `reminder` that haven't had the run at `time` (or a later one)
+export const waitingFor = (reminder, run, time) =>
+  reminder.recipients.filter((name) => !run?.sentTo?.[name] || new Date(run.sentTo[name]) < time);
+
+/**
+ * What to do about the runs of `reminder` missed before `now`:
+ * { sendLate: Date | null, to: [recipients still waiting for it], skipped: [Date] }.
+ * The first time a reminder is seen there's nothing to catch up on.
+ */
+export function planCatchUp(reminder, run, now) {
+  const since = [run?.lastSuccess, run?.checkedUpTo].filter(Boolean).map((time) => new Date(time));
+  if (since.length === 0) return { sendLate: null, to: [], skipped: [] };
+
+  const missed = scheduledTimesBetween(reminder, new Date(Math.max(...since)), now);
+  const latest = missed[missed.length - 1];
+  const { action, graceHours } = reminder.catchUp;
+
+  if (!latest || action !== 'send' || now - latest > graceHours * HOUR) {
+    return { sendLate: null, to: [], skipped: missed };
+  }
+
+  const to = waitingFor(reminder, run, latest);
+  return { sendLate: latest, to, skipped: missed.slice(0, -1) };
+}
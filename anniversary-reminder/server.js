@@ -1,183 +1,207 @@
 import express from 'express';
-import cron from 'node-cron';
-import twilio from 'twilio';
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { createChannels, deliver, usableChannels } from './channels.js';
+import { createDeliveryLog, sendWithRetry } from './deliveries.js';
+import { loadReminders, scheduleReminders } from './reminders.js';
+import { createRunState, planCatchUp, waitingFor } from './runs.js';
+import { pickVariant, renderTemplate, templateVariables } from './templates.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Twilio configuration
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-const yourPhone = process.env.YOUR_PHONE_NUMBER;
-const herPhone = process.env.HER_PHONE_NUMBER;
-
-const client = twilio(accountSid, authToken);
-
-// Function to send SMS to both
-async function sendAnniversaryReminders() {
-  const now = new Date();
-  const monthsSince = (now.getFullYear() - 2025) * 12 + (now.getMonth() - 7); // Aug = 7 (0-indexed)
-
-  const message = `💕 Happy ${monthsSince} Month Anniversary Kanna!!! 💕\n\nIt's been ${monthsSince} beautiful months since August 18, 2025. Here's to many more! ❤️`;
-
-  try {
-    // Send to your phone
-    const msg1 = await client.messages.create({
-      body: message,
-      from: twilioPhone,
-      to: yourPhone
-    });
-    console.log(`SMS sent to you: ${msg1.sid}`);
-
-    // Send to her phone
-    const msg2 = await client.messages.create({
-      body: message,
-      from: twilioPhone,
-      to: herPhone
-    });
-    console.log(`SMS sent to her: ${msg2.sid}`);
-
-    console.log('✅ Anniversary reminders sent successfully!');
-  } catch (error) {
-    console.error('❌ Error sending SMS:', error.message);
-  }
-}
+const config = await loadReminders(process.env.REMINDERS_FILE || fileURLToPath(new URL('./reminders.json', import.meta.url)));
+const channels = createChannels();
 
-// Function to send almond soak reminder (9 PM)
-async function sendSoakAlmondsReminder() {
-  const message = `🥜 Time to soak almonds! 🥜\n\nDon't forget to soak your almonds for tomorrow morning. Good night Kanna! 😊`;
-
-  try {
-    // Send to her phone
-    const msg = await client.messages.create({
-      body: message,
-      from: twilioPhone,
-      to: herPhone
-    });
-    console.log(`Soak almonds reminder sent to her: ${msg.sid}`);
-  } catch (error) {
-    console.error('❌ Error sending soak reminder:', error.message);
-  }
+// FORCE_CHANNEL=console sends everything to the console, e.g. to try the service offline
+const forcedChannel = process.env.FORCE_CHANNEL;
+if (forcedChannel && !channels[forcedChannel]) {
+  throw new Error(`FORCE_CHANNEL=${forcedChannel} is not a channel that is set up`);
+}
+const channelsFor = (recipient) => (forcedChannel ? { ...recipient, channels: [forcedChannel] } : recipient);
+
+const deliveries = await createDeliveryLog(process.env.DELIVERY_LOG_FILE || 'deliveries.json');
+const retryOptions = {
+  retries: Number(process.env.RETRY_ATTEMPTS ?? 3),
+  baseDelay: Number(process.env.RETRY_BASE_DELAY_SECONDS ?? 30) * 1000
+};
+
+const runs = await createRunState(process.env.RUN_STATE_FILE || 'runs.json');
+
+/**
+ * Sends one reminder to each recipient (or just `to`) separately, so one failing never stops
+ * the others. `scheduledFor` is set for a late run, so the message reads as on the day it was due.
+ * Resolves with each recipient's last delivery log entry.
+ */
+async function sendReminder(reminder, { to = reminder.recipients, retries = retryOptions.retries, scheduledFor, late = false, resume, onAttempt } = {}) {
+  const variables = templateVariables(config.relationship, late ? scheduledFor : new Date(), reminder.timezone);
+  const message = renderTemplate(pickVariant(reminder.template, variables, reminder.rotate), variables);
+  const details = scheduledFor ? { scheduledFor: scheduledFor.toISOString() } : {};
+
+  return Promise.all(
+    to.map(async (name) => {
+      const send = () => deliver(channels, channelsFor(config.recipients[name]), message, reminder);
+      const options = { ...retryOptions, retries, resume, onAttempt };
+      const entry = await sendWithRetry(deliveries, { reminder: reminder.id, recipient: name, ...details }, send, options);
+      if (entry.status === 'sent') console.log(`${reminder.id} sent to ${name} via ${entry.channel}: ${entry.sid}`);
+      else console.error(`❌ ${reminder.id} to ${name} gave up after ${entry.attempt} attempts: ${entry.error}`);
+      return entry;
+    })
+  );
 }
 
-// Function to send eat almonds reminder (6 AM)
-async function sendEatAlmondsReminder() {
-  const message = `🌅 Good morning Kanna! Time to eat your soaked almonds! 🥜\n\nStart your day healthy! 💪`;
-
-  try {
-    // Send to her phone
-    const msg = await client.messages.create({
-      body: message,
-      from: twilioPhone,
-      to: herPhone
-    });
-    console.log(`Eat almonds reminder sent to her: ${msg.sid}`);
-  } catch (error) {
-    console.error('❌ Error sending eat reminder:', error.message);
-  }
+// A scheduled (or caught-up) run; who got it is saved so a restart knows what was missed
+async function runReminder(reminder, scheduledFor, { to = reminder.recipients, late = false } = {}) {
+  // Checked once each recipient has it or has a retry lined up (those survive a restart), so a
+  // restart mid-retry isn't taken for a missed run, but a run someone never got still is
+  const settled = new Set();
+  const onAttempt = async (entry) => {
+    if (entry.status !== 'sent' && !entry.retryAt) return;
+    settled.add(entry.recipient);
+    if (settled.size === to.length) await runs.markChecked(reminder.id, scheduledFor);
+  };
+
+  const results = await sendReminder(reminder, { to, scheduledFor, late, onAttempt });
+  const sentTo = results.filter((entry) => entry.status === 'sent').map((entry) => entry.recipient);
+  await runs.markSent(reminder.id, sentTo, reminder.recipients, scheduledFor);
+
+  if (sentTo.length === results.length) console.log(`✅ ${reminder.id} reminder sent successfully!`);
+  else console.error(`❌ ${reminder.id} reached ${sentTo.length} of ${results.length} recipients`);
 }
 
-// Schedule to run on the 18th of every month at 9:00 AM
-// Cron format: minute hour day month day-of-week
-cron.schedule('0 9 18 * *', () => {
-  console.log('🎉 Running anniversary reminder...');
-  sendAnniversaryReminders();
-}, {
-  scheduled: true,
-  timezone: "Asia/Kolkata"
+scheduleReminders(config.reminders, (reminder) => {
+  const scheduledFor = new Date();
+  scheduledFor.setSeconds(0, 0);
+  runReminder(reminder, scheduledFor);
 });
 
-// Schedule almond soak reminder - Every day at 9:00 PM
-cron.schedule('0 21 * * *', () => {
-  console.log('🥜 Sending soak almonds reminder...');
-  sendSoakAlmondsReminder();
-}, {
-  scheduled: true,
-  timezone: "Asia/Kolkata"
-});
+// Runs that were due while the server was down: the latest is sent late if it's within the
+// reminder's grace window, the rest are logged as skipped. Recipients with a retry still owed
+// for that run are left to the retry.
+async function catchUpMissedRuns(now = new Date()) {
+  const retrying = (reminder, time) =>
+    pendingRetries.filter((entry) => entry.reminder === reminder.id && entry.scheduledFor === time.toISOString()).map((entry) => entry.recipient);
+
+  for (const reminder of config.reminders.filter((r) => r.enabled)) {
+    const run = runs.get(reminder.id);
+    if (!run) {
+      await runs.markChecked(reminder.id, now);
+      continue;
+    }
+
+    const { sendLate, to, skipped } = planCatchUp(reminder, run, now);
+    for (const time of skipped) {
+      // Someone who already has this run (sentTo) wasn't left without it
+      const missedBy = waitingFor(reminder, run, time).filter((name) => !retrying(reminder, time).includes(name));
+      for (const recipient of missedBy) {
+        await deliveries.record({
+          reminder: reminder.id,
+          recipient,
+          status: 'skipped',
+          scheduledFor: time.toISOString(),
+          error: 'Missed while the server was down'
+        });
+      }
+    }
+    if (skipped.length) {
+      console.warn(`⏭️ ${reminder.id}: ${skipped.length} missed run(s) logged as skipped`);
+      await runs.markChecked(reminder.id, skipped[skipped.length - 1]);
+    }
+
+    const lateTo = sendLate ? to.filter((name) => !retrying(reminder, sendLate).includes(name)) : [];
+    if (lateTo.length) {
+      console.log(`⏰ ${reminder.id} was due ${sendLate.toISOString()} while the server was down, sending it late...`);
+      runReminder(reminder, sendLate, { to: lateTo, late: true });
+    }
+  }
+}
 
-// Schedule eat almonds reminder - Every day at 6:00 AM
-cron.schedule('0 6 * * *', () => {
-  console.log('🌅 Sending eat almonds reminder...');
-  sendEatAlmondsReminder();
-}, {
-  scheduled: true,
-  timezone: "Asia/Kolkata"
-});
+// A retry that was still owed when the server stopped carries on at its retryAt, or now if that
+// passed while the server was down. The message reads as on the day the run was due.
+async function resumeRetry(entry) {
+  const reminder = config.reminders.find((r) => r.id === entry.reminder && r.enabled);
+  if (!reminder || !config.recipients[entry.recipient]) return;
+
+  console.log(`🔁 ${entry.reminder} to ${entry.recipient}: picking up its retry (due ${entry.retryAt})`);
+  const scheduledFor = entry.scheduledFor ? new Date(entry.scheduledFor) : undefined;
+  const [result] = await sendReminder(reminder, { to: [entry.recipient], scheduledFor, late: Boolean(scheduledFor), resume: entry });
+  if (result.status === 'sent' && scheduledFor) {
+    await runs.markSent(reminder.id, [entry.recipient], reminder.recipients, scheduledFor);
+  }
+}
 
 // Health check endpoint
 app.get('/', (req, res) => {
   res.json({
     status: 'running',
     message: 'Anniversary Reminder Service is active!',
-    nextRun: 'Every 18th of the month at 9:00 AM'
+    reminders: config.reminders.map(({ id, description, schedule, timezone, enabled }) => ({
+      id,
+      description,
+      schedule,
+      timezone,
+      enabled,
+      lastSuccess: runs.get(id)?.lastSuccess || null
+    }))
   });
 });
 
-// Manual test endpoint (optional - for testing)
-app.get('/test-send', async (req, res) => {
-  try {
-    await sendAnniversaryReminders();
-    res.json({ success: true, message: 'Test SMS sent!' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+// Manual test endpoint - sends a reminder right now, e.g. /test/anniversary or /test/soak-almonds?to=me
+app.get('/test/:id', async (req, res) => {
+  const reminder = config.reminders.find((r) => r.id === req.params.id);
+  if (!reminder) {
+    return res.status(404).json({ success: false, error: `No reminder called "${req.params.id}"` });
   }
-});
 
-// Test endpoint - sends only to your number
-app.get('/test-me', async (req, res) => {
-  const now = new Date();
-  const monthsSince = (now.getFullYear() - 2025) * 12 + (now.getMonth() - 7);
-  const message = `💕 Happy ${monthsSince} Month Anniversary! 💕\n\nIt's been ${monthsSince} beautiful months since August 18, 2025. Here's to many more! ❤️`;
-
-  try {
-    const msg = await client.messages.create({
-      body: message,
-      from: twilioPhone,
-      to: yourPhone
-    });
-    console.log(`Test SMS sent to you: ${msg.sid}`);
-    res.json({ success: true, message: 'Test SMS sent to your number only!', sid: msg.sid });
-  } catch (error) {
-    console.error('Error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+  const to = req.query.to ? String(req.query.to).split(',') : reminder.recipients;
+  const unknown = to.filter((name) => !config.recipients[name]);
+  if (unknown.length) {
+    return res.status(400).json({ success: false, error: `Unknown recipient: ${unknown.join(', ')}` });
   }
-});
 
-// Test almond soak reminder
-app.get('/test-soak', async (req, res) => {
-  try {
-    await sendSoakAlmondsReminder();
-    res.json({ success: true, message: 'Soak almonds reminder sent to her!' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+  // No retries here, so the answer comes straight back
+  const results = await sendReminder(reminder, { to, retries: 0 });
+  const success = results.every((entry) => entry.status === 'sent');
+  res.status(success ? 200 : 500).json({ success, results });
 });
 
-// Test almond eat reminder
-app.get('/test-eat', async (req, res) => {
-  try {
-    await sendEatAlmondsReminder();
-    res.json({ success: true, message: 'Eat almonds reminder sent to her!' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Delivery log, newest first - e.g. /deliveries?status=failed or /deliveries?reminder=anniversary&limit=10
+app.get('/deliveries', (req, res) => {
+  const { reminder, recipient, status, limit } = req.query;
+  res.json(deliveries.list({ reminder, recipient, status, limit: Number(limit) || 100 }));
 });
 
+// The old one-per-reminder test URLs, kept as redirects so bookmarks still work
+const LEGACY_TEST_PATHS = {
+  '/test-send': '/test/anniversary',
+  '/test-me': '/test/anniversary?to=me',
+  '/test-soak': '/test/soak-almonds',
+  '/test-eat': '/test/eat-almonds'
+};
+for (const [from, to] of Object.entries(LEGACY_TEST_PATHS)) {
+  app.get(from, (req, res) => res.redirect(to));
+}
+
+const pendingRetries = deliveries.pendingRetries();
+await catchUpMissedRuns();
+pendingRetries.forEach(resumeRetry);
+
 app.listen(PORT, () => {
   console.log(`🚀 Anniversary Reminder Server running on port ${PORT}`);
   console.log(`\n📅 Scheduled Reminders:`);
-  console.log(`  💕 Anniversary: 18th of every month at 9:00 AM (both)`);
-  console.log(`  🥜 Soak Almonds: Every day at 9:00 PM (her only)`);
-  console.log(`  🌅 Eat Almonds: Every day at 6:00 AM (her only)`);
-  console.log(`\n⏰ Timezone: Asia/Kolkata`);
+  for (const reminder of config.reminders) {
+    const status = reminder.enabled ? '' : ' (disabled)';
+    console.log(`  ${reminder.description} (${reminder.recipients.join(', ')}, ${reminder.timezone})${status}`);
+  }
+  console.log(`\n📬 Channels:`);
+  for (const recipient of Object.values(config.recipients).map(channelsFor)) {
+    const usable = usableChannels(channels, recipient);
+    console.log(`  ${recipient.name}: ${usable.length ? usable.join(' → ') : '⚠️ none set up, check .env'}`);
+  }
   console.log(`\n🧪 Test endpoints:`);
-  console.log(`  /test-send - Test anniversary (both)`);
-  console.log(`  /test-me - Test anniversary (you only)`);
-  console.log(`  /test-soak - Test soak almonds (her only)`);
-  console.log(`  /test-eat - Test eat almonds (her only)`);
+  console.log(`  /test/<id> - Send a reminder now (add ?to=me to send only to you)`);
+  console.log(`  /test-me, /test-send, /test-soak, /test-eat - Old names, redirect to /test/<id>`);
+  console.log(`  /deliveries - Every send attempt, newest first`);
 });
@@ -0,0 +1,105 @@
+// Reminder text templates. `{{name}}` is replaced with a value computed from the relationship
+// in reminders.json, and `{{name | ordinal}}` adds the suffix (14 -> 14th). A reminder's
+// `template` can also be a list of variants; they take turns so the SMS isn't the same every time.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TEMPLATE_VARIABLES = [
+  'partnerName',
+  'startDate',
+  'monthsSince',
+  'yearsTogether',
+  'daysTogether',
+  'nextMilestone',
+  'nextMilestoneDate',
+  'daysUntilNextMilestone'
+];
+
+export function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+const FILTERS = { ordinal };
+
+const TAG = /\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+// Today's date in `timezone`, as a UTC midnight timestamp, so day counts ignore the server's zone
+function todayIn(timezone, now) {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(now)
+    .split('-')
+    .map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+const formatDate = (time) => new Date(time).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Every 100 days and every full year count as a milestone
+function nextMilestone(start, today) {
+  const hundreds = (Math.floor((today - start) / DAY / 100) + 1) * 100;
+  const byDays = { label: `${hundreds} days`, time: start + hundreds * DAY };
+
+  const startDate = new Date(start);
+  const anniversary = (years) => Date.UTC(startDate.getUTCFullYear() + years, startDate.getUTCMonth(), startDate.getUTCDate());
+  let years = 1;
+  while (anniversary(years) <= today) years += 1;
+  const byYears = { label: years === 1 ? '1 year' : `${years} years`, time: anniversary(years) };
+
+  return byDays.time <= byYears.time ? byDays : byYears;
+}
+
+/**
+ * Values for the templates on the day `now` falls on in `timezone`.
+ * @param relationship  { startDate: 'YYYY-MM-DD', partnerName }
+ */
+export function templateVariables(relationship, now = new Date(), timezone = 'UTC') {
+  const [startYear, startMonth, startDay] = relationship.startDate.split('-').map(Number);
+  const start = Date.UTC(startYear, startMonth - 1, startDay);
+  const today = todayIn(timezone, now);
+  const todayDate = new Date(today);
+
+  // Whole months: the 18th-to-17th of the next month still counts as the month before
+  const monthsSince =
+    (todayDate.getUTCFullYear() - startYear) * 12 +
+    (todayDate.getUTCMonth() - (startMonth - 1)) -
+    (todayDate.getUTCDate() < startDay ? 1 : 0);
+  const milestone = nextMilestone(start, today);
+
+  return {
+    partnerName: relationship.partnerName || '',
+    startDate: formatDate(start),
+    monthsSince,
+    yearsTogether: Math.floor(monthsSince / 12),
+    daysTogether: Math.round((today - start) / DAY),
+    nextMilestone: milestone.label,
+    nextMilestoneDate: formatDate(milestone.time),
+    daysUntilNextMilestone: Math.round((milestone.time - today) / DAY)
+  };
+}
+
+// Throws on a {{tag}} that would never be filled in, so a typo fails at startup, not in an SMS
+export function checkTemplate(template) {
+  for (const [, name, filter] of template.matchAll(TAG)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) throw new Error(`uses unknown variable {{${name}}}`);
+    if (filter && !FILTERS[filter]) throw new Error(`uses unknown filter "${filter}" in {{${name} | ${filter}}}`);
+  }
+}
+
+export function renderTemplate(template, variables) {
+  return template.replace(TAG, (match, name, filter) => {
+    const value = variables[name];
+    return String(filter ? FILTERS[filter](value) : value);
+  });
+}
+
+/**
+ * The variant to send: `rotate` names a number variable (e.g. monthsSince for a monthly
+ * reminder) and each step of it moves to the next variant.
+ */
+export function pickVariant(template, variables, rotate = 'daysTogether') {
+  const variants = Array.isArray(template) ? template : [template];
+  const step = Math.max(0, Number(variables[rotate]) || 0);
+  return variants[step % variants.length];
+}
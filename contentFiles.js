@@ -0,0 +1,61 @@
+// CONTENT FILES - build-time loader for content/
+// Turns the content directory into the one object the site unseals after the gate:
+//   letter.md              -> content.letter            ({ ...frontmatter, body })
+//   letters-of-strength/   -> content.lettersOfStrength (one entry per .md file, by file name)
+//   bouquet-reasons.json   -> content.bouquetReasons    (the parsed JSON)
+// Keys are the file or directory names in camelCase. README files are skipped.
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseMarkdown, toKey } from './frontmatter.js';
+import { checkLetterDetails } from './letterUnlock.js';
+
+const isContentFile = (name) => /\.(md|json)$/.test(name) && !/^readme\.md$/i.test(name);
+
+// Per-file checks for directories the site would read wrong without them, by key
+const ENTRY_CHECKS = {
+  lettersOfStrength: checkLetterDetails
+};
+
+async function parseFile(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  if (filePath.endsWith('.md')) return parseMarkdown(text, filePath);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+async function loadFile(filePath, check) {
+  const entry = await parseFile(filePath);
+  const problem = check?.(entry);
+  if (problem) throw new Error(`${filePath}: ${problem}`);
+  return entry;
+}
+
+/**
+ * Reads every content file under `dir`.
+ * Returns { content, files } - files lists everything read, so the dev server can watch it.
+ */
+export async function loadContentDir(dir) {
+  const content = {};
+  const files = [];
+
+  const entries = (await readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      const names = (await readdir(entryPath)).filter(isContentFile).sort();
+      const key = toKey(entry.name);
+      content[key] = await Promise.all(names.map((name) => loadFile(path.join(entryPath, name), ENTRY_CHECKS[key])));
+      files.push(entryPath, ...names.map((name) => path.join(entryPath, name)));
+    } else if (isContentFile(entry.name)) {
+      content[toKey(entry.name)] = await loadFile(entryPath);
+      files.push(entryPath);
+    }
+  }
+
+  return { content, files };
+}
@@ -0,0 +1,67 @@
+// CONTENT VAULT
+// Opens the letters sealed at build time by sealContent.js. The key is derived from the
+// answer to the authentication gate, so a wrong answer simply fails to decrypt.
+
+import sealed, { gate } from 'virtual:sealed-content';
+
+// sessionStorage slot for the answer, so a refresh doesn't mean passing the gate again
+export const AUTH_STORAGE_KEY = 'loveLetterAuth';
+
+// How much of the answer the gate asks for, without giving the answer away
+export const GATE_WORD_LENGTH = gate.letters.length;
+export const GATE_STAR_COUNT = gate.stars.length;
+
+// The answer as the build expects it: 'WORD|Aug 29|Sept 8|...'
+export const buildPassphrase = (word, dates) => [word, ...dates].join('|');
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const importPassword = (text, usage) => crypto.subtle.importKey('raw', new TextEncoder().encode(text), 'PBKDF2', false, [usage]);
+
+// Each step of the answer ships only as a salted hash (see sealContent.js)
+async function matchesStep({ salt, hash }, value) {
+  const saltBytes = fromBase64(salt);
+  const valueBytes = new TextEncoder().encode(value);
+  const bytes = new Uint8Array(saltBytes.length + valueBytes.length);
+  bytes.set(saltBytes);
+  bytes.set(valueBytes, saltBytes.length);
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const expected = fromBase64(hash);
+  return digest.length === expected.length && digest.every((byte, i) => byte === expected[i]);
+}
+
+async function findStep(step, candidates) {
+  for (const candidate of candidates) {
+    if (await matchesStep(step, candidate)) return candidate;
+  }
+  return null;
+}
+
+// Stage 1: which of `letters` is the word's letter at `index` (so the hearts can favour it)
+export const findWordLetter = (index, letters) => findStep(gate.letters[index], letters);
+
+export async function checkWord(word) {
+  if (word.length !== GATE_WORD_LENGTH) return false;
+  const matches = await Promise.all([...word].map((letter, i) => matchesStep(gate.letters[i], letter)));
+  return matches.every(Boolean);
+}
+
+// Stage 2: whether the star labelled `label` comes at `index` in the chain, and which one does
+export const isChainStar = (index, label) => matchesStep(gate.stars[index], label);
+export const findChainStar = (index, labels) => findStep(gate.stars[index], labels);
+
+export async function unsealContent(passphrase) {
+  const baseKey = await importPassword(passphrase, 'deriveKey');
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(sealed.salt), iterations: sealed.iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['decrypt']
+  );
+
+  // AES-GCM rejects (OperationError) when the key is wrong
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,56 @@
+// FRONTMATTER
+// Reads and writes the content files' Markdown: details between two '---' lines, then the body.
+// Shared by the build (contentFiles.js) and the letter composer, so both agree on the format.
+
+// 'opens-monthly-on' / 'letters-of-strength.md' -> 'opensMonthlyOn' / 'lettersOfStrength'
+export const toKey = (name) => name.replace(/\.(md|json)$/, '').replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+// Frontmatter values are plain text, numbers, true/false, or "quoted text"
+const parseValue = (raw) => {
+  if (/^".*"$/.test(raw)) return JSON.parse(raw);
+  if (/^'.*'$/.test(raw)) return raw.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  return raw;
+};
+
+/**
+ * Splits '---\nkey: value\n---\nbody' into { ...frontmatter, body }.
+ * Files without frontmatter are all body. Throws with the file name on a bad line.
+ */
+export function parseMarkdown(text, file = 'content') {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!match) return { body: normalized.trim() };
+
+  const fields = {};
+  match[1].split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const field = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!field) throw new Error(`${file}: frontmatter line ${index + 2} should look like "key: value"`);
+    try {
+      fields[toKey(field[1])] = parseValue(field[2].trim());
+    } catch (error) {
+      // A "quoted" value that isn't valid JSON, e.g. "Hi" and "bye"
+      throw new Error(`${file}: frontmatter line ${index + 2}: ${error.message}`);
+    }
+  });
+
+  return { ...fields, body: normalized.slice(match[0].length).trim() };
+}
+
+// Text that would read back as something else (a number, true, "quoted", '- list') gets quoted
+const formatValue = (value) => {
+  if (typeof value !== 'string') return String(value);
+  const ambiguous = value !== value.trim() || /^["'[\-#]/.test(value) || /^-?\d+(\.\d+)?$/.test(value) || value === 'true' || value === 'false';
+  return ambiguous || value.includes('\n') ? JSON.stringify(value) : value;
+};
+
+/** { ...fields, body } -> Markdown with frontmatter; empty fields are left out. */
+export function stringifyMarkdown({ body = '', ...fields }) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+  const frontmatter = lines.length ? `---\n${lines.join('\n')}\n---\n\n` : '';
+  return `${frontmatter}${body.trim()}\n`;
+}
@@ -0,0 +1,83 @@
+// LETTER UNLOCKS - "Open when..." conditions for the letters of strength
+// A letter's frontmatter can hold one of:
+//   opensOn: 2026-02-14   sealed until that day (local midnight), open from then on
+//   opensMonthlyOn: 18    open only on that day of each month (the last day in shorter months)
+//   opensWhen: lonely     open once that mood is picked in the scene
+// Letters without any of these are always open. All dates are the viewer's local time.
+
+import { parseMilestoneDate, milestoneToDate } from './milestones.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// The `day` of the given month, clamped so 31 means the last day of a 30-day month
+const dayInMonth = (year, month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+/**
+ * null when the letter can be read now, otherwise why it is sealed:
+ *   { type: 'date', date, opensAt }   { type: 'monthly', day, opensAt }   { type: 'mood', mood }
+ */
+export function getLetterLock(letter, { now = new Date(), mood = null } = {}) {
+  if (letter.opensOn) {
+    // checkLetterDetails stops the build on a date that doesn't parse, so one never gets here
+    const iso = parseMilestoneDate(letter.opensOn);
+    if (!iso) return null;
+    const opensAt = milestoneToDate(iso);
+    return now >= opensAt ? null : { type: 'date', date: iso, opensAt };
+  }
+
+  if (letter.opensMonthlyOn) {
+    const day = Number(letter.opensMonthlyOn);
+    const thisMonth = dayInMonth(now.getFullYear(), now.getMonth(), day);
+    if (startOfDay(now).getTime() === thisMonth.getTime()) return null;
+    const opensAt = thisMonth > now ? thisMonth : dayInMonth(now.getFullYear(), now.getMonth() + 1, day);
+    return { type: 'monthly', day, opensAt };
+  }
+
+  if (letter.opensWhen) {
+    return String(letter.opensWhen).toLowerCase() === mood ? null : { type: 'mood', mood: String(letter.opensWhen).toLowerCase() };
+  }
+
+  return null;
+}
+
+/**
+ * Build-time check of a letter's unlock details (see contentFiles.js).
+ * Returns what is wrong, or null. A letter that can't be read as sealed would otherwise open early.
+ */
+export function checkLetterDetails(letter) {
+  if (letter.opensOn && !parseMilestoneDate(letter.opensOn)) {
+    return `opensOn "${letter.opensOn}" is not a real date (write it like 2026-02-14)`;
+  }
+  if (letter.opensMonthlyOn) {
+    const day = Number(letter.opensMonthlyOn);
+    if (!Number.isInteger(day) || day < 1 || day > 31) return `opensMonthlyOn "${letter.opensMonthlyOn}" should be a day from 1 to 31`;
+  }
+  return null;
+}
+
+// Every mood the letters can be opened with, in letter order
+export const lettersMoods = (letters) => [
+  ...new Set(letters.filter((letter) => letter.opensWhen).map((letter) => String(letter.opensWhen).toLowerCase()))
+];
+
+// 3 days 4h / 5h 12m / 42m / less than a minute
+export function formatCountdown(ms) {
+  if (ms < MINUTE) return 'less than a minute';
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+  if (days > 0) return `${days} day${days === 1 ? '' : 's'} ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// '18' -> '18th'
+export const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
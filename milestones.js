@@ -0,0 +1,173 @@
+// MILESTONES
+// The dates behind the constellation and the gate's star stage. Dates are stored as
+// ISO 'YYYY-MM-DD' and colors as 6-digit hex; older spellings ('Sept 5 2025',
+// 'Jan 07 2026', '#f7fb06ff') are still accepted wherever milestones are read.
+//
+// Any milestone can also tell its story with optional fields:
+//   title - a short name for the day
+//   note  - a line or two about it
+//   photo - a file in public/ (e.g. 'gandhi-park.jpeg')
+//   scene - the gift scene id that tells the full story (e.g. 'aug29_surprise')
+//
+// `gate: true` puts a built-in milestone on the gate's star stage. The answer's dates and the
+// decoys are marked alike; which ones matter is sealed into the build (SEALED_CONTENT_PASSPHRASE).
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'June', 'July', 'Aug', 'Sept', 'Oct', 'Nov', 'Dec'];
+
+// Local edits from the milestone editor (?admin) override the built-in list on this device.
+// The gate never reads them: its answer is sealed into the build, so it uses the built-in list.
+const MILESTONES_STORAGE_KEY = 'loveLetterMilestones';
+
+const DefaultMilestones = [
+  {
+    date: '2025-08-29',
+    gate: true,
+    color: '#FFD700',
+    title: 'The Surprise Visit',
+    note: 'Your face when you saw me standing there. The day everything changed.',
+    scene: 'aug29_surprise'
+  },
+  { date: '2025-08-31', gate: true, color: '#000000' },
+  { date: '2025-09-05', gate: true, color: '#A0A0A0' },
+  { date: '2025-09-06', color: '#404040' },
+  { date: '2025-09-07', color: '#008000' },
+  { date: '2025-09-08', gate: true, color: '#20B2AA' },
+  { date: '2025-09-15', color: '#A0A0A0' },
+  { date: '2025-09-16', gate: true, color: '#A52A2A' },
+  { date: '2025-09-26', color: '#800080' },
+  { date: '2025-09-27', color: '#FFFF00' },
+  { date: '2025-09-28', gate: true, color: '#008000' },
+  { date: '2025-10-06', gate: true, color: '#800080' },
+  { date: '2025-10-18', gate: true, color: '#0000FF' },
+  { date: '2025-11-01', color: '#FF0000' },
+  { date: '2025-11-02', gate: true, color: '#00008B' },
+  { date: '2025-11-03', color: '#FFD700' },
+  { date: '2025-11-08', color: '#800000' },
+  { date: '2025-11-09', color: '#FF0000' },
+  { date: '2025-11-15', gate: true, color: '#008000' },
+  { date: '2025-11-16', color: '#20B2AA' },
+  { date: '2025-11-21', color: '#A0A0A0' },
+  { date: '2025-11-22', gate: true, color: '#A52A2A' },
+  { date: '2025-11-23', color: '#FF0000' },
+  { date: '2025-12-01', gate: true, color: '#A0A0A0' },
+  {
+    date: '2025-12-26',
+    gate: true,
+    color: '#00008B',
+    title: 'The First Letter',
+    note: 'A gift with a letter inside. I still have it, and I still read it.',
+    scene: 'her_first_letter'
+  },
+  { date: '2025-12-27', gate: true, color: '#14B8A6' },
+  { date: '2025-12-28', color: '#000000' },
+  { date: '2026-01-07', color: '#FAF6F6' },
+  { date: '2026-01-08', color: '#E736BB' },
+  { date: '2026-01-21', color: '#F7FB06' },
+  { date: '2026-01-24', color: '#96F4F0' },
+  { date: '2026-01-25', color: '#EF3F18' },
+  { date: '2026-01-30', color: '#F80787' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Accepts '2025-09-05', 'Sept 5 2025', 'Sep 05, 2025' and similar.
+ * Returns the ISO date string, or null when the value isn't a real calendar date.
+ */
+export const parseMilestoneDate = (value) => {
+  const text = String(value ?? '').trim();
+  let year, month, day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const written = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+
+  if (iso) {
+    [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  } else if (written) {
+    const prefix = written[1].slice(0, 3).toLowerCase();
+    month = MONTH_LABELS.findIndex((label) => label.slice(0, 3).toLowerCase() === prefix) + 1;
+    [day, year] = [Number(written[2]), Number(written[3])];
+  } else {
+    return null;
+  }
+
+  // Round-trip through Date to reject things like Feb 30
+  const date = new Date(year, month - 1, day);
+  if (!month || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// '#f7fb06ff' -> '#F7FB06', '#abc' -> '#AABBCC'; anything else -> null
+export const normalizeColor = (value) => {
+  const hex = String(value ?? '').trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) return `#${hex.split('').map((c) => c + c).join('')}`.toUpperCase();
+  if (/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) return `#${hex.slice(0, 6)}`.toUpperCase();
+  return null;
+};
+
+// Local calendar date for an ISO milestone date (never shifted by UTC parsing)
+export const milestoneToDate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// '2025-09-08' -> 'Sept 8 2025'
+export const formatMilestoneDate = (iso) => {
+  const date = milestoneToDate(iso);
+  return `${MONTH_LABELS[date.getMonth()]} ${date.getDate()} ${date.getFullYear()}`;
+};
+
+// '2025-09-08' -> 'Sept 8' (the label on the gate's stars, and part of its answer)
+export const toStarLabel = (iso) => formatMilestoneDate(iso).replace(/\s+\d{4}$/, '');
+
+/**
+ * Cleans one milestone from any source (built-in, local edits, imported JSON).
+ * Throws with a readable message when the entry can't be used.
+ */
+export const normalizeMilestone = (entry, index = 0) => {
+  const date = parseMilestoneDate(entry?.date);
+  if (!date) throw new Error(`Milestone ${index + 1}: "${entry?.date}" is not a date`);
+
+  const milestone = {
+    date,
+    color: normalizeColor(entry.color) || '#FFFFFF'
+  };
+  if (entry.gate) milestone.gate = true;
+  // Story fields are kept only when they hold text
+  for (const field of ['title', 'note', 'photo', 'scene']) {
+    const value = typeof entry[field] === 'string' ? entry[field].trim() : '';
+    if (value) milestone[field] = value;
+  }
+  return milestone;
+};
+
+// Photo paths are relative to public/, which is served under the site's base path
+export const milestonePhotoUrl = (photo) => `${import.meta.env.BASE_URL}${photo.replace(/^\/+/, '')}`;
+
+export const normalizeMilestones = (list) => {
+  if (!Array.isArray(list)) throw new Error('Expected a JSON array of milestones');
+  return list.map(normalizeMilestone);
+};
+
+export const loadMilestones = () => {
+  try {
+    const saved = localStorage.getItem(MILESTONES_STORAGE_KEY);
+    if (saved) return normalizeMilestones(JSON.parse(saved));
+  } catch {
+    // Broken local edits fall back to the built-in list
+  }
+  return normalizeMilestones(DefaultMilestones);
+};
+
+export const saveMilestones = (list) => {
+  localStorage.setItem(MILESTONES_STORAGE_KEY, JSON.stringify(normalizeMilestones(list)));
+};
+
+export const clearSavedMilestones = () => {
+  localStorage.removeItem(MILESTONES_STORAGE_KEY);
+};
+
+export const MilestoneData = loadMilestones();
+
+// What the gate's star stage is built from, whatever was saved on this device
+export const BuiltInMilestoneData = normalizeMilestones(DefaultMilestones);
@@ -0,0 +1,121 @@
+// SEALED CONTENT - Vite plugin
+// Encrypts the content/ directory at build time so its copy never reaches the bundle as plaintext.
+// The app imports `virtual:sealed-content` and unseals it with the gate's answer (see contentVault.js).
+// The answer itself never ships: the gate gets a salted hash per letter of the word and per
+// star of the chain, so it can tell each step right or wrong (and weight the hearts, and give
+// hints) without the answer being readable from the bundle. Someone patient can still test every
+// letter and star against them; the content itself only opens with the whole answer.
+
+import path from 'node:path';
+import { webcrypto as crypto } from 'node:crypto';
+import { loadContentDir } from './contentFiles.js';
+import { BuiltInMilestoneData, toStarLabel } from './milestones.js';
+
+const VIRTUAL_ID = 'virtual:sealed-content';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+
+// Kept in the payload so the client always derives the key the same way it was sealed
+const PBKDF2_ITERATIONS = 250000;
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+const importPassword = (text, usage) => crypto.subtle.importKey('raw', new TextEncoder().encode(text), 'PBKDF2', false, [usage]);
+
+// The labels of the gate's stars ('Sept 8'), the only dates the answer can use
+const GATE_STAR_LABELS = BuiltInMilestoneData.filter((m) => m.gate).map((m) => toStarLabel(m.date));
+
+// One step of the answer (a letter, or a star's label): SHA-256 of a fresh salt and the value
+async function hashStep(value) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const digest = await crypto.subtle.digest('SHA-256', Buffer.concat([salt, Buffer.from(value, 'utf8')]));
+  return { salt: toBase64(salt), hash: toBase64(new Uint8Array(digest)) };
+}
+
+async function seal(plaintext, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const baseKey = await importPassword(passphrase, 'deriveKey');
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+  return {
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  };
+}
+
+export default function sealedContent({ source, passphrase }) {
+  let sourcePath;
+  // 'WORD|Aug 29|Sept 8|...' - the same split the gate puts back together
+  const [word, ...dates] = (passphrase || '').split('|');
+
+  return {
+    name: 'sealed-content',
+
+    configResolved(config) {
+      sourcePath = path.resolve(config.root, source);
+    },
+
+    buildStart() {
+      if (!passphrase) {
+        this.error(
+          'SEALED_CONTENT_PASSPHRASE is not set. Put the gate answer in .env (see .env.example) so the content can be sealed.'
+        );
+      }
+      if (!/^[A-Z]+$/.test(word) || dates.length === 0) {
+        this.error('SEALED_CONTENT_PASSPHRASE should be the word in capitals, then the special dates: WORD|Aug 29|Sept 8');
+      }
+      // A date that isn't on the sky (or is there twice) would build a gate nobody can pass
+      const offSky = dates.filter((date) => !GATE_STAR_LABELS.includes(date));
+      if (offSky.length) {
+        this.error(
+          `SEALED_CONTENT_PASSPHRASE: ${offSky.map((date) => `"${date}"`).join(', ')} isn't one of the gate's stars. ` +
+            `They are the \`gate: true\` milestones in milestones.js: ${GATE_STAR_LABELS.join(', ')}`
+        );
+      }
+      const repeated = dates.find((date, index) => dates.indexOf(date) !== index);
+      if (repeated) {
+        this.error(`SEALED_CONTENT_PASSPHRASE: "${repeated}" is in the chain twice, but each star can only be picked once`);
+      }
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      // Broken frontmatter or JSON fails the build instead of shipping something that can't be read
+      let loaded;
+      try {
+        loaded = await loadContentDir(sourcePath);
+      } catch (error) {
+        this.error(error.message);
+      }
+      this.addWatchFile(sourcePath);
+      loaded.files.forEach((file) => this.addWatchFile(file));
+
+      // The special dates travel inside the seal, so the constellation can still light them up
+      const content = { ...loaded.content, specialDates: dates };
+      const gate = {
+        letters: await Promise.all([...word].map(hashStep)),
+        stars: await Promise.all(dates.map(hashStep))
+      };
+
+      return [
+        `export const gate = ${JSON.stringify(gate)};`,
+        `export default ${JSON.stringify(await seal(JSON.stringify(content), passphrase))};`
+      ].join('\n');
+    }
+  };
+}
@@ -0,0 +1,147 @@
+// SHARE CARDS
+// Draws a line of the letters onto a <canvas> as a PNG card: gradient paper, a heart
+// watermark, the text in Indie Flower and a Fredoka caption. Everything stays in the browser.
+
+export const CARD_SIZES = {
+  story: { label: 'Story', width: 1080, height: 1920 },
+  square: { label: 'Square', width: 1080, height: 1080 }
+};
+
+// Top-to-bottom gradient stops, picked to match the scenes
+export const CARD_GRADIENTS = {
+  rose: { label: 'Rose', stops: ['#fb7185', '#db2777', '#831843'] },
+  sunset: { label: 'Sunset', stops: ['#fbbf24', '#f43f5e', '#7e22ce'] },
+  night: { label: 'Night', stops: ['#312e81', '#6b21a8', '#1e1b4b'] }
+};
+
+const TEXT_FONT = "'Indie Flower', cursive";
+const CAPTION_FONT = "'Fredoka', sans-serif";
+
+// The fonts come from Google Fonts (imported in index.css); wait so the card doesn't fall back
+const loadFonts = async () => {
+  if (!document.fonts?.load) return;
+  await Promise.all([document.fonts.load(`64px ${TEXT_FONT}`), document.fonts.load(`600 32px ${CAPTION_FONT}`)]).catch(() => {});
+};
+
+function traceHeart(ctx, x, y, size) {
+  const w = size;
+  const h = size * 0.9;
+  ctx.beginPath();
+  ctx.moveTo(x + w / 2, y + h * 0.3);
+  ctx.bezierCurveTo(x + w / 2, y, x, y, x, y + h * 0.3);
+  ctx.bezierCurveTo(x, y + h * 0.6, x + w / 2, y + h * 0.8, x + w / 2, y + h);
+  ctx.bezierCurveTo(x + w / 2, y + h * 0.8, x + w, y + h * 0.6, x + w, y + h * 0.3);
+  ctx.bezierCurveTo(x + w, y, x + w / 2, y, x + w / 2, y + h * 0.3);
+  ctx.closePath();
+}
+
+const wrapLines = (ctx, text, maxWidth) => {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+// Largest font size (in steps of 4px) at which the text fits the box
+function fitText(ctx, text, maxWidth, maxHeight, startSize) {
+  for (let size = startSize; size > 24; size -= 4) {
+    ctx.font = `${size}px ${TEXT_FONT}`;
+    const lines = wrapLines(ctx, text, maxWidth);
+    if (lines.length * size * 1.35 <= maxHeight) return { size, lines };
+  }
+  ctx.font = `24px ${TEXT_FONT}`;
+  return { size: 24, lines: wrapLines(ctx, text, maxWidth) };
+}
+
+/**
+ * Draws one card and resolves with its canvas.
+ * @param text     the line to share
+ * @param caption  small print under it (e.g. 'The Pillars of Our Love')
+ */
+export async function renderShareCard({ text, caption = '', size = 'square', gradient = 'rose' }) {
+  await loadFonts();
+  const { width, height } = CARD_SIZES[size];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const background = ctx.createLinearGradient(0, 0, width * 0.3, height);
+  const { stops } = CARD_GRADIENTS[gradient];
+  stops.forEach((color, index) => background.addColorStop(index / (stops.length - 1), color));
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Heart watermark
+  const heartSize = width * 0.9;
+  ctx.save();
+  ctx.globalAlpha = 0.12;
+  ctx.fillStyle = '#ffffff';
+  traceHeart(ctx, (width - heartSize) / 2, (height - heartSize * 0.9) / 2, heartSize);
+  ctx.fill();
+  ctx.restore();
+
+  // The text, centered in the middle of the card
+  const margin = width * 0.12;
+  const boxHeight = height * (size === 'story' ? 0.55 : 0.6);
+  const { size: fontSize, lines } = fitText(ctx, text, width - margin * 2, boxHeight, size === 'story' ? 96 : 80);
+  const lineHeight = fontSize * 1.35;
+  let y = (height - lines.length * lineHeight) / 2 + fontSize;
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'center';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+  ctx.shadowBlur = 12;
+  for (const line of lines) {
+    ctx.fillText(line, width / 2, y);
+    y += lineHeight;
+  }
+  ctx.shadowBlur = 0;
+
+  // Caption and a small heart at the foot of the card
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.font = `600 ${Math.round(width * 0.03)}px ${CAPTION_FONT}`;
+  const footY = height - margin * (size === 'story' ? 1.2 : 0.7);
+  if (caption) ctx.fillText(caption, width / 2, footY);
+  const smallHeart = width * 0.045;
+  traceHeart(ctx, (width - smallHeart) / 2, footY - smallHeart * 2.4, smallHeart);
+  ctx.fill();
+
+  return canvas;
+}
+
+export const canvasToBlob = (canvas) =>
+  new Promise((resolve, reject) => canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png'));
+
+// Web Share with files is mostly mobile; everywhere else the card is downloaded instead
+export const canShareFiles = () => {
+  try {
+    return Boolean(navigator.canShare?.({ files: [new File([''], 'card.png', { type: 'image/png' })] }));
+  } catch {
+    return false;
+  }
+};
+
+export async function shareCard(blob, fileName, text) {
+  const file = new File([blob], fileName, { type: 'image/png' });
+  await navigator.share({ files: [file], text });
+}
+
+export function downloadCard(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
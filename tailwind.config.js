@@ -3,7 +3,9 @@ export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
-    "./*.{js,jsx}"
+    "./*.{js,jsx}",
+    // Letter colors are Tailwind classes written in the content files
+    "./content/**/*.{md,json}"
   ],
   theme: {
     extend: {},
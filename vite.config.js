@@ -1,7 +1,16 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import sealedContent from './sealContent.js'
 
-export default defineConfig({
-  plugins: [react()],
-  base: '/Aakash-s-letter/',
+export default defineConfig(({ mode }) => {
+  // Only SEALED_* values are read here; none of them are exposed to the client
+  const env = loadEnv(mode, process.cwd(), 'SEALED_')
+
+  return {
+    plugins: [
+      react(),
+      sealedContent({ source: 'content', passphrase: env.SEALED_CONTENT_PASSPHRASE }),
+    ],
+    base: '/Aakash-s-letter/',
+  }
 })